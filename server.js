@@ -21,6 +21,16 @@ import reportRoutes from "./src/routes/reportRoutes.js";
 import notificationRoutes from "./src/routes/notificationRoutes.js";
 import uploadRoutes from "./src/routes/uploadRoutes.js";
 import siteRoutes from "./src/routes/siteRoutes.js";
+import taskRecurrenceRoutes from "./src/routes/taskRecurrenceRoutes.js";
+import settingsRoutes from "./src/routes/settingsRoutes.js";
+import workerRoutes from "./src/routes/workerRoutes.js";
+import checklistTemplateRoutes from "./src/routes/checklistTemplateRoutes.js";
+import taskTemplateRoutes from "./src/routes/taskTemplateRoutes.js";
+import leaveRequestRoutes from "./src/routes/leaveRequestRoutes.js";
+import holidayRoutes from "./src/routes/holidayRoutes.js";
+import attendanceRoutes from "./src/routes/attendanceRoutes.js";
+import jobRoutes from "./src/routes/jobRoutes.js";
+import calendarRoutes from "./src/routes/calendarRoutes.js";
 
 // Load environment variables
 dotenv.config();
@@ -114,7 +124,16 @@ const API_VERSION = process.env.API_VERSION || "v1";
 app.use(`/api/${API_VERSION}/auth`, authRoutes);
 app.use(`/api/${API_VERSION}/delete-image`, deleteImageRoutes);
 app.use(`/api/${API_VERSION}/users`, userRoutes);
+app.use(`/api/${API_VERSION}/workers`, workerRoutes);
+app.use(`/api/${API_VERSION}/leave-requests`, leaveRequestRoutes);
+app.use(`/api/${API_VERSION}/holidays`, holidayRoutes);
+app.use(`/api/${API_VERSION}/attendance`, attendanceRoutes);
 app.use(`/api/${API_VERSION}/tasks`, taskRoutes);
+app.use(`/api/${API_VERSION}/jobs`, jobRoutes);
+app.use(`/api/${API_VERSION}/calendar`, calendarRoutes);
+app.use(`/api/${API_VERSION}/task-recurrences`, taskRecurrenceRoutes);
+app.use(`/api/${API_VERSION}/checklist-templates`, checklistTemplateRoutes);
+app.use(`/api/${API_VERSION}/task-templates`, taskTemplateRoutes);
 app.use(`/api/${API_VERSION}/clients`, clientRoutes);
 app.use(`/api/${API_VERSION}/sites`, siteRoutes);
 app.use(`/api/${API_VERSION}/plants`, plantRoutes);
@@ -122,6 +141,7 @@ app.use(`/api/${API_VERSION}/inventory`, inventoryRoutes);
 app.use(`/api/${API_VERSION}/reports`, reportRoutes);
 app.use(`/api/${API_VERSION}/notifications`, notificationRoutes);
 app.use(`/api/${API_VERSION}/uploads`, uploadRoutes);
+app.use(`/api/${API_VERSION}/settings`, settingsRoutes);
 
 // =====================================
 // 💓 Health & Root
@@ -0,0 +1,598 @@
+// backend/src/controllers/attendanceController.js
+import mongoose from "mongoose";
+import Attendance from "../models/Attendance.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Settings from "../models/Settings.js";
+import { hasCoordinates } from "../utils/geo.js";
+import { getDayRange, toDateKey, getWeekStart } from "../utils/dates.js";
+import { toCsv } from "../utils/csv.js";
+
+const MAX_TIMESHEET_DAYS = 62;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build a { latitude, longitude } point from request values (null without one)
+ */
+const toPoint = (latitude, longitude) => {
+  const point =
+    latitude !== undefined && longitude !== undefined
+      ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+      : null;
+  return hasCoordinates(point) ? point : null;
+};
+
+/**
+ * Another entry of the worker overlapping start -> end (an entry without
+ * clock-out runs on, so it overlaps everything after its clock-in)
+ * @returns {Promise<Object|null>}
+ */
+const findOverlappingEntry = (worker, start, end, excludeId) => {
+  const query = {
+    worker,
+    $or: [{ clockOutAt: null }, { clockOutAt: { $gt: start } }],
+  };
+  if (end) query.clockInAt = { $lt: end };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Attendance.findOne(query);
+};
+
+/**
+ * Response body for an entry that overlaps an existing one
+ */
+const overlapErrorBody = (entry) => ({
+  success: false,
+  message: "The entry overlaps another attendance entry of the worker",
+  data: entry,
+});
+
+/**
+ * @desc    Clock in (starts a new attendance entry)
+ * @route   POST /api/v1/attendance/clock-in
+ * @access  Private (Worker)
+ */
+export const clockIn = async (req, res) => {
+  try {
+    const { latitude, longitude, notes } = req.body;
+
+    const open = await Attendance.findOne({
+      worker: req.user.id,
+      clockOutAt: null,
+    });
+    if (open) {
+      return res.status(409).json({
+        success: false,
+        message: "You are already clocked in",
+        data: open,
+      });
+    }
+
+    const entry = await Attendance.create({
+      worker: req.user.id,
+      clockInAt: new Date(),
+      clockInLocation: toPoint(latitude, longitude),
+      notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Clocked in successfully",
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Clock in error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to clock in",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Clock out (closes the open attendance entry)
+ * @route   POST /api/v1/attendance/clock-out
+ * @access  Private (Worker)
+ */
+export const clockOut = async (req, res) => {
+  try {
+    const { latitude, longitude, notes } = req.body;
+
+    const entry = await Attendance.findOne({
+      worker: req.user.id,
+      clockOutAt: null,
+    });
+    if (!entry) {
+      return res.status(409).json({
+        success: false,
+        message: "You are not clocked in",
+      });
+    }
+
+    entry.clockOutAt = new Date();
+    entry.clockOutLocation = toPoint(latitude, longitude);
+    if (notes) entry.notes = notes;
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Clocked out successfully",
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Clock out error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to clock out",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get attendance entries (workers only see their own)
+ * @route   GET /api/v1/attendance?worker=&from=&to=
+ * @access  Private (Admin / Worker)
+ */
+export const getAttendance = async (req, res) => {
+  try {
+    const { worker, from, to } = req.query;
+
+    const query = {};
+    if (req.user.role === "worker") {
+      query.worker = req.user.id;
+    } else if (worker) {
+      query.worker = worker;
+    }
+
+    if (from || to) {
+      const start = from ? getDayRange(from) : null;
+      const end = to ? getDayRange(to) : null;
+      if ((from && !start) || (to && !end)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date",
+        });
+      }
+      query.clockInAt = {};
+      if (start) query.clockInAt.$gte = start.start;
+      if (end) query.clockInAt.$lte = end.end;
+    }
+
+    const entries = await Attendance.find(query)
+      .populate("worker", "name email")
+      .populate("corrections.correctedBy", "name")
+      .sort("-clockInAt");
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+    });
+  } catch (error) {
+    console.error("Get attendance error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch attendance",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Add a missing attendance entry
+ * @route   POST /api/v1/attendance
+ * @access  Private (Admin)
+ *
+ * Body: { worker, clockInAt, clockOutAt, reason }
+ */
+export const createAttendance = async (req, res) => {
+  try {
+    const { worker, clockInAt, clockOutAt, reason, notes } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required for manual entries",
+      });
+    }
+
+    const workerDoc = mongoose.Types.ObjectId.isValid(worker)
+      ? await User.findById(worker)
+      : null;
+    if (!workerDoc || workerDoc.role !== "worker") {
+      return res.status(404).json({
+        success: false,
+        message: "Worker not found",
+      });
+    }
+
+    const start = new Date(clockInAt);
+    const end = clockOutAt ? new Date(clockOutAt) : null;
+    if (isNaN(start.getTime()) || (end && !(end > start))) {
+      return res.status(400).json({
+        success: false,
+        message: "Clock-out must be after a valid clock-in",
+      });
+    }
+
+    const overlapping = await findOverlappingEntry(worker, start, end);
+    if (overlapping) {
+      return res.status(409).json(overlapErrorBody(overlapping));
+    }
+
+    const entry = await Attendance.create({
+      worker,
+      clockInAt: start,
+      clockOutAt: end,
+      source: "manual",
+      notes,
+      corrections: [
+        {
+          field: "entry",
+          from: null,
+          to: { clockInAt: start, clockOutAt: end },
+          reason,
+          correctedBy: req.user.id,
+        },
+      ],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Attendance entry added successfully",
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Create attendance error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add attendance entry",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Correct an attendance entry (every change is kept with its reason)
+ * @route   PUT /api/v1/attendance/:id
+ * @access  Private (Admin)
+ *
+ * Body: { clockInAt?, clockOutAt?, reason }
+ */
+export const correctAttendance = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to correct attendance",
+      });
+    }
+
+    const entry = await Attendance.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Attendance entry not found",
+      });
+    }
+
+    const changes = [];
+    for (const field of ["clockInAt", "clockOutAt"]) {
+      if (req.body[field] === undefined) continue;
+
+      const value = req.body[field] === null ? null : new Date(req.body[field]);
+      if (field === "clockInAt" && !value) {
+        return res.status(400).json({
+          success: false,
+          message: "clockInAt cannot be removed",
+        });
+      }
+      if (value && isNaN(value.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field}`,
+        });
+      }
+      changes.push({ field, from: entry[field] || null, to: value });
+      entry[field] = value;
+    }
+
+    if (changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing to correct",
+      });
+    }
+
+    if (entry.clockOutAt && !(entry.clockOutAt > entry.clockInAt)) {
+      return res.status(400).json({
+        success: false,
+        message: "Clock-out must be after clock-in",
+      });
+    }
+
+    const overlapping = await findOverlappingEntry(
+      entry.worker,
+      entry.clockInAt,
+      entry.clockOutAt,
+      entry._id
+    );
+    if (overlapping) {
+      return res.status(409).json(overlapErrorBody(overlapping));
+    }
+
+    changes.forEach((change) =>
+      entry.corrections.push({
+        ...change,
+        reason,
+        correctedBy: req.user.id,
+        correctedAt: new Date(),
+      })
+    );
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Attendance corrected successfully",
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Correct attendance error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to correct attendance",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Hours a worker spent on tasks per day: their own work sessions when
+ * recorded, otherwise startedAt -> completedAt of tasks they lead.
+ * @returns {Map} - "workerId|YYYY-MM-DD" -> hours
+ */
+const getTaskHoursByDay = (tasks, workerIds) => {
+  const hours = new Map();
+  const add = (workerId, date, ms) => {
+    const key = `${workerId}|${toDateKey(date)}`;
+    hours.set(key, (hours.get(key) || 0) + ms / 3600000);
+  };
+
+  tasks.forEach((task) => {
+    const sessions = (task.workSessions || []).filter((s) => s.endedAt);
+    if (sessions.length > 0) {
+      sessions.forEach((s) => {
+        const id = s.worker?.toString();
+        if (workerIds.includes(id)) {
+          add(id, s.startedAt, s.endedAt - s.startedAt);
+        }
+      });
+    } else if (task.startedAt && task.completedAt) {
+      const id = task.worker?.toString();
+      if (workerIds.includes(id)) {
+        add(id, task.startedAt, task.completedAt - task.startedAt);
+      }
+    }
+  });
+
+  return hours;
+};
+
+/**
+ * @desc    Get timesheets: daily and weekly hours, overtime and task time
+ * @route   GET /api/v1/attendance/timesheet?from=&to=&worker=&branch=&format=csv
+ * @access  Private (Admin / Worker - own timesheet)
+ *
+ * Defaults to the current week. Overtime thresholds come from
+ * Settings.attendance (daily and weekly hours).
+ */
+export const getTimesheet = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const { dailyHours, weeklyHours, weekStartsOn } = settings.attendance;
+
+    const from = req.query.from
+      ? getDayRange(req.query.from)
+      : getDayRange(getWeekStart(new Date(), weekStartsOn));
+    const to = req.query.to ? getDayRange(req.query.to) : null;
+    if (!from || (req.query.to && !to)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date",
+      });
+    }
+
+    const end = to ? to.end : new Date(from.start);
+    if (!to) {
+      end.setDate(end.getDate() + 7);
+      end.setMilliseconds(-1);
+    }
+    if ((end - from.start) / 86400000 > MAX_TIMESHEET_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `A timesheet can cover at most ${MAX_TIMESHEET_DAYS} days`,
+      });
+    }
+
+    const workerQuery = { role: "worker" };
+    if (req.user.role === "worker") {
+      workerQuery._id = req.user.id;
+    } else {
+      if (req.query.worker) workerQuery._id = req.query.worker;
+      if (req.query.branch) workerQuery.branch = req.query.branch;
+    }
+    const workers = await User.find(workerQuery).select("name email");
+    const workerIds = workers.map((w) => w._id.toString());
+
+    const [entries, tasks] = await Promise.all([
+      Attendance.find({
+        worker: { $in: workerIds },
+        clockInAt: { $gte: from.start, $lte: end },
+      }).lean(),
+      Task.find({
+        $or: [
+          { worker: { $in: workerIds } },
+          { "crew.worker": { $in: workerIds } },
+        ],
+        startedAt: { $lte: end },
+        $and: [
+          {
+            $or: [
+              { completedAt: { $gte: from.start } },
+              { "workSessions.endedAt": { $gte: from.start } },
+            ],
+          },
+        ],
+      })
+        .select("worker startedAt completedAt workSessions")
+        .lean(),
+    ]);
+
+    const taskHours = getTaskHoursByDay(tasks, workerIds);
+
+    const timesheets = workers.map((worker) => {
+      const id = worker._id.toString();
+      const days = new Map();
+
+      entries
+        .filter((e) => e.worker.toString() === id)
+        .forEach((entry) => {
+          const key = toDateKey(entry.clockInAt);
+          const day = days.get(key) || {
+            date: key,
+            attendedHours: 0,
+            open: false,
+          };
+          day.attendedHours += entry.hours || 0;
+          if (!entry.clockOutAt) day.open = true;
+          days.set(key, day);
+        });
+
+      taskHours.forEach((hours, key) => {
+        const [workerId, date] = key.split("|");
+        if (workerId !== id) return;
+        const cursor = new Date(`${date}T00:00:00`);
+        if (cursor < from.start || cursor > end) return;
+        const day = days.get(date) || { date, attendedHours: 0, open: false };
+        day.taskHours = (day.taskHours || 0) + hours;
+        days.set(date, day);
+      });
+
+      const daily = [...days.values()]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map((day) => ({
+          date: day.date,
+          attendedHours: round(day.attendedHours),
+          taskHours: round(day.taskHours || 0),
+          // Attended time not spent on tasks (travel, breaks, ...)
+          nonTaskHours: round(day.attendedHours - (day.taskHours || 0)),
+          overtimeHours: round(Math.max(day.attendedHours - dailyHours, 0)),
+          stillClockedIn: day.open,
+        }));
+
+      const weeks = new Map();
+      daily.forEach((day) => {
+        const weekStart = toDateKey(
+          getWeekStart(new Date(`${day.date}T00:00:00`), weekStartsOn)
+        );
+        const week = weeks.get(weekStart) || {
+          weekStart,
+          attendedHours: 0,
+          taskHours: 0,
+          dailyOvertimeHours: 0,
+        };
+        week.attendedHours += day.attendedHours;
+        week.taskHours += day.taskHours;
+        week.dailyOvertimeHours += day.overtimeHours;
+        weeks.set(weekStart, week);
+      });
+
+      const weekly = [...weeks.values()].map((week) => ({
+        weekStart: week.weekStart,
+        attendedHours: round(week.attendedHours),
+        taskHours: round(week.taskHours),
+        // Whichever is larger: hours over the weekly limit or daily overtime
+        overtimeHours: round(
+          Math.max(
+            week.attendedHours - weeklyHours,
+            week.dailyOvertimeHours,
+            0
+          )
+        ),
+      }));
+
+      return {
+        worker: { _id: worker._id, name: worker.name, email: worker.email },
+        daily,
+        weekly,
+        totals: {
+          attendedHours: round(
+            daily.reduce((sum, d) => sum + d.attendedHours, 0)
+          ),
+          taskHours: round(daily.reduce((sum, d) => sum + d.taskHours, 0)),
+          overtimeHours: round(
+            weekly.reduce((sum, w) => sum + w.overtimeHours, 0)
+          ),
+        },
+      };
+    });
+
+    if (req.query.format === "csv") {
+      const rows = timesheets.flatMap((sheet) =>
+        sheet.daily.map((day) => ({
+          worker: sheet.worker.name,
+          email: sheet.worker.email,
+          ...day,
+        }))
+      );
+      const csv = toCsv(rows, [
+        { key: "worker", label: "Worker" },
+        { key: "email", label: "Email" },
+        { key: "date", label: "Date" },
+        { key: "attendedHours", label: "Attended Hours" },
+        { key: "taskHours", label: "Task Hours" },
+        { key: "nonTaskHours", label: "Non-Task Hours" },
+        { key: "overtimeHours", label: "Overtime Hours" },
+        { key: "stillClockedIn", label: "Still Clocked In" },
+      ]);
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      const filename = `timesheet-${toDateKey(from.start)}-${toDateKey(end)}.csv`;
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+      return res.status(200).send(csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: from.start,
+        to: end,
+        thresholds: { dailyHours, weeklyHours },
+        timesheets,
+      },
+    });
+  } catch (error) {
+    console.error("Get timesheet error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build timesheet",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  clockIn,
+  clockOut,
+  getAttendance,
+  createAttendance,
+  correctAttendance,
+  getTimesheet,
+};
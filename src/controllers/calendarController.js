@@ -0,0 +1,353 @@
+// backend/src/controllers/calendarController.js
+import mongoose from "mongoose";
+import CalendarFeed from "../models/CalendarFeed.js";
+import Task from "../models/Task.js";
+import TaskHistory from "../models/TaskHistory.js";
+import User from "../models/User.js";
+import Site from "../models/Site.js";
+import Branch from "../models/Branch.js";
+import { crewFilter } from "../services/taskService.js";
+import { buildCalendar, taskEventUid } from "../utils/ical.js";
+
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Subscription URL of a feed (served by this router, no login needed)
+ */
+const feedUrl = (req, token) =>
+  `${req.protocol}://${req.get("host")}${req.baseUrl}/${token}.ics`;
+
+/**
+ * Find the worker, site or branch a feed is for
+ * @returns {Promise<Object|null>} - Document with a name (null if missing)
+ */
+const loadTarget = async (scope, target) => {
+  if (scope === "worker") {
+    const worker = await User.findById(target).select("name role isActive");
+    return worker && worker.role === "worker" ? worker : null;
+  }
+  if (scope === "site") return Site.findById(target).select("name");
+  return Branch.findById(target).select("name");
+};
+
+/**
+ * Task filter of a feed
+ */
+const scopeFilter = (feed) => {
+  if (feed.scope === "worker") return crewFilter(feed.target);
+  return { [feed.scope]: feed.target };
+};
+
+/**
+ * Filter for the deletion history entries of a feed's tasks (their last
+ * values are kept as the "from" side of the changes)
+ */
+const deletedScopeFilter = (feed) => {
+  const target = feed.target.toString();
+  if (feed.scope === "worker") {
+    return {
+      $or: [
+        { changes: { $elemMatch: { field: "worker", from: target } } },
+        {
+          changes: { $elemMatch: { field: /^crew\./, "from.worker": target } },
+        },
+      ],
+    };
+  }
+  return { changes: { $elemMatch: { field: feed.scope, from: target } } };
+};
+
+/**
+ * Calendar event of a task
+ */
+const taskToEvent = (task) => {
+  const start = new Date(task.scheduledDate);
+  const hours = task.estimatedDuration || 1;
+  const site = task.site || {};
+  const workers = [
+    task.worker?.name,
+    ...(task.crew || [])
+      .filter((m) => m.role !== "lead")
+      .map((m) => m.worker?.name),
+  ].filter(Boolean);
+
+  return {
+    uid: taskEventUid(task._id),
+    sequence: task.calendarSequence,
+    start,
+    end: new Date(start.getTime() + hours * HOUR_MS),
+    summary: task.title,
+    description: [
+      `Status: ${task.status}`,
+      `Priority: ${task.priority}`,
+      `Category: ${task.category}`,
+      workers.length > 0 ? `Workers: ${workers.join(", ")}` : null,
+      task.client?.name ? `Client: ${task.client.name}` : null,
+      task.notes || null,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    location: [site.name, site.location?.address, site.location?.city]
+      .filter(Boolean)
+      .join(", "),
+    geo: site.location?.coordinates,
+    status: task.status === "pending" ? "TENTATIVE" : "CONFIRMED",
+    updatedAt: task.updatedAt,
+  };
+};
+
+/**
+ * Cancelled calendar event of a deleted task (from its last history entry)
+ */
+const deletedToEvent = (entry) => {
+  const last = {};
+  entry.changes.forEach((change) => {
+    last[change.field] = change.from;
+  });
+  const start = new Date(last.scheduledDate);
+
+  return {
+    uid: taskEventUid(entry.task),
+    sequence: (last.calendarSequence || 0) + 1,
+    start,
+    end: new Date(start.getTime() + (last.estimatedDuration || 1) * HOUR_MS),
+    summary: last.title,
+    status: "CANCELLED",
+    updatedAt: entry.createdAt,
+  };
+};
+
+/**
+ * @desc    Get my calendar feeds (with their subscription URLs)
+ * @route   GET /api/v1/calendar/feeds
+ * @access  Private (Admin / Worker)
+ */
+export const getCalendarFeeds = async (req, res) => {
+  try {
+    const feeds = await CalendarFeed.find({
+      owner: req.user.id,
+      isActive: true,
+    })
+      .select("+token")
+      .sort("-createdAt");
+
+    res.status(200).json({
+      success: true,
+      count: feeds.length,
+      data: feeds.map((feed) => ({
+        ...feed.toObject(),
+        url: feedUrl(req, feed.token),
+      })),
+    });
+  } catch (error) {
+    console.error("Get calendar feeds error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch calendar feeds",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create a calendar feed
+ * @route   POST /api/v1/calendar/feeds
+ * @access  Private (Admin; workers only for their own schedule)
+ * Body: { scope: "worker" | "site" | "branch", target, name }
+ */
+export const createCalendarFeed = async (req, res) => {
+  try {
+    const { scope, name } = req.body;
+    const target =
+      req.body.target || (scope === "worker" ? req.user.id : undefined);
+
+    if (!["worker", "site", "branch"].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: "Scope must be worker, site or branch",
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(target)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid target ID",
+      });
+    }
+    if (
+      req.user.role !== "admin" &&
+      (scope !== "worker" || String(target) !== req.user.id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Workers can only subscribe to their own schedule",
+      });
+    }
+
+    const targetDoc = await loadTarget(scope, target);
+    if (!targetDoc) {
+      return res.status(404).json({
+        success: false,
+        message: `${scope.charAt(0).toUpperCase()}${scope.slice(1)} not found`,
+      });
+    }
+
+    const feed = await CalendarFeed.create({
+      scope,
+      target,
+      name: name || targetDoc.name,
+      owner: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Calendar feed created successfully",
+      data: {
+        ...feed.toObject(),
+        url: feedUrl(req, feed.token),
+      },
+    });
+  } catch (error) {
+    console.error("Create calendar feed error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create calendar feed",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a calendar feed (its URL stops working)
+ * @route   DELETE /api/v1/calendar/feeds/:id
+ * @access  Private (Owner / Admin)
+ */
+export const deleteCalendarFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findById(req.params.id);
+
+    if (!feed || !feed.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Calendar feed not found",
+      });
+    }
+    if (req.user.role !== "admin" && feed.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to revoke this feed",
+      });
+    }
+
+    feed.isActive = false;
+    feed.revokedAt = new Date();
+    await feed.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Calendar feed revoked",
+    });
+  } catch (error) {
+    console.error("Delete calendar feed error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke calendar feed",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    iCalendar feed of scheduled tasks (subscribe from a calendar app)
+ * @route   GET /api/v1/calendar/:token.ics
+ * @access  Public (secret token)
+ *
+ * Tasks scheduled from 30 days ago to 180 days ahead. Events keep the task
+ * ID as UID; reschedules raise SEQUENCE and deleted tasks stay in the feed
+ * as cancelled events for 30 days.
+ */
+export const getCalendarIcs = async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOne({
+      token: req.params.token,
+      isActive: true,
+    });
+
+    if (!feed) {
+      return res.status(404).type("text/plain").send("Calendar not found");
+    }
+
+    // The URL stops working once its owner, or the worker it shows, is
+    // deactivated
+    const [owner, targetDoc] = await Promise.all([
+      User.findById(feed.owner).select("isActive"),
+      loadTarget(feed.scope, feed.target),
+    ]);
+    if (
+      !owner?.isActive ||
+      (feed.scope === "worker" && !targetDoc?.isActive)
+    ) {
+      return res.status(404).type("text/plain").send("Calendar not found");
+    }
+
+    const now = Date.now();
+    const from = new Date(now - FEED_PAST_DAYS * DAY_MS);
+    const to = new Date(now + FEED_FUTURE_DAYS * DAY_MS);
+
+    const [tasks, deleted] = await Promise.all([
+      Task.find({
+        ...scopeFilter(feed),
+        scheduledDate: { $gte: from, $lte: to },
+      })
+        .populate("site", "name location")
+        .populate("client", "name")
+        .populate("worker", "name")
+        .populate("crew.worker", "name")
+        .select(
+          "title status priority category scheduledDate estimatedDuration site client worker crew notes calendarSequence updatedAt"
+        )
+        .sort("scheduledDate")
+        .lean(),
+      TaskHistory.find({
+        action: "delete",
+        createdAt: { $gte: from },
+        ...deletedScopeFilter(feed),
+      }).lean(),
+    ]);
+
+    const cancelled = deleted
+      .map(deletedToEvent)
+      .filter((event) => event.start >= from && event.start <= to);
+
+    const calendar = buildCalendar({
+      name: feed.name || targetDoc?.name || "Task schedule",
+      events: [...tasks.map(taskToEvent), ...cancelled],
+    });
+
+    await CalendarFeed.updateOne(
+      { _id: feed._id },
+      { lastAccessedAt: new Date() }
+    );
+
+    res
+      .status(200)
+      .set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": `inline; filename="${feed.scope}-schedule.ics"`,
+        "Cache-Control": "private, max-age=300",
+      })
+      .send(calendar);
+  } catch (error) {
+    console.error("Get calendar ics error:", error);
+    res.status(500).type("text/plain").send("Failed to build calendar");
+  }
+};
+
+export default {
+  getCalendarFeeds,
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarIcs,
+};
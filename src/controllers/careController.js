@@ -0,0 +1,203 @@
+// backend/src/controllers/careController.js
+import mongoose from "mongoose";
+import Site from "../models/Site.js";
+import Task from "../models/Task.js";
+import { buildCareSuggestions } from "../services/careService.js";
+import { prepareTask } from "../services/taskService.js";
+import { toDateKey } from "../utils/dates.js";
+
+const DEFAULT_HORIZON_DAYS = 7;
+const MAX_HORIZON_DAYS = 90;
+
+const actionLabel = (action) =>
+  `${action.charAt(0).toUpperCase()}${action.slice(1).replace(/-/g, " ")}`;
+
+const plantName = (plant) => plant.name?.en || plant.name?.ar || "Plant";
+
+/**
+ * Read the horizon of the suggestion endpoints
+ * @returns {Number|null} - Days ahead (null if invalid)
+ */
+const parseHorizon = (value) => {
+  if (value === undefined) return DEFAULT_HORIZON_DAYS;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 && days <= MAX_HORIZON_DAYS
+    ? days
+    : null;
+};
+
+/**
+ * @desc    Get the care actions due on a site, from the plants recorded in
+ *          its sections and their care rules
+ * @route   GET /api/v1/sites/:id/care-suggestions?horizonDays=&section=
+ * @access  Private (Admin only)
+ * horizonDays: include actions due within this many days (default 7)
+ */
+export const getCareSuggestions = async (req, res) => {
+  try {
+    const horizonDays = parseHorizon(req.query.horizonDays);
+    if (horizonDays === null) {
+      return res.status(400).json({
+        success: false,
+        message: `horizonDays must be a whole number from 0 to ${MAX_HORIZON_DAYS}`,
+      });
+    }
+
+    const { section } = req.query;
+    if (section !== undefined && !mongoose.Types.ObjectId.isValid(section)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid section ID",
+      });
+    }
+
+    const site = await Site.findById(req.params.id).select("name sections");
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: "Site not found",
+      });
+    }
+
+    const suggestions = await buildCareSuggestions(site, {
+      horizonDays,
+      section,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      horizonDays,
+      data: suggestions,
+    });
+  } catch (error) {
+    console.error("Get care suggestions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build care suggestions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Turn care suggestions into tasks (one task per section and
+ *          action)
+ * @route   POST /api/v1/sites/:id/care-suggestions/tasks
+ * @access  Private (Admin only)
+ * Body: { worker, keys, horizonDays, scheduledDate, priority,
+ *         estimatedDuration, branch } - keys are suggestion keys; without
+ * them every due suggestion that has no open task is created. Tasks are
+ * scheduled on the due date (today when overdue) unless scheduledDate is
+ * given; overdue care gets high priority.
+ */
+export const createCareTasks = async (req, res) => {
+  try {
+    const {
+      worker,
+      keys,
+      scheduledDate,
+      priority,
+      estimatedDuration,
+      branch,
+    } = req.body;
+
+    const horizonDays = parseHorizon(req.body.horizonDays);
+    if (horizonDays === null) {
+      return res.status(400).json({
+        success: false,
+        message: `horizonDays must be a whole number from 0 to ${MAX_HORIZON_DAYS}`,
+      });
+    }
+    if (keys !== undefined && !Array.isArray(keys)) {
+      return res.status(400).json({
+        success: false,
+        message: "keys must be an array of suggestion keys",
+      });
+    }
+
+    const site = await Site.findById(req.params.id).select("name sections");
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: "Site not found",
+      });
+    }
+
+    const now = new Date();
+    const suggestions = await buildCareSuggestions(site, { now, horizonDays });
+
+    const skipped = [];
+    let selected;
+    if (keys) {
+      selected = suggestions.filter((s) => keys.includes(s.key));
+      keys
+        .filter((key) => !suggestions.some((s) => s.key === key))
+        .forEach((key) => skipped.push({ key, reason: "Not due" }));
+    } else {
+      selected = suggestions.filter((s) => !s.openTask);
+    }
+
+    const created = [];
+    for (const suggestion of selected) {
+      const label = actionLabel(suggestion.action);
+      const plants = suggestion.plants
+        .map((p) => `${plantName(p)} (x${p.quantity})`)
+        .join(", ");
+      const lastDone = suggestion.lastDoneAt
+        ? toDateKey(suggestion.lastDoneAt)
+        : "never";
+
+      const { data, status, error } = await prepareTask({
+        title: `${label} - ${suggestion.section.name}`,
+        description:
+          `${label} for ${plants}. ` +
+          `Every ${suggestion.everyDays} days, last done ${lastDone}.`,
+        site: site._id.toString(),
+        sections: [suggestion.section._id],
+        worker,
+        branch,
+        scheduledDate:
+          scheduledDate || (suggestion.dueDate > now ? suggestion.dueDate : now),
+        priority:
+          priority || (suggestion.overdueDays > 0 ? "high" : "medium"),
+        category: suggestion.category,
+        estimatedDuration,
+      });
+
+      if (error) {
+        skipped.push({ key: suggestion.key, status, reason: error });
+        continue;
+      }
+
+      const task = await Task.create({
+        ...data,
+        careAction: suggestion.action,
+      });
+      created.push(task);
+    }
+
+    // Nothing created because every selected suggestion failed
+    const failed = created.length === 0 && skipped.length > 0;
+
+    res.status(failed ? 400 : 201).json({
+      success: !failed,
+      message: `${created.length} care task(s) created`,
+      count: created.length,
+      data: created,
+      skipped,
+    });
+  } catch (error) {
+    console.error("Create care tasks error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create care tasks",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getCareSuggestions,
+  createCareTasks,
+};
@@ -0,0 +1,175 @@
+// backend/src/controllers/checklistTemplateController.js
+import ChecklistTemplate from "../models/ChecklistTemplate.js";
+
+/**
+ * @desc    Get all checklist templates
+ * @route   GET /api/v1/checklist-templates
+ * @access  Private (Admin only)
+ */
+export const getChecklistTemplates = async (req, res) => {
+  try {
+    const { category, isActive } = req.query;
+
+    const query = {};
+    if (category) query.category = category;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+
+    const templates = await ChecklistTemplate.find(query).sort("category");
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  } catch (error) {
+    console.error("Get checklist templates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch checklist templates",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get single checklist template
+ * @route   GET /api/v1/checklist-templates/:id
+ * @access  Private (Admin only)
+ */
+export const getChecklistTemplate = async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Checklist template not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    console.error("Get checklist template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch checklist template",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create checklist template for a task category
+ * @route   POST /api/v1/checklist-templates
+ * @access  Private (Admin only)
+ */
+export const createChecklistTemplate = async (req, res) => {
+  try {
+    const existing = await ChecklistTemplate.findOne({
+      category: req.body.category,
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "A checklist template already exists for this category",
+      });
+    }
+
+    const template = await ChecklistTemplate.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Checklist template created successfully",
+      data: template,
+    });
+  } catch (error) {
+    console.error("Create checklist template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create checklist template",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update checklist template (existing tasks keep their copy)
+ * @route   PUT /api/v1/checklist-templates/:id
+ * @access  Private (Admin only)
+ */
+export const updateChecklistTemplate = async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Checklist template not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Checklist template updated successfully",
+      data: template,
+    });
+  } catch (error) {
+    console.error("Update checklist template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update checklist template",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete checklist template
+ * @route   DELETE /api/v1/checklist-templates/:id
+ * @access  Private (Admin only)
+ */
+export const deleteChecklistTemplate = async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Checklist template not found",
+      });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Checklist template deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete checklist template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete checklist template",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getChecklistTemplates,
+  getChecklistTemplate,
+  createChecklistTemplate,
+  updateChecklistTemplate,
+  deleteChecklistTemplate,
+};
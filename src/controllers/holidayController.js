@@ -0,0 +1,170 @@
+// backend/src/controllers/holidayController.js
+import Holiday from "../models/Holiday.js";
+import { parseDate } from "../utils/dates.js";
+
+/**
+ * @desc    Get public holidays
+ * @route   GET /api/v1/holidays?branch=&year=
+ * @access  Private
+ */
+export const getHolidays = async (req, res) => {
+  try {
+    const { branch, year } = req.query;
+
+    const query = {};
+    // A branch also sees the holidays of every branch
+    if (branch) query.branch = { $in: [branch, null] };
+    if (year) {
+      query.$or = [
+        {
+          date: {
+            $gte: new Date(Number(year), 0, 1),
+            $lt: new Date(Number(year) + 1, 0, 1),
+          },
+        },
+        { recurring: true },
+      ];
+    }
+
+    const holidays = await Holiday.find(query)
+      .populate("branch", "name code")
+      .sort("date");
+
+    res.status(200).json({
+      success: true,
+      count: holidays.length,
+      data: holidays,
+    });
+  } catch (error) {
+    console.error("Get holidays error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch holidays",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create public holiday
+ * @route   POST /api/v1/holidays
+ * @access  Private (Admin)
+ */
+export const createHoliday = async (req, res) => {
+  try {
+    const { name, date, recurring, branch } = req.body;
+
+    const day = parseDate(date);
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date",
+      });
+    }
+
+    const holiday = await Holiday.create({
+      name,
+      date: day,
+      recurring,
+      branch: branch || null,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Holiday created successfully",
+      data: holiday,
+    });
+  } catch (error) {
+    console.error("Create holiday error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create holiday",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update public holiday
+ * @route   PUT /api/v1/holidays/:id
+ * @access  Private (Admin)
+ */
+export const updateHoliday = async (req, res) => {
+  try {
+    const updateData = { ...req.body };
+    delete updateData.createdBy;
+
+    if (updateData.date !== undefined) {
+      updateData.date = parseDate(updateData.date);
+      if (!updateData.date) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date",
+        });
+      }
+    }
+
+    const holiday = await Holiday.findByIdAndUpdate(req.params.id, updateData, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Holiday updated successfully",
+      data: holiday,
+    });
+  } catch (error) {
+    console.error("Update holiday error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update holiday",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete public holiday
+ * @route   DELETE /api/v1/holidays/:id
+ * @access  Private (Admin)
+ */
+export const deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Holiday deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete holiday error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete holiday",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+};
@@ -138,7 +138,13 @@ export const createInvoice = async (req, res) => {
     invoice.pdfUrl = pdfPath.replace(/\\/g, '/').split('uploads/')[1];
     await invoice.save();
 
+    // Invoiced amounts must not change afterwards
     task.invoice = invoice._id;
+    if (!task.cost.locked) {
+      task.cost.locked = true;
+      task.cost.lockedAt = new Date();
+      task.cost.lockedBy = req.user.id;
+    }
     await task.save();
 
     res.status(201).json({
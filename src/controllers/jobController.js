@@ -0,0 +1,433 @@
+// backend/src/controllers/jobController.js
+import mongoose from "mongoose";
+import Job from "../models/Job.js";
+import Task from "../models/Task.js";
+import Site from "../models/Site.js";
+import Settings from "../models/Settings.js";
+import { planDependencies } from "../utils/dependencyGraph.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Load a job and check the current user may see it
+ * @returns {Object} - { job } or { status, error }
+ */
+const loadJob = async (req) => {
+  const job = await Job.findById(req.params.id)
+    .populate("site", "name location")
+    .populate("client", "name email phone")
+    .populate("branch", "name code");
+
+  if (!job) {
+    return { status: 404, error: "Job not found" };
+  }
+  if (
+    req.user.role === "client" &&
+    job.client?._id.toString() !== req.user.id
+  ) {
+    return { status: 403, error: "Not authorized to view this job" };
+  }
+
+  return { job };
+};
+
+/**
+ * Roll progress, hours, cost and images of a job's tasks up to the job.
+ * Clients only get the images shared with them and no cost.
+ */
+const buildRollup = (job, tasks, clientView) => {
+  const byStatus = {};
+  tasks.forEach((task) => {
+    byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+  });
+  const completed = byStatus.completed || 0;
+
+  let status = "in-progress";
+  if (job.isCancelled) status = "cancelled";
+  else if (tasks.length > 0 && completed === tasks.length) status = "completed";
+  else if (tasks.every((t) => ["pending", "assigned"].includes(t.status))) {
+    status = "planned";
+  }
+
+  const checklistItems = tasks.flatMap((t) => t.checklist || []);
+
+  const images = { before: [], after: [] };
+  tasks.forEach((task) => {
+    ["before", "after"].forEach((type) => {
+      (task.images?.[type] || [])
+        .filter((img) => !clientView || img.isVisibleToClient)
+        .forEach((img) => {
+          images[type].push({
+            ...img,
+            task: { _id: task._id, title: task.title },
+          });
+        });
+    });
+  });
+
+  const rollup = {
+    status,
+    progress: {
+      total: tasks.length,
+      completed,
+      byStatus,
+      percentage: tasks.length
+        ? Math.round((completed / tasks.length) * 100)
+        : 0,
+      checklist: {
+        total: checklistItems.length,
+        done: checklistItems.filter((item) => item.done).length,
+      },
+    },
+    hours: {
+      estimated: round(
+        tasks.reduce((sum, t) => sum + (t.estimatedDuration || 0), 0)
+      ),
+      actual: round(
+        tasks.reduce((sum, t) => sum + (t.actualDuration || 0), 0)
+      ),
+    },
+    images,
+  };
+
+  if (!clientView) {
+    rollup.cost = ["labor", "materials", "total"].reduce((cost, key) => {
+      cost[key] = round(
+        tasks.reduce((sum, t) => sum + (t.cost?.[key] || 0), 0)
+      );
+      return cost;
+    }, {});
+  }
+
+  return rollup;
+};
+
+/**
+ * @desc    Get jobs (with task progress)
+ * @route   GET /api/v1/jobs?client=&site=&branch=&includeCancelled=
+ * @access  Private (Admin / Client: own jobs)
+ */
+export const getJobs = async (req, res) => {
+  try {
+    const { client, site, branch, includeCancelled } = req.query;
+
+    const query = {};
+    if (req.user.role === "client") query.client = req.user.id;
+    else if (client) query.client = client;
+    if (site) query.site = site;
+    if (branch) query.branch = branch;
+    if (includeCancelled !== "true") query.isCancelled = false;
+
+    const jobs = await Job.find(query)
+      .populate("site", "name")
+      .populate("client", "name")
+      .sort("-createdAt")
+      .lean();
+
+    // Task counts per job and status
+    const counts = await Task.aggregate([
+      { $match: { job: { $in: jobs.map((j) => j._id) } } },
+      {
+        $group: {
+          _id: "$job",
+          total: { $sum: 1 },
+          completed: {
+            $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+          },
+        },
+      },
+    ]);
+    const countsByJob = new Map(counts.map((c) => [c._id.toString(), c]));
+
+    const data = jobs.map((job) => {
+      const count = countsByJob.get(job._id.toString()) || {
+        total: 0,
+        completed: 0,
+      };
+      return {
+        ...job,
+        progress: {
+          total: count.total,
+          completed: count.completed,
+          percentage: count.total
+            ? Math.round((count.completed / count.total) * 100)
+            : 0,
+        },
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    console.error("Get jobs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch jobs",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get job with its tasks and rolled-up progress, cost and images
+ * @route   GET /api/v1/jobs/:id
+ * @access  Private (Admin / Client: own jobs)
+ */
+export const getJob = async (req, res) => {
+  try {
+    const { job, status, error } = await loadJob(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const clientView = req.user.role === "client";
+    const tasks = await Task.find({ job: job._id })
+      .populate("worker", "name")
+      .select(
+        "title status priority category scheduledDate startedAt completedAt estimatedDuration actualDuration dependsOn worker checklist images cost"
+      )
+      .sort("scheduledDate")
+      .lean();
+
+    const rollup = buildRollup(job, tasks, clientView);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...job.toObject(),
+        ...rollup,
+        tasks: tasks.map(({ checklist, images, cost, ...task }) =>
+          clientView ? task : { ...task, cost }
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create job
+ * @route   POST /api/v1/jobs
+ * @access  Private (Admin)
+ * Body: { title, description, site, branch, targetDate, notes } - the
+ * client is taken from the site
+ */
+export const createJob = async (req, res) => {
+  try {
+    const { title, description, site, branch, targetDate, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(site)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid site ID",
+      });
+    }
+
+    const siteDoc = await Site.findById(site).select("client");
+    if (!siteDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Site not found",
+      });
+    }
+
+    const job = await Job.create({
+      title,
+      description,
+      site,
+      client: siteDoc.client,
+      branch: branch || undefined,
+      targetDate,
+      notes,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Job created successfully",
+      data: job,
+    });
+  } catch (error) {
+    console.error("Create job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update job (site and client cannot change once tasks use it)
+ * @route   PUT /api/v1/jobs/:id
+ * @access  Private (Admin)
+ */
+export const updateJob = async (req, res) => {
+  try {
+    const updateData = { ...req.body };
+    delete updateData.site;
+    delete updateData.client;
+    delete updateData.createdBy;
+
+    const job = await Job.findByIdAndUpdate(req.params.id, updateData, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Job updated successfully",
+      data: job,
+    });
+  } catch (error) {
+    console.error("Update job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete job (its tasks are kept and detached from it)
+ * @route   DELETE /api/v1/jobs/:id
+ * @access  Private (Admin)
+ */
+export const deleteJob = async (req, res) => {
+  try {
+    const job = await Job.findByIdAndDelete(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    const result = await Task.updateMany({ job: job._id }, { job: null });
+
+    res.status(200).json({
+      success: true,
+      message: "Job deleted successfully",
+      detachedTasks: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Delete job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the dependency graph of a job's tasks with the critical path
+ *          and the projected completion date
+ * @route   GET /api/v1/jobs/:id/graph
+ * @access  Private (Admin / Client: own jobs)
+ */
+export const getJobGraph = async (req, res) => {
+  try {
+    const { job, status, error } = await loadJob(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const fields =
+      "title status scheduledDate startedAt completedAt estimatedDuration actualDuration dependsOn worker job";
+    const tasks = await Task.find({ job: job._id })
+      .populate("worker", "name")
+      .select(fields)
+      .lean();
+
+    // Prerequisites from outside the job still hold the job up
+    const jobIds = new Set(tasks.map((t) => t._id.toString()));
+    const externalIds = [
+      ...new Set(tasks.flatMap((t) => (t.dependsOn || []).map(String))),
+    ].filter((id) => !jobIds.has(id));
+    const external = await Task.find({ _id: { $in: externalIds } })
+      .populate("worker", "name")
+      .select(fields)
+      .lean();
+
+    const settings = await Settings.getSettings();
+    const plan = planDependencies([...tasks, ...external], {
+      hoursPerDay: settings.attendance?.dailyHours || 8,
+    });
+
+    const nodeIds = new Set(plan.nodes.map(({ task }) => task._id.toString()));
+    const targetDate = job.targetDate || null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        job: { _id: job._id, title: job.title, targetDate },
+        nodes: plan.nodes.map(({ task, ...node }) => ({
+          _id: task._id,
+          title: task.title,
+          status: task.status,
+          worker: task.worker,
+          scheduledDate: task.scheduledDate,
+          estimatedDuration: task.estimatedDuration,
+          external: !jobIds.has(task._id.toString()),
+          ...node,
+        })),
+        edges: plan.nodes.flatMap(({ task }) =>
+          (task.dependsOn || [])
+            .filter((dep) => nodeIds.has(dep.toString()))
+            .map((dep) => ({ from: dep, to: task._id }))
+        ),
+        criticalPath: plan.criticalPath,
+        projectedCompletion: plan.projectedCompletion,
+        // Positive = days late against the job's target date
+        delayDays:
+          targetDate && plan.projectedCompletion
+            ? Math.ceil(
+                (plan.projectedCompletion - targetDate) / (24 * 60 * 60 * 1000)
+              )
+            : null,
+        cycle: plan.cycle,
+      },
+    });
+  } catch (error) {
+    console.error("Get job graph error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build job graph",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getJobs,
+  getJob,
+  createJob,
+  updateJob,
+  deleteJob,
+  getJobGraph,
+};
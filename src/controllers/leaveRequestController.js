@@ -0,0 +1,257 @@
+// backend/src/controllers/leaveRequestController.js
+import LeaveRequest from "../models/LeaveRequest.js";
+import User from "../models/User.js";
+import Task from "../models/Task.js";
+import { parseDate, getDayRange } from "../utils/dates.js";
+import { OPEN_STATUSES } from "../utils/taskLifecycle.js";
+import { crewFilter } from "../services/taskService.js";
+
+/**
+ * @desc    Get leave requests (workers only see their own)
+ * @route   GET /api/v1/leave-requests?worker=&status=&from=&to=
+ * @access  Private (Admin / Worker)
+ */
+export const getLeaveRequests = async (req, res) => {
+  try {
+    const { worker, status, from, to } = req.query;
+
+    const query = {};
+    if (req.user.role === "worker") {
+      query.worker = req.user.id;
+    } else if (worker) {
+      query.worker = worker;
+    }
+    if (status) query.status = status;
+    if (from) query.endDate = { $gte: parseDate(from) };
+    if (to) query.startDate = { $lte: getDayRange(to)?.end };
+
+    const leaveRequests = await LeaveRequest.find(query)
+      .populate("worker", "name email branch")
+      .populate("reviewedBy", "name")
+      .sort("-startDate");
+
+    res.status(200).json({
+      success: true,
+      count: leaveRequests.length,
+      data: leaveRequests,
+    });
+  } catch (error) {
+    console.error("Get leave requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch leave requests",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Request leave (workers for themselves, admins for any worker)
+ * @route   POST /api/v1/leave-requests
+ * @access  Private (Admin / Worker)
+ */
+export const createLeaveRequest = async (req, res) => {
+  try {
+    const { type, reason } = req.body;
+    const workerId =
+      req.user.role === "worker" ? req.user.id : req.body.worker;
+
+    const worker = await User.findById(workerId);
+    if (!worker || worker.role !== "worker") {
+      return res.status(404).json({
+        success: false,
+        message: "Worker not found",
+      });
+    }
+
+    const start = getDayRange(req.body.startDate);
+    const end = getDayRange(req.body.endDate || req.body.startDate);
+    if (!start || !end) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid start or end date",
+      });
+    }
+    if (end.end < start.start) {
+      return res.status(400).json({
+        success: false,
+        message: "End date must be on or after the start date",
+      });
+    }
+
+    const overlapping = await LeaveRequest.exists({
+      worker: workerId,
+      status: { $in: ["pending", "approved"] },
+      startDate: { $lte: end.end },
+      endDate: { $gte: start.start },
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: "There is already a leave request for these dates",
+      });
+    }
+
+    const leaveRequest = await LeaveRequest.create({
+      worker: workerId,
+      type,
+      reason,
+      startDate: start.start,
+      endDate: end.end,
+      requestedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Leave request submitted successfully",
+      data: leaveRequest,
+    });
+  } catch (error) {
+    console.error("Create leave request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit leave request",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Approve or reject a pending leave request
+ */
+const reviewLeaveRequest = async (req, res, status) => {
+  const leaveRequest = await LeaveRequest.findById(req.params.id);
+
+  if (!leaveRequest) {
+    return res.status(404).json({
+      success: false,
+      message: "Leave request not found",
+    });
+  }
+
+  if (leaveRequest.status !== "pending") {
+    return res.status(409).json({
+      success: false,
+      message: `Leave request is already ${leaveRequest.status}`,
+    });
+  }
+
+  leaveRequest.status = status;
+  leaveRequest.reviewedBy = req.user.id;
+  leaveRequest.reviewedAt = new Date();
+  leaveRequest.reviewComment = req.body.comment;
+  await leaveRequest.save();
+
+  // Open tasks the worker now cannot do
+  let conflictingTasks = [];
+  if (status === "approved") {
+    conflictingTasks = await Task.find({
+      ...crewFilter(leaveRequest.worker),
+      status: { $in: OPEN_STATUSES },
+      scheduledDate: {
+        $gte: leaveRequest.startDate,
+        $lte: leaveRequest.endDate,
+      },
+    }).select("title status scheduledDate site");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Leave request ${status} successfully`,
+    data: leaveRequest,
+    conflictingTasks,
+  });
+};
+
+/**
+ * @desc    Approve leave request
+ * @route   PUT /api/v1/leave-requests/:id/approve
+ * @access  Private (Admin)
+ */
+export const approveLeaveRequest = async (req, res) => {
+  try {
+    await reviewLeaveRequest(req, res, "approved");
+  } catch (error) {
+    console.error("Approve leave request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve leave request",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Reject leave request
+ * @route   PUT /api/v1/leave-requests/:id/reject
+ * @access  Private (Admin)
+ */
+export const rejectLeaveRequest = async (req, res) => {
+  try {
+    await reviewLeaveRequest(req, res, "rejected");
+  } catch (error) {
+    console.error("Reject leave request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject leave request",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Cancel leave request (workers: own pending requests only)
+ * @route   DELETE /api/v1/leave-requests/:id
+ * @access  Private (Admin / Worker)
+ */
+export const cancelLeaveRequest = async (req, res) => {
+  try {
+    const leaveRequest = await LeaveRequest.findById(req.params.id);
+
+    if (!leaveRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Leave request not found",
+      });
+    }
+
+    if (req.user.role === "worker") {
+      if (leaveRequest.worker.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Not authorized to cancel this leave request",
+        });
+      }
+      if (leaveRequest.status !== "pending") {
+        return res.status(409).json({
+          success: false,
+          message: "Only pending leave requests can be cancelled",
+        });
+      }
+    }
+
+    leaveRequest.status = "cancelled";
+    await leaveRequest.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Leave request cancelled successfully",
+      data: leaveRequest,
+    });
+  } catch (error) {
+    console.error("Cancel leave request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel leave request",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getLeaveRequests,
+  createLeaveRequest,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  cancelLeaveRequest,
+};
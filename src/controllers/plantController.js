@@ -1,7 +1,22 @@
 // backend/src/controllers/plantController.js - Fixed with Cloudinary
 import Plant from '../models/Plant.js';
+import SitePlant from '../models/SitePlant.js';
 import { v2 as cloudinary } from 'cloudinary';
 
+/**
+ * Multipart forms send the care schedule as JSON text
+ * @returns {String|null} - Error message
+ */
+const parseCareSchedule = (data) => {
+  if (typeof data.careSchedule !== 'string') return null;
+  try {
+    data.careSchedule = JSON.parse(data.careSchedule);
+    return null;
+  } catch (error) {
+    return 'Care schedule must be valid JSON';
+  }
+};
+
 /**
  * @desc    Get all plants
  * @route   GET /api/v1/plants
@@ -97,6 +112,14 @@ export const createPlant = async (req, res) => {
   try {
     const plantData = req.body;
 
+    const scheduleError = parseCareSchedule(plantData);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
     // ✅ Handle Cloudinary image
     if (req.file && req.file.cloudinaryUrl) {
       plantData.image = req.file.cloudinaryUrl;
@@ -138,6 +161,14 @@ export const updatePlant = async (req, res) => {
 
     const updateData = req.body;
 
+    const scheduleError = parseCareSchedule(updateData);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
     // ✅ Handle new Cloudinary image
     if (req.file && req.file.cloudinaryUrl) {
       // Delete old image from Cloudinary
@@ -194,6 +225,18 @@ export const deletePlant = async (req, res) => {
       });
     }
 
+    // Plants growing on sites stay in the catalog (deactivate them instead)
+    const plantings = await SitePlant.countDocuments({
+      plant: plant._id,
+      status: { $ne: 'replaced' }
+    });
+    if (plantings > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Plant is planted in ${plantings} section(s); deactivate it instead`
+      });
+    }
+
     // ✅ Delete image from Cloudinary
     if (plant.cloudinaryId) {
       try {
@@ -4,6 +4,7 @@ import User from '../models/User.js';
 import Invoice from '../models/Invoice.js';
 import InventoryTransaction from '../models/InventoryTransaction.js';
 import Inventory from '../models/Inventory.js';
+import { TASK_STATUSES } from '../utils/taskLifecycle.js';
 
 /**
  * @desc    Get dashboard statistics
@@ -25,9 +26,7 @@ export const getDashboardStats = async (req, res) => {
     // Get counts
     const [
       totalTasks,
-      completedTasks,
-      pendingTasks,
-      inProgressTasks,
+      tasksByStatus,
       totalClients,
       activeClients,
       totalWorkers,
@@ -37,9 +36,10 @@ export const getDashboardStats = async (req, res) => {
       pendingInvoices
     ] = await Promise.all([
       Task.countDocuments(dateFilter),
-      Task.countDocuments({ ...dateFilter, status: 'completed' }),
-      Task.countDocuments({ ...dateFilter, status: 'pending' }),
-      Task.countDocuments({ ...dateFilter, status: 'in-progress' }),
+      Task.aggregate([
+        { $match: dateFilter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
       Client.countDocuments(dateFilter),
       Client.countDocuments({ ...dateFilter, status: 'active' }),
       User.countDocuments({ ...dateFilter, role: 'worker' }),
@@ -49,6 +49,15 @@ export const getDashboardStats = async (req, res) => {
       Invoice.countDocuments({ ...dateFilter, paymentStatus: 'pending' })
     ]);
 
+    // Every lifecycle status, including those without tasks
+    const statusCounts = Object.fromEntries(
+      TASK_STATUSES.map((status) => [status, 0])
+    );
+    tasksByStatus.forEach(({ _id, count }) => {
+      statusCounts[_id] = count;
+    });
+    const completedTasks = statusCounts.completed;
+
     // Get revenue
     const revenueData = await Invoice.aggregate([
       { $match: { paymentStatus: 'paid', ...dateFilter } },
@@ -69,8 +78,13 @@ export const getDashboardStats = async (req, res) => {
         tasks: {
           total: totalTasks,
           completed: completedTasks,
-          pending: pendingTasks,
-          inProgress: inProgressTasks,
+          pending: statusCounts.pending,
+          assigned: statusCounts.assigned,
+          inProgress: statusCounts['in-progress'],
+          review: statusCounts.review,
+          rejected: statusCounts.rejected,
+          rework: statusCounts.rework,
+          byStatus: statusCounts,
           completionRate: totalTasks > 0 ? ((completedTasks / totalTasks) * 100).toFixed(2) : 0
         },
         clients: {
@@ -357,12 +371,68 @@ export const getWorkerPerformanceReport = async (req, res) => {
           ...dateFilter
         }
       },
+      // One row per crew member (just the worker for single-worker tasks)
+      {
+        $addFields: {
+          members: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$crew', []] } }, 0] },
+              '$crew.worker',
+              ['$worker']
+            ]
+          }
+        }
+      },
+      {
+        $addFields: { share: { $divide: [1, { $size: '$members' }] } }
+      },
+      {
+        $unwind: '$members'
+      },
+      // Hours from the member's own work sessions; older tasks split evenly
+      {
+        $addFields: {
+          memberHours: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$workSessions', []] } }, 0] },
+              {
+                $divide: [
+                  {
+                    $sum: {
+                      $map: {
+                        input: {
+                          $filter: {
+                            input: '$workSessions',
+                            cond: {
+                              $and: [
+                                { $eq: ['$$this.worker', '$members'] },
+                                { $gt: ['$$this.endedAt', null] }
+                              ]
+                            }
+                          }
+                        },
+                        in: { $subtract: ['$$this.endedAt', '$$this.startedAt'] }
+                      }
+                    }
+                  },
+                  3600000
+                ]
+              },
+              { $multiply: ['$actualDuration', '$share'] }
+            ]
+          }
+        }
+      },
       {
         $group: {
-          _id: '$worker',
+          _id: '$members',
           tasksCompleted: { $sum: 1 },
-          totalRevenue: { $sum: '$cost.total' },
-          avgRating: { $avg: '$feedback.rating' }
+          // Each task counts once, split across its crew
+          taskCredit: { $sum: '$share' },
+          totalRevenue: { $sum: { $multiply: ['$cost.total', '$share'] } },
+          avgRating: { $avg: '$feedback.rating' },
+          activeHours: { $sum: '$memberHours' },
+          idleHours: { $sum: { $multiply: ['$idleDuration', '$share'] } }
         }
       },
       {
@@ -381,8 +451,29 @@ export const getWorkerPerformanceReport = async (req, res) => {
           workerName: '$worker.name',
           workerEmail: '$worker.email',
           tasksCompleted: 1,
-          totalRevenue: 1,
-          avgRating: { $round: ['$avgRating', 2] }
+          taskCredit: { $round: ['$taskCredit', 2] },
+          totalRevenue: { $round: ['$totalRevenue', 2] },
+          avgRating: { $round: ['$avgRating', 2] },
+          activeHours: { $round: ['$activeHours', 2] },
+          idleHours: { $round: ['$idleHours', 2] },
+          // Share of on-task time spent working (vs paused)
+          activePercentage: {
+            $cond: [
+              { $gt: [{ $add: ['$activeHours', '$idleHours'] }, 0] },
+              {
+                $round: [
+                  {
+                    $multiply: [
+                      { $divide: ['$activeHours', { $add: ['$activeHours', '$idleHours'] }] },
+                      100
+                    ]
+                  },
+                  1
+                ]
+              },
+              null
+            ]
+          }
         }
       },
       {
@@ -405,10 +496,71 @@ export const getWorkerPerformanceReport = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get tasks started or completed outside the site geofence
+ * @route   GET /api/v1/reports/geofence
+ * @access  Private (Admin)
+ */
+export const getGeofenceReport = async (req, res) => {
+  try {
+    const { startDate, endDate, site, worker } = req.query;
+
+    const query = {
+      $or: [
+        { 'startLocation.outsideGeofence': true },
+        { 'endLocation.outsideGeofence': true }
+      ]
+    };
+
+    if (startDate && endDate) {
+      query.startedAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+    if (site) query.site = site;
+    if (worker) query.worker = worker;
+
+    const tasks = await Task.find(query)
+      .populate('worker', 'name email phone')
+      .populate('site', 'name location geofence')
+      .select('title status worker site scheduledDate startedAt completedAt startLocation endLocation')
+      .sort('-startedAt')
+      .lean();
+
+    const data = tasks.map((task) => ({
+      ...task,
+      startOutside: !!task.startLocation?.outsideGeofence,
+      endOutside: !!task.endLocation?.outsideGeofence
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: {
+        summary: {
+          total: data.length,
+          startOutside: data.filter((t) => t.startOutside).length,
+          endOutside: data.filter((t) => t.endOutside).length
+        },
+        tasks: data
+      }
+    });
+  } catch (error) {
+    console.error('Get geofence report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch geofence report',
+      error: error.message
+    });
+  }
+};
+
 export default {
   getDashboardStats,
   getWeeklyReport,
   getMonthlyReport,
-  getWorkerPerformanceReport
+  getWorkerPerformanceReport,
+  getGeofenceReport
 };
 
@@ -0,0 +1,59 @@
+import Settings from '../models/Settings.js';
+
+/**
+ * @desc    Get application settings
+ * @route   GET /api/v1/settings
+ * @access  Private (Admin)
+ */
+export const getSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update application settings
+ * @route   PUT /api/v1/settings
+ * @access  Private (Admin)
+ */
+export const updateSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    const updateData = { ...req.body };
+    delete updateData._id;
+
+    settings.set(updateData);
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update settings',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getSettings,
+  updateSettings
+};
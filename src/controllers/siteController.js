@@ -1,7 +1,63 @@
 import Site from "../models/Site.js";
 import Client from "../models/Client.js";
+import SitePlant from "../models/SitePlant.js";
+import ReferenceImageVersion from "../models/ReferenceImageVersion.js";
+import Task from "../models/Task.js";
+import TaskRecurrence from "../models/TaskRecurrence.js";
 import { v2 as cloudinary } from "cloudinary";
 import mongoose from "mongoose";
+import {
+  toGeoPoint,
+  parseBoundary,
+  polygonCenter,
+  parseBoundingBox,
+  haversineDistance,
+} from "../utils/geo.js";
+import { parseKml, buildKml } from "../utils/kml.js";
+import { refreshPlantUsage } from "../services/plantService.js";
+import {
+  recordReferenceImageBaseline,
+  saveReferenceImageVersion,
+  deleteReferenceImageVersions,
+} from "../services/referenceImageService.js";
+
+const DEFAULT_NEARBY_RADIUS = 5000; // meters
+const MAX_NEARBY_RADIUS = 100000;
+const MAX_NEARBY_SITES = 100;
+const MAX_MAP_SITES = 500;
+
+/**
+ * Replace the boundary of request data with a normalized GeoJSON Polygon
+ * (null or "" removes it)
+ * @returns {Object} - {} or { error }
+ */
+const normalizeBoundaryField = (data) => {
+  if (data.boundary === undefined) return {};
+  if (data.boundary === null || data.boundary === "") {
+    data.boundary = undefined;
+    return {};
+  }
+
+  const { polygon, error } = parseBoundary(data.boundary);
+  if (error) return { error };
+
+  data.boundary = polygon;
+  return {};
+};
+
+/**
+ * Features of an uploaded GeoJSON document (FeatureCollection, Feature or
+ * bare Polygon)
+ */
+const geoJsonFeatures = (doc) => {
+  if (doc?.type === "FeatureCollection") return doc.features || [];
+  if (doc?.type === "Feature") return [doc];
+  if (doc?.type) return [{ type: "Feature", properties: {}, geometry: doc }];
+  return [];
+};
+
+// 2dsphere indexes refuse self-intersecting or otherwise invalid polygons
+const isGeoKeyError = (error) => error.code === 16755;
 
 /**
  * @desc    Get all sites
@@ -178,6 +234,14 @@ export const createSite = async (req, res) => {
       });
     }
 
+    const boundaryCheck = normalizeBoundaryField(siteData);
+    if (boundaryCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: boundaryCheck.error,
+      });
+    }
+
     // Create site
     const site = await Site.create(siteData);
 
@@ -227,6 +291,28 @@ export const updateSite = async (req, res) => {
 
     const updateData = req.body;
 
+    // Sections keep their IDs (tasks point at them): they only change
+    // through the section routes
+    delete updateData.sections;
+
+    // Boundaries go through PUT /:id/boundary, which recalculates the area
+    // and the geofence polygon (the boundary's outer ring)
+    delete updateData.boundary;
+    if (updateData.geofence && typeof updateData.geofence === "object") {
+      if (updateData.geofence.radius !== undefined) {
+        updateData["geofence.radius"] = updateData.geofence.radius;
+      }
+      delete updateData.geofence;
+    }
+    if (site.boundary) {
+      delete updateData.totalArea;
+    }
+    if (updateData.location && typeof updateData.location === "object") {
+      updateData.location.point =
+        toGeoPoint(updateData.location.coordinates) ||
+        toGeoPoint(polygonCenter(site.boundary));
+    }
+
     // Handle new cover image
     if (req.file && req.file.cloudinaryUrl) {
       // Delete old image from Cloudinary
@@ -318,6 +404,18 @@ export const deleteSite = async (req, res) => {
 
     await site.deleteOne();
 
+    await deleteReferenceImageVersions(
+      { site: site._id },
+      site.sections.flatMap((s) =>
+        s.referenceImages.map((img) => img.cloudinaryId)
+      )
+    );
+
+    // Plantings go with the site
+    const plantIds = await SitePlant.distinct("plant", { site: site._id });
+    await SitePlant.deleteMany({ site: site._id });
+    await refreshPlantUsage(plantIds);
+
     res.status(200).json({
       success: true,
       message: "Site deleted successfully",
@@ -345,6 +443,15 @@ export const addSection = async (req, res) => {
     }
 
     const sectionData = req.body;
+    delete sectionData.referenceImagesVersion;
+
+    const boundaryCheck = normalizeBoundaryField(sectionData);
+    if (boundaryCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: boundaryCheck.error,
+      });
+    }
 
     // ✅ UPDATED: Handle reference images/videos with QTN from Cloudinary
     if (req.files && req.files.length > 0) {
@@ -361,6 +468,12 @@ export const addSection = async (req, res) => {
 
     await site.addSection(sectionData);
 
+    // The first reference images are version 1
+    const section = site.sections[site.sections.length - 1];
+    if (section.referenceImages.length > 0) {
+      await saveReferenceImageVersion(req, site, section, "create");
+    }
+
     res.status(200).json({
       success: true,
       message: "Section added successfully",
@@ -393,6 +506,21 @@ export const updateSection = async (req, res) => {
     }
 
     const updateData = req.body;
+    delete updateData.referenceImagesVersion;
+
+    const boundaryCheck = normalizeBoundaryField(updateData);
+    if (boundaryCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: boundaryCheck.error,
+      });
+    }
+
+    // Images from before versioning are kept as version 0
+    const currentSection = site.sections.id(req.params.sectionId);
+    if (currentSection && (updateData.referenceImages || req.files?.length)) {
+      await recordReferenceImageBaseline(site, currentSection);
+    }
 
     // ✅ UPDATED: Handle new reference images/videos with QTN
     if (req.files && req.files.length > 0) {
@@ -419,6 +547,15 @@ export const updateSection = async (req, res) => {
 
     await site.updateSection(req.params.sectionId, updateData);
 
+    if (updateData.referenceImages) {
+      await saveReferenceImageVersion(
+        req,
+        site,
+        site.sections.id(req.params.sectionId),
+        req.files?.length > 0 ? "add" : "update"
+      );
+    }
+
     res.status(200).json({
       success: true,
       message: "Section updated successfully",
@@ -453,6 +590,41 @@ export const deleteSection = async (req, res) => {
     // Get section to delete its images
     const section = site.sections.id(req.params.sectionId);
 
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: "Section not found",
+      });
+    }
+
+    // Tasks not approved yet (and recurring schedules) would lose their
+    // section
+    const [openTasks, recurrences] = await Promise.all([
+      Task.find({
+        site: site._id,
+        sections: section._id,
+        status: { $ne: "completed" },
+      })
+        .select("title status scheduledDate")
+        .lean(),
+      TaskRecurrence.find({
+        site: site._id,
+        sections: section._id,
+        status: "active",
+      })
+        .select("title")
+        .lean(),
+    ]);
+
+    if (openTasks.length > 0 || recurrences.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Section is used by ${openTasks.length} open task(s) and ${recurrences.length} active recurring schedule(s)`,
+        openTasks,
+        recurrences,
+      });
+    }
+
     if (
       section &&
       section.referenceImages &&
@@ -472,6 +644,17 @@ export const deleteSection = async (req, res) => {
 
     await site.deleteSection(req.params.sectionId);
 
+    await deleteReferenceImageVersions(
+      { site: site._id, section: section._id },
+      section.referenceImages.map((img) => img.cloudinaryId)
+    );
+
+    // Plantings go with the section
+    const plantingFilter = { site: site._id, section: req.params.sectionId };
+    const plantIds = await SitePlant.distinct("plant", plantingFilter);
+    await SitePlant.deleteMany(plantingFilter);
+    await refreshPlantUsage(plantIds);
+
     res.status(200).json({
       success: true,
       message: "Section deleted successfully",
@@ -525,20 +708,14 @@ export const deleteReferenceImage = async (req, res) => {
     }
 
     const image = section.referenceImages[imageIndex];
+    await recordReferenceImageBaseline(site, section);
 
-    // Delete from Cloudinary
-    if (image.cloudinaryId) {
-      try {
-        await cloudinary.uploader.destroy(image.cloudinaryId);
-        console.log("🗑️ Reference image deleted from Cloudinary");
-      } catch (err) {
-        console.error("Failed to delete image from Cloudinary:", err);
-      }
-    }
-
-    // Remove from array
+    // The file stays on Cloudinary: older versions and task snapshots
+    // still show it, and the version can be restored
     section.referenceImages.splice(imageIndex, 1);
-    await site.save();
+    await saveReferenceImageVersion(req, site, section, "delete", {
+      image: image._id,
+    });
 
     res.status(200).json({
       success: true,
@@ -593,6 +770,8 @@ export const updateReferenceImage = async (req, res) => {
       });
     }
 
+    await recordReferenceImageBaseline(site, section);
+
     // Update image fields
     if (qtn !== undefined) {
       image.qtn = parseInt(qtn) || 1;
@@ -604,7 +783,9 @@ export const updateReferenceImage = async (req, res) => {
       image.caption = caption;
     }
 
-    await site.save();
+    await saveReferenceImageVersion(req, site, section, "update", {
+      image: image._id,
+    });
 
     res.status(200).json({
       success: true,
@@ -620,6 +801,630 @@ export const updateReferenceImage = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Get the reference image timeline of a section (newest first)
+ * @route   GET /api/v1/sites/:id/sections/:sectionId/images/versions
+ * @access  Private (Admin only)
+ */
+export const getReferenceImageVersions = async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id).select("name sections");
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: "Site not found",
+      });
+    }
+
+    const section = site.sections.id(req.params.sectionId);
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: "Section not found",
+      });
+    }
+
+    const versions = await ReferenceImageVersion.find({
+      site: site._id,
+      section: section._id,
+    })
+      .sort({ version: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      currentVersion: section.referenceImagesVersion || 0,
+      images: section.referenceImages,
+      data: versions.map((v) => ({ ...v, imageCount: v.images.length })),
+    });
+  } catch (error) {
+    console.error("Get reference image versions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reference image versions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Restore the reference images of an earlier version (recorded as
+ *          a new version)
+ * @route   POST /api/v1/sites/:id/sections/:sectionId/images/versions/:version/restore
+ * @access  Private (Admin only)
+ */
+export const restoreReferenceImageVersion = async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: "Site not found",
+      });
+    }
+
+    const section = site.sections.id(req.params.sectionId);
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: "Section not found",
+      });
+    }
+
+    const versionNumber = Number(req.params.version);
+    const version = Number.isInteger(versionNumber)
+      ? await ReferenceImageVersion.findOne({
+          site: site._id,
+          section: section._id,
+          version: versionNumber,
+        }).lean()
+      : null;
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: "Version not found",
+      });
+    }
+
+    if (version.version === section.referenceImagesVersion) {
+      return res.status(400).json({
+        success: false,
+        message: "This is already the current version",
+      });
+    }
+
+    await recordReferenceImageBaseline(site, section);
+
+    // Images keep their IDs, so task snapshots still point at them
+    section.referenceImages = version.images.map(({ imageId, ...img }) => ({
+      ...img,
+      _id: imageId,
+    }));
+
+    const restored = await saveReferenceImageVersion(
+      req,
+      site,
+      section,
+      "restore",
+      { restoredFrom: version.version }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Reference images restored from version ${version.version}`,
+      data: {
+        version: restored.version,
+        images: section.referenceImages,
+      },
+    });
+  } catch (error) {
+    console.error("Restore reference image version error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore reference images",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update site geofence (radius and/or polygon)
+ * @route   PUT /api/v1/sites/:id/geofence
+ * @access  Private (Admin only)
+ */
+export const updateSiteGeofence = async (req, res) => {
+  try {
+    const { radius, polygon } = req.body;
+
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: "Site not found",
+      });
+    }
+
+    if (polygon !== undefined) {
+      const points = Array.isArray(polygon) ? polygon : [];
+      const validPoints = points.every(
+        (p) =>
+          p &&
+          Number.isFinite(Number(p.latitude)) &&
+          Number.isFinite(Number(p.longitude))
+      );
+
+      if (points.length > 0 && (points.length < 3 || !validPoints)) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Polygon must have at least 3 points with latitude and longitude",
+        });
+      }
+      // Same checks as the boundary it becomes (e.g. repeated points)
+      const boundaryCheck = points.length > 0 ? parseBoundary(points) : {};
+      if (boundaryCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: boundaryCheck.error,
+        });
+      }
+
+      site.geofence.polygon = points.map((p) => ({
+        latitude: Number(p.latitude),
+        longitude: Number(p.longitude),
+      }));
+    }
+
+    if (radius !== undefined) {
+      site.geofence.radius = radius === null ? undefined : Number(radius);
+    }
+
+    // A polygon also becomes the site boundary (see the Site pre-save hook)
+    await site.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Site geofence updated successfully",
+      data: site.geofence,
+    });
+  } catch (error) {
+    if (isGeoKeyError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: "Polygon is not valid (edges may cross)",
+      });
+    }
+    console.error("Update site geofence error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update site geofence",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get sites near a point (closest first)
+ * @route   GET /api/v1/sites/nearby?near=lat,lng&radius=&limit=
+ * @access  Private (Admin only)
+ * radius is in meters (default 5 km, at most 100 km)
+ */
+export const getNearbySites = async (req, res) => {
+  try {
+    const [latitude, longitude] = String(req.query.near || "")
+      .split(",")
+      .map(Number);
+    const center = toGeoPoint({ latitude, longitude });
+
+    if (!center || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return res.status(400).json({
+        success: false,
+        message: "near must be latitude,longitude",
+      });
+    }
+
+    const radius =
+      req.query.radius !== undefined
+        ? Number(req.query.radius)
+        : DEFAULT_NEARBY_RADIUS;
+    if (!(radius > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "radius must be a positive number of meters",
+      });
+    }
+
+    const limit = Math.max(
+      Math.min(parseInt(req.query.limit) || MAX_NEARBY_SITES, MAX_NEARBY_SITES),
+      1
+    );
+
+    const sites = await Site.find({
+      "location.point": {
+        $nearSphere: {
+          $geometry: center,
+          $maxDistance: Math.min(radius, MAX_NEARBY_RADIUS),
+        },
+      },
+    })
+      .populate("client", "name")
+      .select("name client siteType location boundary totalArea isActive")
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: sites.length,
+      data: sites.map((site) => {
+        const [lng, lat] = site.location.point.coordinates;
+        return {
+          ...site,
+          distance: Math.round(
+            haversineDistance(
+              { latitude, longitude },
+              { latitude: lat, longitude: lng }
+            )
+          ),
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Get nearby sites error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch nearby sites",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get sites inside a map bounding box (with their section
+ *          boundaries)
+ * @route   GET /api/v1/sites/within?bbox=minLng,minLat,maxLng,maxLat
+ * @access  Private (Admin only)
+ */
+export const getSitesInBounds = async (req, res) => {
+  try {
+    const { polygon, error } = parseBoundingBox(req.query.bbox);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // A site counts when its point is inside or its boundary overlaps
+    const sites = await Site.find({
+      $or: [
+        { "location.point": { $geoWithin: { $geometry: polygon } } },
+        { boundary: { $geoIntersects: { $geometry: polygon } } },
+      ],
+    })
+      .populate("client", "name")
+      .select(
+        "name client siteType location boundary totalArea isActive sections._id sections.name sections.status sections.area sections.boundary"
+      )
+      .limit(MAX_MAP_SITES + 1)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: Math.min(sites.length, MAX_MAP_SITES),
+      // More sites than returned: zoom in
+      truncated: sites.length > MAX_MAP_SITES,
+      data: sites.slice(0, MAX_MAP_SITES),
+    });
+  } catch (error) {
+    console.error("Get sites in bounds error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sites",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Set or clear the site boundary (the total area is calculated
+ *          from it)
+ * @route   PUT /api/v1/sites/:id/boundary
+ * @access  Private (Admin only)
+ * Body: { boundary: GeoJSON Polygon | Feature | [{ latitude, longitude }] | null }
+ */
+export const updateSiteBoundary = async (req, res) => {
+  try {
+    if (req.body.boundary === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a boundary (or null to clear it)",
+      });
+    }
+
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: "Site not found",
+      });
+    }
+
+    const data = { boundary: req.body.boundary };
+    const { error } = normalizeBoundaryField(data);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    site.boundary = data.boundary;
+    await site.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Site boundary updated successfully",
+      data: {
+        boundary: site.boundary || null,
+        totalArea: site.totalArea,
+        point: site.location?.point || null,
+      },
+    });
+  } catch (error) {
+    if (isGeoKeyError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: "Boundary is not a valid polygon (edges may cross)",
+      });
+    }
+    console.error("Update site boundary error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update site boundary",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Import site and section boundaries from a GeoJSON or KML file
+ * @route   POST /api/v1/sites/:id/boundaries/import
+ * @access  Private (Admin only)
+ * Send a "file" (.geojson, .json or .kml) or a GeoJSON body. Features are
+ * matched by properties.sectionId, then by name (the site's own name or
+ * type "site" sets the site boundary); a single unmatched feature is the
+ * site boundary. Unmatched features become new sections with
+ * createSections=true, otherwise they are skipped.
+ */
+export const importSiteBoundaries = async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: "Site not found",
+      });
+    }
+
+    const createSections = [
+      req.query.createSections,
+      req.body.createSections,
+    ].some((value) => value === true || value === "true");
+
+    let features;
+    if (req.file) {
+      const text = req.file.buffer.toString("utf8");
+      if (req.file.originalname.toLowerCase().endsWith(".kml")) {
+        features = parseKml(text);
+      } else {
+        try {
+          features = geoJsonFeatures(JSON.parse(text));
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: "File is not valid GeoJSON",
+          });
+        }
+      }
+    } else {
+      features = geoJsonFeatures(req.body);
+    }
+
+    if (features.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No features found",
+      });
+    }
+
+    const byName = (name) =>
+      site.sections.find(
+        (s) => s.name.trim().toLowerCase() === name.trim().toLowerCase()
+      );
+
+    const result = { site: false, sections: [], skipped: [] };
+
+    features.forEach((feature, index) => {
+      const properties = feature.properties || {};
+      const name = properties.name ? String(properties.name) : "";
+      const { polygon, error } = parseBoundary(feature.geometry);
+      if (error) {
+        result.skipped.push({ index, name, reason: error });
+        return;
+      }
+
+      let section =
+        properties.sectionId &&
+        mongoose.Types.ObjectId.isValid(properties.sectionId)
+          ? site.sections.id(properties.sectionId)
+          : null;
+      const isSite =
+        !section &&
+        (properties.type === "site" ||
+          (name &&
+            name.trim().toLowerCase() === site.name.trim().toLowerCase()));
+      if (!section && !isSite && name) section = byName(name);
+
+      if (isSite || (!section && features.length === 1 && !name)) {
+        site.boundary = polygon;
+        result.site = true;
+        return;
+      }
+
+      if (!section && createSections && name) {
+        site.sections.push({ name, boundary: polygon });
+        section = site.sections[site.sections.length - 1];
+        result.sections.push({ _id: section._id, name, created: true });
+        return;
+      }
+
+      if (!section) {
+        result.skipped.push({ index, name, reason: "No matching section" });
+        return;
+      }
+
+      section.boundary = polygon;
+      result.sections.push({
+        _id: section._id,
+        name: section.name,
+        created: false,
+      });
+    });
+
+    await site.save();
+
+    // Areas are calculated on save
+    result.totalArea = site.totalArea;
+    result.sections = result.sections.map((entry) => ({
+      ...entry,
+      area: site.sections.id(entry._id).area,
+    }));
+
+    const imported = result.sections.length + (result.site ? 1 : 0);
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${imported} boundaries`,
+      data: result,
+    });
+  } catch (error) {
+    if (isGeoKeyError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: "A boundary is not a valid polygon (edges may cross)",
+      });
+    }
+    console.error("Import site boundaries error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to import boundaries",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Export site and section boundaries as GeoJSON or KML
+ * @route   GET /api/v1/sites/:id/boundaries/export?format=geojson|kml
+ * @access  Private (Admin only)
+ */
+export const exportSiteBoundaries = async (req, res) => {
+  try {
+    const format = req.query.format || "geojson";
+    if (!["geojson", "kml"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be geojson or kml",
+      });
+    }
+
+    const site = await Site.findById(req.params.id)
+      .select(
+        "name boundary totalArea sections._id sections.name sections.area sections.boundary"
+      )
+      .lean();
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: "Site not found",
+      });
+    }
+
+    const features = [];
+    if (site.boundary) {
+      features.push({
+        type: "Feature",
+        properties: {
+          name: site.name,
+          type: "site",
+          siteId: site._id.toString(),
+          area: site.totalArea,
+        },
+        geometry: site.boundary,
+      });
+    }
+    site.sections
+      .filter((section) => section.boundary)
+      .forEach((section) => {
+        features.push({
+          type: "Feature",
+          properties: {
+            name: section.name,
+            type: "section",
+            sectionId: section._id.toString(),
+            area: section.area,
+          },
+          geometry: section.boundary,
+        });
+      });
+
+    const baseName =
+      site.name
+        .replace(/[^a-z0-9]+/gi, "-")
+        .replace(/^-|-$/g, "")
+        .toLowerCase() || "site";
+
+    if (format === "kml") {
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.google-earth.kml+xml; charset=utf-8"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${baseName}-boundaries.kml"`
+      );
+      return res.status(200).send(buildKml({ name: site.name, features }));
+    }
+
+    res.setHeader("Content-Type", "application/geo+json; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${baseName}-boundaries.geojson"`
+    );
+    res.status(200).send(
+      JSON.stringify({ type: "FeatureCollection", features }, null, 2)
+    );
+  } catch (error) {
+    console.error("Export site boundaries error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export boundaries",
+      error: error.message,
+    });
+  }
+};
+
 export default {
   getAllSites,
   getSiteById,
@@ -631,4 +1436,12 @@ export default {
   deleteSection,
   deleteReferenceImage,
   updateReferenceImage,
+  getReferenceImageVersions,
+  restoreReferenceImageVersion,
+  updateSiteGeofence,
+  getNearbySites,
+  getSitesInBounds,
+  updateSiteBoundary,
+  importSiteBoundaries,
+  exportSiteBoundaries,
 };
@@ -0,0 +1,426 @@
+// backend/src/controllers/sitePlantController.js
+import mongoose from "mongoose";
+import Site from "../models/Site.js";
+import Plant from "../models/Plant.js";
+import SitePlant from "../models/SitePlant.js";
+import { refreshPlantUsage } from "../services/plantService.js";
+
+// Catalog fields shown with a planting (clients get no price or stock)
+const PLANT_FIELDS =
+  "name scientificName category image careInstructions growthRate seasonality unit";
+
+/**
+ * Load the site and section of a section plant route
+ * @returns {Object} - { site, section } or { status, error }
+ */
+const loadSection = async (req) => {
+  const site = await Site.findById(req.params.id).select(
+    "name client sections"
+  );
+  if (!site) {
+    return { status: 404, error: "Site not found" };
+  }
+
+  const section = site.sections.id(req.params.sectionId);
+  if (!section) {
+    return { status: 404, error: "Section not found" };
+  }
+
+  return { site, section };
+};
+
+/**
+ * Check a catalog plant can be planted
+ * @returns {Object} - { plant } or { status, error }
+ */
+const loadCatalogPlant = async (plantId) => {
+  if (!mongoose.Types.ObjectId.isValid(plantId)) {
+    return { status: 400, error: "Invalid plant ID" };
+  }
+
+  const plant = await Plant.findById(plantId).select("isActive");
+  if (!plant) {
+    return { status: 404, error: "Plant not found" };
+  }
+  if (!plant.isActive) {
+    return { status: 400, error: "Plant is not active in the catalog" };
+  }
+
+  return { plant };
+};
+
+/**
+ * @desc    Get the plants of a section
+ * @route   GET /api/v1/sites/:id/sections/:sectionId/plants?status=
+ * @access  Private (Admin only)
+ */
+export const getSectionPlants = async (req, res) => {
+  try {
+    const { site, section, status, error } = await loadSection(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const query = { site: site._id, section: section._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const plantings = await SitePlant.find(query)
+      .populate("plant", `${PLANT_FIELDS} price`)
+      .populate("addedBy", "name")
+      .sort("-plantedAt")
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: plantings.length,
+      data: plantings,
+    });
+  } catch (error) {
+    console.error("Get section plants error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch section plants",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Add plants to a section
+ * @route   POST /api/v1/sites/:id/sections/:sectionId/plants
+ * @access  Private (Admin only)
+ * Body: { plant, quantity, plantedAt, status, notes }
+ */
+export const addSectionPlant = async (req, res) => {
+  try {
+    const { site, section, status, error } = await loadSection(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const { plant, quantity, plantedAt, notes } = req.body;
+
+    const catalog = await loadCatalogPlant(plant);
+    if (catalog.error) {
+      return res.status(catalog.status).json({
+        success: false,
+        message: catalog.error,
+      });
+    }
+
+    if (req.body.status === "replaced") {
+      return res.status(400).json({
+        success: false,
+        message: "New plantings cannot start as replaced",
+      });
+    }
+
+    const planting = await SitePlant.create({
+      site: site._id,
+      section: section._id,
+      plant,
+      quantity,
+      plantedAt: plantedAt || undefined,
+      status: req.body.status || undefined,
+      notes,
+      addedBy: req.user.id,
+    });
+
+    await refreshPlantUsage([plant]);
+    await planting.populate("plant", `${PLANT_FIELDS} price`);
+
+    res.status(201).json({
+      success: true,
+      message: "Plant added to section successfully",
+      data: planting,
+    });
+  } catch (error) {
+    console.error("Add section plant error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add plant to section",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a section planting (quantity, date, status, notes). Marking
+ *          it "replaced" with a replacement plants the new one in its place.
+ * @route   PUT /api/v1/sites/:id/sections/:sectionId/plants/:plantingId
+ * @access  Private (Admin only)
+ * Body: { plant, quantity, plantedAt, status, notes,
+ *         replacement: { plant, quantity, plantedAt, notes } }
+ */
+export const updateSectionPlant = async (req, res) => {
+  try {
+    const { site, section, status, error } = await loadSection(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const planting = await SitePlant.findOne({
+      _id: req.params.plantingId,
+      site: site._id,
+      section: section._id,
+    });
+
+    if (!planting) {
+      return res.status(404).json({
+        success: false,
+        message: "Planting not found",
+      });
+    }
+
+    const { plant, quantity, plantedAt, notes, replacement } = req.body;
+    const previousPlant = planting.plant.toString();
+
+    if (plant !== undefined && plant !== previousPlant) {
+      const catalog = await loadCatalogPlant(plant);
+      if (catalog.error) {
+        return res.status(catalog.status).json({
+          success: false,
+          message: catalog.error,
+        });
+      }
+      planting.plant = plant;
+    }
+    if (quantity !== undefined) planting.quantity = quantity;
+    if (plantedAt !== undefined) planting.plantedAt = plantedAt;
+    if (notes !== undefined) planting.notes = notes;
+
+    const newStatus = replacement ? "replaced" : req.body.status;
+    if (newStatus !== undefined && newStatus !== planting.status) {
+      if (planting.status === "replaced") {
+        return res.status(400).json({
+          success: false,
+          message: "A replaced planting cannot change status",
+        });
+      }
+      planting.status = newStatus;
+      planting.statusChangedAt = new Date();
+    }
+
+    let newPlanting = null;
+    if (replacement) {
+      const catalog = await loadCatalogPlant(replacement.plant);
+      if (catalog.error) {
+        return res.status(catalog.status).json({
+          success: false,
+          message: catalog.error,
+        });
+      }
+
+      newPlanting = new SitePlant({
+        site: site._id,
+        section: section._id,
+        plant: replacement.plant,
+        quantity: replacement.quantity || planting.quantity,
+        plantedAt: replacement.plantedAt || undefined,
+        notes: replacement.notes,
+        addedBy: req.user.id,
+      });
+      await newPlanting.validate();
+      planting.replacedBy = newPlanting._id;
+    }
+
+    await planting.save();
+    if (newPlanting) await newPlanting.save();
+
+    await refreshPlantUsage([
+      previousPlant,
+      planting.plant,
+      newPlanting?.plant,
+    ]);
+    await planting.populate("plant", `${PLANT_FIELDS} price`);
+    if (newPlanting) {
+      await newPlanting.populate("plant", `${PLANT_FIELDS} price`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Planting updated successfully",
+      data: planting,
+      replacement: newPlanting,
+    });
+  } catch (error) {
+    console.error("Update section plant error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update planting",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a section planting (recorded by mistake; use the
+ *          "replaced" status for plants taken out)
+ * @route   DELETE /api/v1/sites/:id/sections/:sectionId/plants/:plantingId
+ * @access  Private (Admin only)
+ */
+export const deleteSectionPlant = async (req, res) => {
+  try {
+    const planting = await SitePlant.findOneAndDelete({
+      _id: req.params.plantingId,
+      site: req.params.id,
+      section: req.params.sectionId,
+    });
+
+    if (!planting) {
+      return res.status(404).json({
+        success: false,
+        message: "Planting not found",
+      });
+    }
+
+    // Plantings that pointed at the deleted one lose the link
+    await SitePlant.updateMany(
+      { replacedBy: planting._id },
+      { $unset: { replacedBy: 1 } }
+    );
+    await refreshPlantUsage([planting.plant]);
+
+    res.status(200).json({
+      success: true,
+      message: "Planting deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete section plant error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete planting",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Plant inventory of a site: current plantings per section and
+ *          totals per catalog plant
+ * @route   GET /api/v1/sites/:id/plants?includeReplaced=
+ * @access  Private (Admin / Client: own sites)
+ * Clients get no prices or internal notes.
+ */
+export const getSitePlantInventory = async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id)
+      .select("name client sections._id sections.name sections.area")
+      .lean();
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: "Site not found",
+      });
+    }
+
+    const clientView = req.user.role === "client";
+    if (clientView && site.client.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this site",
+      });
+    }
+
+    const query = { site: site._id };
+    if (req.query.includeReplaced !== "true") {
+      query.status = { $ne: "replaced" };
+    }
+
+    const plantingsQuery = SitePlant.find(query)
+      .populate("plant", clientView ? PLANT_FIELDS : `${PLANT_FIELDS} price`)
+      .sort("plantedAt");
+    if (clientView) plantingsQuery.select("-notes -addedBy");
+    const plantings = await plantingsQuery.lean();
+
+    const sections = site.sections.map((section) => {
+      const sectionPlantings = plantings.filter(
+        (p) => p.section.toString() === section._id.toString()
+      );
+      return {
+        _id: section._id,
+        name: section.name,
+        area: section.area,
+        plantCount: sectionPlantings
+          .filter((p) => p.status !== "replaced")
+          .reduce((sum, p) => sum + p.quantity, 0),
+        plantings: sectionPlantings,
+      };
+    });
+
+    // Totals per catalog plant (current plantings only)
+    const byPlant = new Map();
+    plantings
+      .filter((p) => p.status !== "replaced" && p.plant)
+      .forEach((p) => {
+        const key = p.plant._id.toString();
+        const entry = byPlant.get(key) || {
+          plant: p.plant,
+          quantity: 0,
+          healthy: 0,
+          sick: 0,
+          sections: new Set(),
+        };
+        entry.quantity += p.quantity;
+        entry[p.status] += p.quantity;
+        entry.sections.add(p.section.toString());
+        byPlant.set(key, entry);
+      });
+
+    const plants = [...byPlant.values()]
+      .map(({ sections: plantSections, ...entry }) => ({
+        ...entry,
+        sectionCount: plantSections.size,
+      }))
+      .sort((a, b) => b.quantity - a.quantity);
+
+    const summary = {
+      totalPlants: plants.reduce((sum, p) => sum + p.quantity, 0),
+      healthy: plants.reduce((sum, p) => sum + p.healthy, 0),
+      sick: plants.reduce((sum, p) => sum + p.sick, 0),
+      species: plants.length,
+    };
+    if (!clientView) {
+      const value = plants.reduce(
+        (sum, p) => sum + p.quantity * (p.plant.price || 0),
+        0
+      );
+      summary.estimatedValue = Math.round(value * 100) / 100;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        site: { _id: site._id, name: site.name },
+        summary,
+        plants,
+        sections,
+      },
+    });
+  } catch (error) {
+    console.error("Get site plant inventory error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch site plant inventory",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getSectionPlants,
+  addSectionPlant,
+  updateSectionPlant,
+  deleteSectionPlant,
+  getSitePlantInventory,
+};
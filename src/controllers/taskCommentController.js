@@ -0,0 +1,449 @@
+// backend/src/controllers/taskCommentController.js
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import TaskComment from "../models/TaskComment.js";
+import User from "../models/User.js";
+import Client from "../models/Client.js";
+import { notifyMention } from "../services/notificationService.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// @[Display Name](objectId)
+const MENTION_PATTERN = /@\[([^\]]+)\]\(([a-fA-F0-9]{24})\)/g;
+
+/**
+ * Load a task and check the current user takes part in it
+ * @returns {Object} - { task, canSeeInternal } or { status, error }
+ */
+const loadTask = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return { status: 400, error: "Invalid task ID" };
+  }
+
+  const task = await Task.findById(req.params.id).select(
+    "title worker crew client"
+  );
+  if (!task) {
+    return { status: 404, error: "Task not found" };
+  }
+
+  const { role, id } = req.user;
+  const allowed =
+    role === "admin" ||
+    (role === "worker" && task.isCrewMember(id)) ||
+    (role === "client" && task.client?.toString() === id);
+
+  if (!allowed) {
+    return { status: 403, error: "Not authorized to access this task" };
+  }
+
+  return { task, canSeeInternal: role !== "client" };
+};
+
+/**
+ * Resolve @[Name](id) mentions to task participants.
+ * Clients are only mentioned on client-visible comments.
+ */
+const resolveMentions = async (body, task, visibility) => {
+  const ids = [
+    ...new Set([...body.matchAll(MENTION_PATTERN)].map((m) => m[2])),
+  ];
+  if (ids.length === 0) return [];
+
+  const [users, clients] = await Promise.all([
+    User.find({ _id: { $in: ids } }).select("name role"),
+    Client.find({ _id: { $in: ids } }).select("name"),
+  ]);
+
+  const mentions = [];
+  users.forEach((user) => {
+    const isParticipant = user.role === "admin" || task.isCrewMember(user._id);
+    if (isParticipant) {
+      mentions.push({ type: "User", id: user._id, name: user.name });
+    }
+  });
+  clients.forEach((client) => {
+    if (
+      visibility === "client" &&
+      task.client?.toString() === client._id.toString()
+    ) {
+      mentions.push({ type: "Client", id: client._id, name: client.name });
+    }
+  });
+
+  return mentions;
+};
+
+/**
+ * Send mention notifications (never to the author)
+ */
+const notifyMentions = async (mentions, task, comment, req) => {
+  const recipients = mentions.filter((m) => m.id.toString() !== req.user.id);
+  await Promise.all(
+    recipients.map((m) =>
+      notifyMention(m, task, comment, { name: req.user.name })
+    )
+  );
+};
+
+/**
+ * Hide the content of deleted comments from everyone but admins
+ */
+const formatComment = (comment, isAdmin) => {
+  const data = comment.toObject ? comment.toObject() : comment;
+  if (data.isDeleted && !isAdmin) {
+    return {
+      ...data,
+      body: null,
+      mentions: [],
+      attachments: [],
+      edits: [],
+    };
+  }
+  return data;
+};
+
+/**
+ * @desc    Get comment threads of a task (cursor paginated)
+ * @route   GET /api/v1/tasks/:id/comments?cursor=&limit=
+ * @access  Private (Admin / crew / client)
+ *
+ * Threads are returned oldest first with their replies; pass nextCursor
+ * back as cursor to load the next page.
+ */
+export const getTaskComments = async (req, res) => {
+  try {
+    const { task, canSeeInternal, status, error } = await loadTask(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const limit = Math.max(
+      Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+      1
+    );
+    const { cursor } = req.query;
+
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid cursor",
+      });
+    }
+
+    const query = { task: task._id, parent: null };
+    if (!canSeeInternal) query.visibility = "client";
+    if (cursor) query._id = { $gt: cursor };
+
+    // One extra to know whether another page exists
+    const threads = await TaskComment.find(query)
+      .sort({ _id: 1 })
+      .limit(limit + 1);
+
+    const hasMore = threads.length > limit;
+    const page = threads.slice(0, limit);
+
+    const replyQuery = {
+      task: task._id,
+      parent: { $in: page.map((c) => c._id) },
+    };
+    if (!canSeeInternal) replyQuery.visibility = "client";
+
+    const replies = await TaskComment.find(replyQuery).sort({ _id: 1 });
+
+    const isAdmin = req.user.role === "admin";
+    const data = page.map((thread) => ({
+      ...formatComment(thread, isAdmin),
+      replies: replies
+        .filter((r) => r.parent.toString() === thread._id.toString())
+        .map((r) => formatComment(r, isAdmin)),
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+      data,
+    });
+  } catch (error) {
+    console.error("Get task comments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch comments",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Add a comment (or reply) to a task
+ * @route   POST /api/v1/tasks/:id/comments
+ * @access  Private (Admin / crew / client)
+ *
+ * Body: { body, visibility, parent } with optional "attachments" files
+ */
+export const addTaskComment = async (req, res) => {
+  try {
+    const { task, status, error } = await loadTask(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const { body, parent } = req.body;
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Comment text is required",
+      });
+    }
+
+    // Clients always write client-visible comments
+    let visibility =
+      req.user.role === "client" ? "client" : req.body.visibility || "internal";
+    if (!["internal", "client"].includes(visibility)) {
+      return res.status(400).json({
+        success: false,
+        message: "Visibility must be internal or client",
+      });
+    }
+
+    if (parent) {
+      const parentComment = mongoose.Types.ObjectId.isValid(parent)
+        ? await TaskComment.findOne({ _id: parent, task: task._id })
+        : null;
+
+      if (
+        !parentComment ||
+        (req.user.role === "client" && parentComment.visibility !== "client")
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Parent comment not found",
+        });
+      }
+
+      // Replies stay one level deep and inherit internal visibility
+      if (parentComment.parent) {
+        return res.status(400).json({
+          success: false,
+          message: "Replies can only be added to a top-level comment",
+        });
+      }
+      if (parentComment.visibility === "internal") visibility = "internal";
+    }
+
+    const mentions = await resolveMentions(body, task, visibility);
+
+    const attachments = (req.files || []).map((file) => ({
+      url: file.url,
+      cloudinaryId: file.cloudinaryId,
+      mediaType: file.resourceType === "video" ? "video" : "image",
+      format: file.format,
+      duration: file.duration,
+    }));
+
+    const comment = await TaskComment.create({
+      task: task._id,
+      parent: parent || null,
+      author: {
+        type: req.user.role === "client" ? "Client" : "User",
+        id: req.user.id,
+        name: req.user.name,
+        role: req.user.role,
+      },
+      body,
+      visibility,
+      mentions,
+      attachments,
+    });
+
+    await notifyMentions(mentions, task, comment, req);
+
+    res.status(201).json({
+      success: true,
+      message: "Comment added successfully",
+      data: comment,
+    });
+  } catch (error) {
+    console.error("Add task comment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add comment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Edit a comment (previous text is kept in edits)
+ * @route   PUT /api/v1/tasks/:id/comments/:commentId
+ * @access  Private (Comment author; admins may also change visibility)
+ */
+export const updateTaskComment = async (req, res) => {
+  try {
+    const { task, status, error } = await loadTask(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.commentId)
+      ? await TaskComment.findOne({
+          _id: req.params.commentId,
+          task: task._id,
+          isDeleted: false,
+        })
+      : null;
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found",
+      });
+    }
+
+    const isAuthor = comment.author.id.toString() === req.user.id;
+    const isAdmin = req.user.role === "admin";
+    const { body, visibility } = req.body;
+
+    if (body !== undefined && !isAuthor) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the author can edit this comment",
+      });
+    }
+    if (visibility !== undefined && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can change comment visibility",
+      });
+    }
+
+    if (visibility !== undefined) {
+      if (!["internal", "client"].includes(visibility)) {
+        return res.status(400).json({
+          success: false,
+          message: "Visibility must be internal or client",
+        });
+      }
+      comment.visibility = visibility;
+    }
+
+    let newMentions = [];
+    if (body !== undefined && body !== comment.body) {
+      if (!body.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Comment text is required",
+        });
+      }
+
+      comment.edits.push({
+        body: comment.body,
+        editedAt: new Date(),
+        editedBy: req.user.id,
+      });
+      comment.body = body;
+
+      // Only people newly mentioned by the edit are notified
+      const mentions = await resolveMentions(body, task, comment.visibility);
+      const previous = comment.mentions.map((m) => m.id.toString());
+      newMentions = mentions.filter(
+        (m) => !previous.includes(m.id.toString())
+      );
+      comment.mentions = mentions;
+    }
+
+    await comment.save();
+    await notifyMentions(newMentions, task, comment, req);
+
+    res.status(200).json({
+      success: true,
+      message: "Comment updated successfully",
+      data: comment,
+    });
+  } catch (error) {
+    console.error("Update task comment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update comment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a comment (soft delete; replies stay in the thread)
+ * @route   DELETE /api/v1/tasks/:id/comments/:commentId
+ * @access  Private (Comment author / Admin)
+ */
+export const deleteTaskComment = async (req, res) => {
+  try {
+    const { task, status, error } = await loadTask(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.commentId)
+      ? await TaskComment.findOne({
+          _id: req.params.commentId,
+          task: task._id,
+          isDeleted: false,
+        })
+      : null;
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found",
+      });
+    }
+
+    if (
+      req.user.role !== "admin" &&
+      comment.author.id.toString() !== req.user.id
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to delete this comment",
+      });
+    }
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user.id;
+    await comment.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Comment deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete task comment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete comment",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getTaskComments,
+  addTaskComment,
+  updateTaskComment,
+  deleteTaskComment,
+};
@@ -1,64 +1,404 @@
 // backend/src/controllers/taskController.js - ✅ UPDATED: Multiple Sections Support
+import crypto from "crypto";
+import mongoose from "mongoose";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
 import Client from "../models/Client.js";
-import Site from "../models/Site.js";
+import TaskTemplate from "../models/TaskTemplate.js";
 import Inventory from "../models/Inventory.js";
+import Site from "../models/Site.js";
+import Settings from "../models/Settings.js";
+import TaskHistory from "../models/TaskHistory.js";
 import {
   notifyTaskAssignment,
   notifyTaskCompletion,
+  notifyTaskOverdue,
+  notifyTaskEscalation,
 } from "../services/notificationService.js";
-import mongoose from "mongoose";
+import {
+  prepareTask,
+  applyStatusSideEffects,
+  checkTaskLocation,
+  crewFilter,
+  validateTaskLinks,
+  getOpenPrerequisites,
+  populateTaskSections,
+} from "../services/taskService.js";
+import { rankWorkers } from "../services/assignmentService.js";
+import { checkAvailability } from "../services/availabilityService.js";
+import { applyTaskCost } from "../services/costService.js";
+import { syncActions } from "../services/syncService.js";
+import {
+  recordTaskHistory,
+  recordTaskDeletions,
+} from "../services/taskHistoryService.js";
+import {
+  OPEN_STATUSES,
+  canTransition,
+  transitionErrorBody,
+  buildStatusEntry,
+} from "../utils/taskLifecycle.js";
+import { renderPlaceholders } from "../utils/placeholders.js";
+import { toDateKey, parseDate, getDayRange } from "../utils/dates.js";
+import { parseCsv } from "../utils/csv.js";
+import { CALENDAR_FIELDS } from "../utils/ical.js";
+
+const MAX_BULK_ROWS = 500;
+const MAX_SYNC_ACTIONS = 200;
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 200;
+
+/**
+ * Build the 409 response body for starting a task with open prerequisites
+ */
+const prerequisiteErrorBody = (openPrerequisites) => ({
+  success: false,
+  message: `${openPrerequisites.length} prerequisite task(s) still open`,
+  openPrerequisites,
+});
+
+// Sortable fields of the task list (cursor pagination keeps them stable)
+const TASK_SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "scheduledDate",
+  "completedAt",
+  "title",
+];
+const DATE_SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "scheduledDate",
+  "completedAt",
+];
+const DEFAULT_TASK_PAGE_SIZE = 50;
+const MAX_TASK_PAGE_SIZE = 200;
+// Fields other roles may change through PUT /tasks/:id; the rest (checklist,
+// start and completion times, ...) change through their own endpoints,
+// which enforce the task rules
+const NON_ADMIN_EDITABLE_TASK_FIELDS = ["notes"];
+// Task list parameters that take a single value (repeating them in the
+// query string turns them into arrays)
+const SINGLE_VALUE_TASK_PARAMS = [
+  "overdue",
+  "search",
+  "scheduledFrom",
+  "scheduledTo",
+  "completedFrom",
+  "completedTo",
+  "fields",
+  "cursor",
+  "sort",
+  "limit",
+];
+
+// Populated references of the task list (only when the field is returned)
+const TASK_LIST_POPULATES = [
+  { path: "client", select: "name email phone address" },
+  { path: "worker", select: "name email phone" },
+  { path: "branch", select: "name code" },
+  { path: "site", select: "name siteType totalArea" },
+];
+
+/**
+ * Split a comma separated query value ("pending,assigned")
+ */
+const parseList = (value) =>
+  String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Date range filter; a plain "YYYY-MM-DD" upper bound includes that whole day
+ * @returns {Object} - { range } (null without bounds) or { error }
+ */
+const parseDateRange = (from, to, label) => {
+  if (!from && !to) return { range: null };
+
+  const range = {};
+  if (from) {
+    const start = parseDate(from);
+    if (!start) return { error: `Invalid ${label} start date` };
+    range.$gte = start;
+  }
+  if (to) {
+    const end = /^\d{4}-\d{2}-\d{2}$/.test(to)
+      ? getDayRange(to)?.end
+      : parseDate(to);
+    if (!end) return { error: `Invalid ${label} end date` };
+    range.$lte = end;
+  }
+  return { range };
+};
+
+/**
+ * Opaque cursor holding the sort value and _id of the last task of a page
+ */
+const encodeCursor = (task, field) =>
+  Buffer.from(
+    JSON.stringify({ v: task[field] ?? null, id: task._id })
+  ).toString("base64url");
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (typeof id !== "string" || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    // Only plain values: an object would be read as a query operator
+    if (v !== null && typeof v !== "string" && typeof v !== "number") {
+      return null;
+    }
+    const value =
+      v !== null && DATE_SORT_FIELDS.includes(field) ? new Date(v) : v;
+    if (value instanceof Date && isNaN(value.getTime())) return null;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
 
 /**
- * @desc    Get all tasks
+ * Filter for the tasks after the cursor in the given sort order.
+ * MongoDB sorts missing values first, so they come last when descending.
+ */
+const cursorFilter = (field, direction, { value, id }) => {
+  const after = direction === 1 ? "$gt" : "$lt";
+  if (value === null) {
+    return direction === 1
+      ? {
+          $or: [
+            { [field]: null, _id: { $gt: id } },
+            { [field]: { $ne: null } },
+          ],
+        }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } },
+  ];
+  if (direction === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+};
+
+/**
+ * @desc    Get tasks (filtered, searched, cursor paginated)
  * @route   GET /api/v1/tasks
  * @access  Private
+ *
+ * Filters: status, worker, client, site, section, branch, priority,
+ * category, job - comma separated for several values
+ * (status=pending,assigned); overdue=true|false;
+ * scheduledFrom/scheduledTo and completedFrom/completedTo date ranges.
+ * search: text over title, description, notes, client name and site name.
+ * sort: createdAt, updatedAt, scheduledDate, completedAt or title, "-" for
+ * descending (default -createdAt). fields: comma separated projection.
+ * limit (default 50, max 200) and cursor: pass nextCursor back as cursor
+ * to load the next page with the same filters and sort.
  */
 export const getTasks = async (req, res) => {
   try {
     const {
-      status,
-      worker,
-      client,
-      site,
-      section,
-      branch,
-      priority,
-      category,
+      overdue,
+      search,
+      scheduledFrom,
+      scheduledTo,
+      completedFrom,
+      completedTo,
+      fields,
+      cursor,
     } = req.query;
 
-    let query = {};
+    const repeated = SINGLE_VALUE_TASK_PARAMS.find(
+      (param) =>
+        req.query[param] !== undefined && typeof req.query[param] !== "string"
+    );
+    if (repeated) {
+      return res.status(400).json({
+        success: false,
+        message: `${repeated} must be a single value`,
+      });
+    }
+
+    const conditions = [];
 
     if (req.user.role === "worker") {
-      query.worker = req.user.id;
+      conditions.push(crewFilter(req.user.id));
     }
 
-    if (status) query.status = status;
-    if (worker) query.worker = worker;
-    if (client) query.client = client;
-    if (site) query.site = site;
-    if (section) query.sections = section; // ✅ Updated
-    if (branch) query.branch = branch;
-    if (priority) query.priority = priority;
-    if (category) query.category = category;
+    // Multi-value filters; ID filters must be valid ObjectIds
+    const filters = {
+      status: { field: "status" },
+      priority: { field: "priority" },
+      category: { field: "category" },
+      client: { field: "client", isId: true },
+      site: { field: "site", isId: true },
+      section: { field: "sections", isId: true },
+      branch: { field: "branch", isId: true },
+      job: { field: "job", isId: true },
+      worker: { isId: true },
+    };
+    for (const [param, { field, isId }] of Object.entries(filters)) {
+      if (!req.query[param]) continue;
+      const values = parseList(req.query[param]);
+      if (isId && values.some((v) => !mongoose.Types.ObjectId.isValid(v))) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${param} ID`,
+        });
+      }
 
-    const tasks = await Task.find(query)
-      .populate("client", "name email phone address")
-      .populate("worker", "name email phone")
-      .populate("branch", "name code")
-      .populate("site", "name siteType totalArea")
-      .sort("-createdAt");
+      if (param === "worker") {
+        // Lead or crew member
+        conditions.push({
+          $or: [
+            { worker: { $in: values } },
+            { "crew.worker": { $in: values } },
+          ],
+        });
+      } else {
+        conditions.push({ [field]: { $in: values } });
+      }
+    }
+
+    // Currently overdue = flagged by the cron job and still open
+    if (overdue === "true") {
+      conditions.push({ isOverdue: true });
+      if (!req.query.status) {
+        conditions.push({ status: { $in: OPEN_STATUSES } });
+      }
+    } else if (overdue === "false") {
+      conditions.push({ isOverdue: { $ne: true } });
+    }
+
+    // Date ranges
+    for (const [field, from, to] of [
+      ["scheduledDate", scheduledFrom, scheduledTo],
+      ["completedAt", completedFrom, completedTo],
+    ]) {
+      const { range, error } = parseDateRange(from, to, field);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      if (range) conditions.push({ [field]: range });
+    }
+
+    // Text search, including the names of the client and the site
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i");
+      const [clients, sites] = await Promise.all([
+        Client.find({ name: pattern }).select("_id").lean(),
+        Site.find({ name: pattern }).select("_id").lean(),
+      ]);
+      conditions.push({
+        $or: [
+          { title: pattern },
+          { description: pattern },
+          { notes: pattern },
+          { client: { $in: clients.map((c) => c._id) } },
+          { site: { $in: sites.map((s) => s._id) } },
+        ],
+      });
+    }
+
+    // Sort
+    const sortParam = req.query.sort || "-createdAt";
+    const sortField = sortParam.replace(/^-/, "");
+    const direction = sortParam.startsWith("-") ? -1 : 1;
+    if (!TASK_SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort field, use one of: ${TASK_SORT_FIELDS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    // Projection (the sort field is always needed for the cursor)
+    let projection = null;
+    if (fields) {
+      const requested = parseList(fields);
+      const unknown = requested.filter(
+        (f) => !Task.schema.path(f) && Task.schema.pathType(f) !== "nested"
+      );
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown field(s): ${unknown.join(", ")}`,
+        });
+      }
+      projection = [...new Set([...requested, sortField])].join(" ");
+    }
+
+    const limit = Math.max(
+      Math.min(
+        parseInt(req.query.limit) || DEFAULT_TASK_PAGE_SIZE,
+        MAX_TASK_PAGE_SIZE
+      ),
+      1
+    );
+
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+    const pageQuery = { ...query };
+    if (cursor) {
+      const position = decodeCursor(cursor, sortField);
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+      pageQuery.$and = [
+        ...(query.$and || []),
+        cursorFilter(sortField, direction, position),
+      ];
+    }
+
+    const populates = TASK_LIST_POPULATES.filter(
+      ({ path }) => !projection || projection.split(" ").includes(path)
+    );
+
+    // One extra to know whether another page exists
+    const taskQuery = Task.find(pageQuery)
+      .populate(populates)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1)
+      .lean();
+    if (projection) taskQuery.select(projection);
+
+    const [tasks, total] = await Promise.all([
+      taskQuery,
+      Task.countDocuments(query),
+    ]);
+
+    const hasMore = tasks.length > limit;
+    const page = tasks.slice(0, limit);
 
     res.status(200).json({
       success: true,
-      count: tasks.length,
-      data: tasks,
+      count: page.length,
+      total,
+      limit,
+      nextCursor: hasMore
+        ? encodeCursor(page[page.length - 1], sortField)
+        : null,
+      data: page,
     });
   } catch (error) {
+    console.error("Get tasks error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error",
+      message: "Failed to fetch tasks",
       error: error.message,
     });
   }
@@ -71,7 +411,7 @@ export const getTasks = async (req, res) => {
  */
 export const getTask = async (req, res) => {
   try {
-    const baseTask = await Task.findById(req.params.id).select("worker").lean();
+    const baseTask = await Task.findById(req.params.id).select("worker crew");
 
     if (!baseTask) {
       return res.status(404).json({
@@ -82,7 +422,7 @@ export const getTask = async (req, res) => {
 
     // Authorization check
     if (req.user.role !== "admin") {
-      if (!baseTask.worker || baseTask.worker._id.toString() !== req.user.id) {
+      if (!baseTask.isCrewMember(req.user.id)) {
         return res.status(403).json({
           success: false,
           message: "Not authorized to view this task",
@@ -93,10 +433,12 @@ export const getTask = async (req, res) => {
     const task = await Task.findById(req.params.id)
       .populate("client", "name email phone address whatsapp")
       .populate("worker", "name email phone workerDetails")
+      .populate("crew.worker", "name email phone")
       .populate("branch", "name code address")
       .populate({
         path: "site",
-        select: "name description siteType coverImage totalArea",
+        select:
+          "name description siteType coverImage totalArea sections._id sections.name sections.area sections.status",
         populate: {
           path: "client",
           select: "name email phone",
@@ -110,7 +452,10 @@ export const getTask = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: task,
+      data: {
+        ...populateTaskSections(task.toObject()),
+        checklistProgress: task.getChecklistProgress(),
+      },
     });
   } catch (error) {
     console.error("Get task error:", error);
@@ -123,112 +468,113 @@ export const getTask = async (req, res) => {
 };
 
 /**
- * @desc    Create new task
- * @route   POST /api/v1/tasks
+ * @desc    Get the change history of a task, newest first (cursor paginated)
+ * @route   GET /api/v1/tasks/:id/history?field=&action=&actor=&cursor=&limit=
  * @access  Private/Admin
+ *
+ * field matches a changed field and everything below it (e.g. "images"
+ * also matches "images.after.<imageId>"); pass nextCursor back as cursor
+ * to load older entries.
  */
-export const createTask = async (req, res) => {
+export const getTaskHistory = async (req, res) => {
   try {
-    const {
-      title,
-      description,
-      site,
-      sections, // array of section IDs
-      client,
-      scheduledDate,
-      priority,
-      category,
-      estimatedDuration,
-      materials,
-      notes,
-      worker,
-    } = req.body;
+    const { field, action, actor, cursor } = req.query;
 
-    // Validate required fields
-    if (!title || !description || !site || !sections || !client || !worker) {
-      return res.status(400).json({
+    const task = await Task.findById(req.params.id).select("title");
+    if (!task) {
+      return res.status(404).json({
         success: false,
-        message: "Please provide all required fields",
+        message: "Task not found",
       });
     }
 
-    // Validate site and sections
-    const siteDoc = await Site.findById(site);
-    if (!siteDoc) {
-      return res.status(404).json({
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+      return res.status(400).json({
         success: false,
-        message: "Site not found",
+        message: "Invalid cursor",
       });
     }
 
-    console.log(sections);
-
-    // ✅ Verify ALL Sections exist in Site
-    const invalidSections = sections.filter(
-      (sectionId) =>
-        !siteDoc.sections.some((sec) => sec._id.toString() === sectionId)
+    const query = { task: task._id };
+    if (action) query.action = action;
+    if (actor) query["actor.id"] = actor;
+    if (field) {
+      query["changes.field"] = new RegExp(`^${escapeRegex(field)}(\\.|$)`);
+    }
+    if (cursor) query._id = { $lt: cursor };
+
+    const limit = Math.max(
+      Math.min(
+        parseInt(req.query.limit) || DEFAULT_HISTORY_PAGE_SIZE,
+        MAX_HISTORY_PAGE_SIZE
+      ),
+      1
     );
 
-    const validSections = siteDoc.sections.filter((sec) =>
-      sections.includes(sec._id.toString())
-    );
+    // One extra to know whether another page exists
+    const entries = await TaskHistory.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
 
-    if (invalidSections.length > 0) {
-      return res.status(404).json({
-        success: false,
-        message: "One or more sections not found in this site",
-      });
-    }
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+      data: page,
+    });
+  } catch (error) {
+    console.error("Get task history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch task history",
+      error: error.message,
+    });
+  }
+};
 
-    // ✅ Auto-fill Client from Site
-    if (!req.body.client) {
-      req.body.client = site.client;
+/**
+ * @desc    Create new task
+ * @route   POST /api/v1/tasks
+ * @access  Private/Admin
+ */
+export const createTask = async (req, res) => {
+  try {
+    // ✅ Optional: pick the best ranked worker when none is given
+    let autoAssigned = null;
+    if (req.body.autoAssign && !req.body.worker) {
+      const ranking = await rankWorkers(req.body);
+      if (ranking.error) {
+        return res.status(ranking.status).json({
+          success: false,
+          message: ranking.error,
+        });
+      }
+
+      autoAssigned = ranking.candidates.find((c) => c.eligible);
+      if (!autoAssigned) {
+        return res.status(409).json({
+          success: false,
+          message: "No worker is available for this task",
+          candidates: ranking.candidates,
+        });
+      }
+      req.body.worker = autoAssigned.worker._id.toString();
     }
 
-    // ✅ Validate Client ID
-    if (!mongoose.Types.ObjectId.isValid(client)) {
-      return res.status(400).json({
+    // ✅ Validate site/sections and build the task (snapshot + checklist)
+    const { data, warnings, status, error } = await prepareTask(req.body);
+    if (error) {
+      return res.status(status).json({
         success: false,
-        message: "One or more sections do not belong to this site",
-      });
-    }
-
-    // SNAPSHOT: Collect all reference images from selected sections
-    let referenceImages = [];
-    validSections.forEach((section) => {
-      if (section.referenceImages && section.referenceImages.length > 0) {
-        const copied = section.referenceImages.map((img) => ({
-          url: img.url,
-          cloudinaryId: img.cloudinaryId,
-          caption: img.caption,
-          mediaType: img.mediaType || "image",
-          format: img.format,
-          duration: img.duration,
-          uploadedAt: img.uploadedAt,
-          qtn: img.qtn || 1,
-          description: img.description,
-          originalSectionId: section._id,
-        }));
-        referenceImages.push(...copied);
-      }
-    });
+        message: error,
+      });
+    }
 
-    const task = await Task.create({
-      title,
-      description,
-      site,
-      worker,
-      sections: validSections.map((s) => s._id),
-      client,
-      scheduledDate,
-      priority: priority || "medium",
-      category: category || "other",
-      estimatedDuration: estimatedDuration || 2,
-      materials: materials || [],
-      notes,
-      status: "pending",
-      referenceImages, // ← Snapshotted here
-    });
+    const task = await Task.create(data);
 
     // Populate and return
     const populatedTask = await Task.findById(task._id)
@@ -240,6 +586,8 @@ export const createTask = async (req, res) => {
       success: true,
       message: "Task created successfully",
       data: populatedTask,
+      autoAssigned,
+      warnings,
     });
   } catch (error) {
     console.error("Create task error:", error);
@@ -252,143 +600,520 @@ export const createTask = async (req, res) => {
 };
 
 /**
- * @desc    Toggle image visibility to client
- * @route   PUT /api/v1/tasks/:id/images/:imageId/visibility
- * @access  Private (Admin only)
+ * @desc    Create task from a template
+ * @route   POST /api/v1/tasks/from-template/:templateId
+ * @access  Private/Admin
  */
-export const toggleImageVisibility = async (req, res) => {
+export const createTaskFromTemplate = async (req, res) => {
   try {
-    const { imageType } = req.body;
-    const task = await Task.findById(req.params.id);
+    const { site, sections, worker, client, scheduledDate, priority, notes } =
+      req.body;
 
-    if (!task) {
+    const template = await TaskTemplate.findById(
+      req.params.templateId
+    ).populate("materials.item", "name unit");
+
+    if (!template || !template.isActive) {
       return res.status(404).json({
         success: false,
-        message: "Task not found",
+        message: "Task template not found",
       });
     }
 
-    const imageArray = task.images[imageType];
-
-    if (!imageArray) {
-      return res.status(400).json({
+    // ✅ Material lines point at Inventory items
+    const materials = template.materials
+      .filter((m) => m.item)
+      .map((m) => ({
+        item: m.item._id,
+        name: m.item.name,
+        quantity: m.quantity,
+        unit: m.item.unit,
+      }));
+
+    if (materials.length !== template.materials.length) {
+      return res.status(404).json({
         success: false,
-        message: "Invalid image type",
+        message: "One or more template inventory items no longer exist",
       });
     }
 
-    const imageIndex = imageArray.findIndex(
-      (img) => img._id.toString() === req.params.imageId
-    );
-
-    if (imageIndex === -1) {
-      return res.status(404).json({
+    const {
+      data,
+      siteDoc,
+      sections: sectionDocs,
+      warnings,
+      status,
+      error,
+    } = await prepareTask({
+      title: template.title,
+      description: template.description,
+      site,
+      sections,
+      worker,
+      client,
+      scheduledDate,
+      priority: priority || template.priority,
+      category: template.category,
+      estimatedDuration: template.estimatedDuration,
+      materials,
+      notes: notes !== undefined ? notes : template.notes,
+    });
+    if (error) {
+      return res.status(status).json({
         success: false,
-        message: "Image not found",
+        message: error,
       });
     }
 
-    imageArray[imageIndex].isVisibleToClient =
-      !imageArray[imageIndex].isVisibleToClient;
+    // ✅ Fill {{placeholders}} in title and description
+    const [clientDoc, workerDoc] = await Promise.all([
+      Client.findById(data.client).select("name"),
+      User.findById(worker).select("name"),
+    ]);
+    const context = {
+      site: {
+        name: siteDoc.name,
+        address: siteDoc.location?.address,
+        city: siteDoc.location?.city,
+      },
+      section: { name: sectionDocs.map((s) => s.name).join(", ") },
+      client: { name: clientDoc?.name },
+      worker: { name: workerDoc?.name },
+      date: scheduledDate ? toDateKey(scheduledDate) : "",
+    };
+    data.title = renderPlaceholders(data.title, context);
+    data.description = renderPlaceholders(data.description, context);
+    data.template = template._id;
 
-    await task.save();
+    const task = await Task.create(data);
 
-    res.status(200).json({
+    template.timesUsed += 1;
+    template.lastUsedAt = new Date();
+    await template.save();
+
+    const populatedTask = await Task.findById(task._id)
+      .populate("client", "name email phone address")
+      .populate("site", "name siteType")
+      .populate("materials.item", "name sku unit");
+
+    res.status(201).json({
       success: true,
-      message: "Image visibility updated successfully",
-      data: {
-        imageId: req.params.imageId,
-        isVisibleToClient: imageArray[imageIndex].isVisibleToClient,
-      },
+      message: "Task created from template successfully",
+      data: populatedTask,
+      warnings,
     });
   } catch (error) {
-    console.error("Toggle image visibility error:", error);
+    console.error("Create task from template error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to update image visibility",
+      message: "Failed to create task from template",
       error: error.message,
     });
   }
 };
 
 /**
- * @desc    Update multiple images visibility at once
- * @route   PUT /api/v1/tasks/:id/images/bulk-visibility
- * @access  Private (Admin only)
+ * @desc    Create many tasks at once (JSON rows or CSV upload)
+ * @route   POST /api/v1/tasks/bulk
+ * @access  Private/Admin
+ *
+ * Body: { tasks: [{ site, sections, worker, scheduledDate, ... }], defaults, dryRun }
+ * or multipart with a "file" CSV (one row per task, sections separated by ";")
+ * and the defaults as form fields. Every row is validated like createTask;
+ * nothing is created unless all rows are valid.
  */
-export const bulkUpdateImageVisibility = async (req, res) => {
+export const createTasksBulk = async (req, res) => {
   try {
-    const { imageIds, imageType, isVisible } = req.body;
-    const task = await Task.findById(req.params.id);
+    let rows;
+    let defaults;
+
+    if (req.file) {
+      rows = parseCsv(req.file.buffer.toString("utf8")).map((row) => ({
+        ...row,
+        sections: row.sections
+          ? row.sections
+              .split(/[;|]/)
+              .map((s) => s.trim())
+              .filter(Boolean)
+          : undefined,
+      }));
+      // Form fields other than dryRun are defaults for every row
+      const { dryRun, ...formDefaults } = req.body;
+      defaults = formDefaults;
+    } else {
+      rows = req.body.tasks;
+      defaults = req.body.defaults || {};
+    }
 
-    if (!task) {
-      return res.status(404).json({
+    const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
         success: false,
-        message: "Task not found",
+        message: "Please provide at least one task row",
       });
     }
 
-    const imageArray = task.images[imageType];
-
-    if (!imageArray) {
+    if (rows.length > MAX_BULK_ROWS) {
       return res.status(400).json({
         success: false,
-        message: "Invalid image type",
+        message: `A batch can contain at most ${MAX_BULK_ROWS} tasks`,
       });
     }
 
-    let updatedCount = 0;
-    imageArray.forEach((img) => {
-      if (imageIds.includes(img._id.toString())) {
-        img.isVisibleToClient = isVisible;
-        updatedCount++;
-      }
-    });
+    const results = [];
+    for (const [index, row] of rows.entries()) {
+      // Empty cells fall back to the defaults
+      const input = { ...defaults };
+      Object.entries(row || {}).forEach(([key, value]) => {
+        if (value !== "" && value !== undefined && value !== null) {
+          input[key] = value;
+        }
+      });
 
-    await task.save();
+      const { data, warnings, status, error } = await prepareTask(input);
+      results.push({ row: index + 1, data, warnings, status, error });
+    }
 
-    res.status(200).json({
+    const errors = results
+      .filter((r) => r.error)
+      .map((r) => ({ row: r.row, status: r.status, message: r.error }));
+    const warnings = results
+      .filter((r) => r.warnings && r.warnings.length > 0)
+      .map((r) => ({ row: r.row, warnings: r.warnings }));
+
+    if (dryRun || errors.length > 0) {
+      return res.status(errors.length > 0 ? 400 : 200).json({
+        success: errors.length === 0,
+        message:
+          errors.length > 0
+            ? `${errors.length} of ${rows.length} rows are invalid, no tasks were created`
+            : `All ${rows.length} rows are valid (dry run)`,
+        data: {
+          dryRun,
+          total: rows.length,
+          valid: rows.length - errors.length,
+          errors,
+          warnings,
+        },
+      });
+    }
+
+    const batchId = crypto.randomUUID();
+    const created = await Task.insertMany(
+      results.map((r) => ({ ...r.data, batchId }))
+    );
+
+    res.status(201).json({
       success: true,
-      message: `${updatedCount} image(s) visibility updated successfully`,
+      message: `${created.length} tasks created successfully`,
       data: {
-        updatedCount,
-        isVisible,
+        batchId,
+        count: created.length,
+        taskIds: created.map((t) => t._id),
+        warnings,
       },
     });
   } catch (error) {
-    console.error("Bulk update image visibility error:", error);
+    console.error("Bulk create tasks error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to update images visibility",
+      message: "Failed to create tasks",
       error: error.message,
     });
   }
 };
 
 /**
- * @desc    Update task
- * @route   PUT /api/v1/tasks/:id
- * @access  Private
+ * @desc    Roll back a bulk creation batch (delete all its tasks)
+ * @route   DELETE /api/v1/tasks/batches/:batchId
+ * @access  Private/Admin
  */
-export const updateTask = async (req, res) => {
+export const rollbackTaskBatch = async (req, res) => {
   try {
-    let task = await Task.findById(req.params.id);
+    // Whole tasks: their last values go into the deletion history
+    const tasks = await Task.find({ batchId: req.params.batchId });
 
-    if (!task) {
+    if (tasks.length === 0) {
       return res.status(404).json({
         success: false,
-        message: "Task not found",
+        message: "Batch not found",
       });
     }
 
-    if (req.user.role === "worker" && task.worker?.toString() !== req.user.id) {
-      return res.status(403).json({
+    // Work already started on a task cannot be rolled back silently
+    const started = tasks.filter(
+      (t) => !["pending", "assigned"].includes(t.status)
+    );
+    if (started.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${started.length} tasks of this batch are already in progress or done`,
+        data: started.map((t) => ({
+          _id: t._id,
+          title: t.title,
+          status: t.status,
+        })),
+      });
+    }
+
+    const result = await Task.deleteMany({ batchId: req.params.batchId });
+    await recordTaskDeletions(req, tasks);
+
+    res.status(200).json({
+      success: true,
+      message: "Batch rolled back successfully",
+      data: { deletedCount: result.deletedCount },
+    });
+  } catch (error) {
+    console.error("Rollback task batch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to roll back batch",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Toggle image visibility to client
+ * @route   PUT /api/v1/tasks/:id/images/:imageId/visibility
+ * @access  Private (Admin only)
+ */
+export const toggleImageVisibility = async (req, res) => {
+  try {
+    const { imageType } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    const before = task.toObject();
+
+    const imageArray = task.images[imageType];
+
+    if (!imageArray) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid image type",
+      });
+    }
+
+    const imageIndex = imageArray.findIndex(
+      (img) => img._id.toString() === req.params.imageId
+    );
+
+    if (imageIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: "Image not found",
+      });
+    }
+
+    imageArray[imageIndex].isVisibleToClient =
+      !imageArray[imageIndex].isVisibleToClient;
+
+    await task.save();
+
+    await recordTaskHistory(req, "visibility", before, task);
+
+    res.status(200).json({
+      success: true,
+      message: "Image visibility updated successfully",
+      data: {
+        imageId: req.params.imageId,
+        isVisibleToClient: imageArray[imageIndex].isVisibleToClient,
+      },
+    });
+  } catch (error) {
+    console.error("Toggle image visibility error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update image visibility",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update multiple images visibility at once
+ * @route   PUT /api/v1/tasks/:id/images/bulk-visibility
+ * @access  Private (Admin only)
+ */
+export const bulkUpdateImageVisibility = async (req, res) => {
+  try {
+    const { imageIds, imageType, isVisible } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    const before = task.toObject();
+
+    const imageArray = task.images[imageType];
+
+    if (!imageArray) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid image type",
+      });
+    }
+
+    let updatedCount = 0;
+    imageArray.forEach((img) => {
+      if (imageIds.includes(img._id.toString())) {
+        img.isVisibleToClient = isVisible;
+        updatedCount++;
+      }
+    });
+
+    await task.save();
+
+    await recordTaskHistory(req, "visibility", before, task);
+
+    res.status(200).json({
+      success: true,
+      message: `${updatedCount} image(s) visibility updated successfully`,
+      data: {
+        updatedCount,
+        isVisible,
+      },
+    });
+  } catch (error) {
+    console.error("Bulk update image visibility error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update images visibility",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update task
+ * @route   PUT /api/v1/tasks/:id
+ * @access  Private
+ */
+export const updateTask = async (req, res) => {
+  try {
+    let task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    if (req.user.role === "worker" && task.worker?.toString() !== req.user.id) {
+      return res.status(403).json({
         success: false,
         message: "Not authorized to update this task",
       });
     }
 
-    if (req.body.worker && !task.worker) {
+    const before = task.toObject();
+
+    // Lifecycle fields can only change through the state machine below
+    const { reason } = req.body;
+    delete req.body.statusHistory;
+    delete req.body.adminReview;
+    delete req.body.reason;
+    delete req.body.workSessions;
+    delete req.body.idleDuration;
+    delete req.body.crew;
+    delete req.body.cost;
+    delete req.body.isOverdue;
+    delete req.body.overdueSince;
+    delete req.body.overdueNotifiedAt;
+    delete req.body.escalatedAt;
+    delete req.body.calendarSequence;
+    delete req.body.routeOrders;
+    if (req.user.role !== "admin") {
+      // status is kept to be refused below
+      Object.keys(req.body)
+        .filter(
+          (field) =>
+            field !== "status" &&
+            !NON_ADMIN_EDITABLE_TASK_FIELDS.includes(field)
+        )
+        .forEach((field) => delete req.body[field]);
+    }
+
+    // ✅ Parent job and prerequisite tasks (no circular dependencies)
+    const links = await validateTaskLinks(req.body, task);
+    if (links.error) {
+      return res.status(links.status).json({
+        success: false,
+        message: links.error,
+      });
+    }
+
+    const assigningWorker = req.body.worker && !task.worker;
+    if (assigningWorker && !req.body.status && task.status === "pending") {
+      req.body.status = "assigned";
+    }
+
+    const newStatus =
+      req.body.status && req.body.status !== task.status
+        ? req.body.status
+        : null;
+    delete req.body.status;
+
+    // Workers change the status through /start and /complete, which check
+    // the checklist, the geofence and close the work sessions
+    if (newStatus && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Use the start and complete actions to change the task status",
+      });
+    }
+
+    if (newStatus && !canTransition(task.status, newStatus, req.user.role)) {
+      return res
+        .status(409)
+        .json(transitionErrorBody(task.status, newStatus, req.user.role));
+    }
+
+    if (newStatus === "in-progress") {
+      const openPrerequisites = await getOpenPrerequisites(task);
+      if (openPrerequisites.length > 0) {
+        return res.status(409).json(prerequisiteErrorBody(openPrerequisites));
+      }
+    }
+
+    // ✅ Availability of the (new) crew on the (new) date
+    let availability = { blocked: false, warnings: [] };
+    if (req.body.worker || req.body.scheduledDate) {
+      const crewIds = req.body.worker
+        ? [
+            req.body.worker,
+            ...task.getCrewIds().filter((id) => id !== task.worker?.toString()),
+          ]
+        : task.getCrewIds();
+      availability = await checkAvailability(
+        crewIds,
+        req.body.scheduledDate || task.scheduledDate
+      );
+      if (availability.blocked) {
+        return res.status(409).json({
+          success: false,
+          message: availability.message,
+          warnings: availability.warnings,
+        });
+      }
+    }
+
+    if (assigningWorker) {
       if (task.materials && task.materials.length > 0) {
         for (const material of task.materials) {
           if (material.item) {
@@ -399,82 +1124,822 @@ export const updateTask = async (req, res) => {
           }
         }
       }
-      req.body.status = "assigned";
     }
 
-    // ✅ If marking as completed, update section last task status
-    if (req.body.status === "completed" && task.status !== "completed") {
-      req.body.completedAt = new Date();
+    const update = { ...req.body, ...links };
 
-      await Client.findByIdAndUpdate(task.client, {
-        $inc: { completedTasks: 1 },
-      });
+    if (req.body.worker && task.crew.length > 0) {
+      update.crew = task.setLead(req.body.worker).crew;
+    }
 
-      if (task.worker) {
-        await User.findByIdAndUpdate(task.worker, {
-          $inc: { "workerDetails.completedTasks": 1 },
-        });
-      }
+    // Calendar subscribers only pick up changes with a higher SEQUENCE
+    const calendarChanged = CALENDAR_FIELDS.some((field) => {
+      if (req.body[field] === undefined) return false;
+      return field === "scheduledDate"
+        ? new Date(req.body[field]).getTime() !== task.scheduledDate?.getTime()
+        : String(req.body[field]) !== String(task[field]);
+    });
+    if (calendarChanged) {
+      update.$inc = { calendarSequence: 1 };
+    }
 
-      if (task.site) {
-        await Site.findByIdAndUpdate(task.site, {
-          $inc: { completedTasks: 1 },
-          lastVisit: new Date(),
-        });
+    // Rescheduling starts the overdue clock again
+    if (req.body.scheduledDate) {
+      update.isOverdue = false;
+      update.$unset = {
+        overdueSince: 1,
+        overdueNotifiedAt: 1,
+        escalatedAt: 1,
+      };
+    }
 
-        // ✅ Update all sections' last task status
-        const site = await Site.findById(task.site);
-        if (site && task.sections) {
-          for (const sectionId of task.sections) {
-            await site.updateSectionLastTask(sectionId, "completed", task._id);
-          }
-        }
+    if (newStatus) {
+      update.status = newStatus;
+      update.$push = {
+        statusHistory: buildStatusEntry(
+          task.status,
+          newStatus,
+          req.user,
+          reason
+        ),
+      };
+
+      if (newStatus === "in-progress" && !task.startedAt) {
+        update.startedAt = new Date();
+      }
+      if (
+        newStatus === "review" ||
+        (newStatus === "completed" && !task.completedAt)
+      ) {
+        update.completedAt = new Date();
       }
     }
 
-    // ✅ If marking as rejected, update section last task status
-    if (req.body.status === "rejected" && task.status !== "rejected") {
-      if (task.site) {
-        const site = await Site.findById(task.site);
-        if (site && task.sections) {
-          for (const sectionId of task.sections) {
-            await site.updateSectionLastTask(sectionId, "rejected", task._id);
-          }
-        }
-      }
+    task = await Task.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      runValidators: true,
+    });
+    await recordTaskHistory(req, "update", before, task);
+
+    // ✅ Update counters and all sections' last task status
+    if (newStatus) {
+      await applyStatusSideEffects(task, newStatus);
+    }
+
+    await task.populate([
+      { path: "client", select: "name email phone" },
+      { path: "worker", select: "name email phone" },
+      { path: "branch", select: "name code" },
+      { path: "site", select: "name siteType" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Task updated successfully",
+      data: task,
+      warnings: availability.warnings,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete task
+ * @route   DELETE /api/v1/tasks/:id
+ * @access  Private/Admin
+ */
+export const deleteTask = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    await task.deleteOne();
+    // Kept as the last history entry (calendar feeds cancel the event)
+    await recordTaskHistory(req, "delete", task, null);
+
+    res.status(200).json({
+      success: true,
+      message: "Task deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Start task (worker)
+ * @route   POST /api/v1/tasks/:id/start
+ * @access  Private/Worker
+ */
+export const startTask = async (req, res) => {
+  try {
+    const { latitude, longitude } = req.body;
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    const before = task.toObject();
+
+    if (!task.isCrewMember(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized",
+      });
+    }
+
+    // A crew member starting work that is already running joins it
+    const joining = ["in-progress", "rework"].includes(task.status);
+
+    // Restarting rejected work moves the task into rework
+    const nextStatus = task.status === "rejected" ? "rework" : "in-progress";
+    if (!joining && !canTransition(task.status, nextStatus, req.user.role)) {
+      return res
+        .status(409)
+        .json(transitionErrorBody(task.status, nextStatus, req.user.role));
+    }
+
+    // ✅ Prerequisite tasks must be finished first
+    if (!joining) {
+      const openPrerequisites = await getOpenPrerequisites(task);
+      if (openPrerequisites.length > 0) {
+        return res.status(409).json(prerequisiteErrorBody(openPrerequisites));
+      }
+    }
+
+    // ✅ Geofence: flag or block starts away from the site
+    const locationCheck = await checkTaskLocation(task, latitude, longitude);
+    if (locationCheck.blocked) {
+      return res.status(403).json({
+        success: false,
+        message: locationCheck.message,
+        geofence: locationCheck.geofence,
+      });
+    }
+
+    if (!joining) {
+      task.setStatus(nextStatus, req.user);
+      if (nextStatus === "in-progress") {
+        task.startedAt = new Date();
+      }
+      if (locationCheck.location) {
+        task.startLocation = locationCheck.location;
+      }
+    }
+    task.openWorkSession(req.user.id, locationCheck.location);
+    await task.save();
+    if (!joining) {
+      await applyStatusSideEffects(task, nextStatus);
+    }
+
+    await recordTaskHistory(req, "start", before, task);
+
+    res.status(200).json({
+      success: true,
+      message: joining ? "Joined task successfully" : "Task started successfully",
+      data: task,
+      geofence: locationCheck.geofence,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Load a task the current worker is working on (for pause/resume)
+ * @returns {Object} - { task } or { status, error }
+ */
+const loadWorkingTask = async (req) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return { status: 404, error: "Task not found" };
+  }
+  if (!task.isCrewMember(req.user.id)) {
+    return { status: 403, error: "Not authorized" };
+  }
+  if (!["in-progress", "rework"].includes(task.status)) {
+    return {
+      status: 409,
+      error: `Cannot pause or resume a ${task.status} task`,
+    };
+  }
+  return { task };
+};
+
+/**
+ * @desc    Pause work on a task (ends the current work session)
+ * @route   POST /api/v1/tasks/:id/pause
+ * @access  Private/Worker
+ */
+export const pauseTask = async (req, res) => {
+  try {
+    const { latitude, longitude, reason } = req.body;
+
+    const { task, status, error } = await loadWorkingTask(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const before = task.toObject();
+
+    if (!task.getOpenWorkSession(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: "Task is already paused",
+      });
+    }
+
+    const locationCheck = await checkTaskLocation(task, latitude, longitude);
+    task.closeWorkSession(req.user.id, locationCheck.location, reason);
+    await task.save();
+
+    await recordTaskHistory(req, "pause", before, task);
+
+    res.status(200).json({
+      success: true,
+      message: "Task paused",
+      data: task,
+    });
+  } catch (error) {
+    console.error("Pause task error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to pause task",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Resume work on a paused task (starts a new work session)
+ * @route   POST /api/v1/tasks/:id/resume
+ * @access  Private/Worker
+ */
+export const resumeTask = async (req, res) => {
+  try {
+    const { latitude, longitude } = req.body;
+
+    const { task, status, error } = await loadWorkingTask(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const before = task.toObject();
+
+    if (task.getOpenWorkSession(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: "Task is not paused",
+      });
+    }
+
+    // ✅ Geofence: same rules as starting the task
+    const locationCheck = await checkTaskLocation(task, latitude, longitude);
+    if (locationCheck.blocked) {
+      return res.status(403).json({
+        success: false,
+        message: locationCheck.message,
+        geofence: locationCheck.geofence,
+      });
+    }
+
+    task.openWorkSession(req.user.id, locationCheck.location);
+    await task.save();
+
+    await recordTaskHistory(req, "resume", before, task);
+
+    res.status(200).json({
+      success: true,
+      message: "Task resumed",
+      data: task,
+      geofence: locationCheck.geofence,
+    });
+  } catch (error) {
+    console.error("Resume task error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to resume task",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Complete task and submit it for admin review (worker)
+ * @route   POST /api/v1/tasks/:id/complete
+ * @access  Private/Worker
+ */
+export const completeTask = async (req, res) => {
+  try {
+    const { latitude, longitude } = req.body;
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    const before = task.toObject();
+
+    if (!task.isCrewMember(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized",
+      });
+    }
+    // Finished work goes to admin review before it counts as completed
+    if (!canTransition(task.status, "review", req.user.role)) {
+      return res
+        .status(409)
+        .json(transitionErrorBody(task.status, "review", req.user.role));
+    }
+
+    // ✅ Every required checklist item must be ticked first
+    const openItems = task.checklist.filter(
+      (item) => item.required && !item.done
+    );
+    if (openItems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${openItems.length} required checklist item(s) still open`,
+        openItems: openItems.map((item) => ({
+          _id: item._id,
+          section: item.section,
+          sectionName: item.sectionName,
+          label: item.label,
+        })),
+      });
+    }
+
+    // ✅ Geofence: flag or block completions away from the site
+    const locationCheck = await checkTaskLocation(task, latitude, longitude);
+    if (locationCheck.blocked) {
+      return res.status(403).json({
+        success: false,
+        message: locationCheck.message,
+        geofence: locationCheck.geofence,
+      });
+    }
+
+    task.setStatus("review", req.user);
+    task.completedAt = new Date();
+    if (locationCheck.location) {
+      task.endLocation = locationCheck.location;
+    }
+    task.closeAllWorkSessions(locationCheck.location);
+    await task.save();
+    await applyStatusSideEffects(task, "review");
+
+    await recordTaskHistory(req, "complete", before, task);
+
+    res.status(200).json({
+      success: true,
+      message: "Task submitted for review",
+      data: task,
+      geofence: locationCheck.geofence,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Replay actions a worker queued while offline
+ * @route   POST /api/v1/tasks/sync
+ * @access  Private/Worker
+ * Body: { actions: [{ idempotencyKey, type, task, clientTimestamp,
+ *   latitude?, longitude?, reason?, payload? }] }
+ * Types: start, pause, resume, complete, confirm-material, checklist, note.
+ * Actions are applied in the order given; each gets its own result
+ * (applied / conflict / rejected) and replays return the stored result
+ * (pending while another request is still applying the same key).
+ */
+export const syncOfflineActions = async (req, res) => {
+  try {
+    const { actions } = req.body;
+    if (!Array.isArray(actions) || actions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide a non-empty actions array",
+      });
+    }
+    if (actions.length > MAX_SYNC_ACTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `A sync can contain at most ${MAX_SYNC_ACTIONS} actions`,
+      });
+    }
+
+    const results = await syncActions(actions, req);
+
+    // Current state of the touched tasks so the device can refresh them
+    const taskIds = [
+      ...new Set(
+        results
+          .filter((r) => mongoose.Types.ObjectId.isValid(r.task))
+          .map((r) => String(r.task))
+      ),
+    ];
+    const tasks = await Task.find({
+      _id: { $in: taskIds },
+      ...crewFilter(req.user.id),
+    }).select(
+      "title status worker crew checklist materials workSessions startedAt completedAt updatedAt"
+    );
+
+    const count = (result) => results.filter((r) => r.result === result).length;
+
+    res.status(200).json({
+      success: true,
+      message: "Sync processed",
+      summary: {
+        total: results.length,
+        applied: count("applied"),
+        conflicts: count("conflict"),
+        rejected: count("rejected"),
+        pending: count("pending"),
+        duplicates: results.filter((r) => r.duplicate).length,
+      },
+      results,
+      data: tasks,
+      syncedAt: new Date(),
+    });
+  } catch (error) {
+    console.error("Sync offline actions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to sync offline actions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Upload task images (before/after only)
+ * @route   POST /api/v1/tasks/:id/images
+ * @access  Private (Worker/Admin)
+ */
+export const uploadTaskImages = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    const before = task.toObject();
+
+    if (req.user.role === "worker" && !task.isCrewMember(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to upload images for this task",
+      });
+    }
+
+    const { imageType, isVisibleToClient = true } = req.body;
+
+    if (!["before", "after"].includes(imageType)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid image type. Must be: before or after",
+      });
+    }
+
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No files uploaded",
+      });
+    }
+
+    // ✅ UPDATED: Support both images and videos
+    const mediaObjects = files.map((file) => ({
+      url: file.url,
+      cloudinaryId: file.cloudinaryId,
+      thumbnail: file.url, // For videos, Cloudinary auto-generates thumbnails
+      mediaType: file.resourceType, // ✅ 'image' or 'video'
+      format: file.format, // jpg, png, mp4, etc.
+      duration: file.duration || null, // ✅ For videos
+      uploadedAt: new Date(),
+      uploadedBy: req.user.id,
+      isVisibleToClient:
+        isVisibleToClient === "true" || isVisibleToClient === true,
+    }));
+
+    if (!task.images) {
+      task.images = { before: [], after: [] };
+    }
+
+    task.images[imageType].push(...mediaObjects);
+    await task.save();
+
+    await recordTaskHistory(req, "image-upload", before, task);
+
+    res.status(200).json({
+      success: true,
+      message: `${files.length} file(s) uploaded successfully`,
+      data: task.images,
+    });
+  } catch (error) {
+    console.error("Upload task images error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload files",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Tick / untick a checklist item (optional photo)
+ * @route   PUT /api/v1/tasks/:id/checklist/:itemId
+ * @access  Private (Worker/Admin)
+ */
+export const updateChecklistItem = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    const before = task.toObject();
+
+    if (req.user.role === "worker" && !task.isCrewMember(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this task",
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Checklist item not found",
+      });
+    }
+
+    const { note } = req.body;
+    const done =
+      req.body.done === undefined
+        ? true
+        : req.body.done === true || req.body.done === "true";
+
+    if (req.file && req.file.cloudinaryUrl) {
+      item.photo = {
+        url: req.file.cloudinaryUrl,
+        cloudinaryId: req.file.cloudinaryId,
+      };
+    }
+
+    if (done && item.requiresPhoto && !item.photo?.url) {
+      return res.status(400).json({
+        success: false,
+        message: "A photo is required to complete this item",
+      });
+    }
+
+    item.done = done;
+    item.doneAt = done ? new Date() : undefined;
+    item.doneBy = done ? req.user.id : undefined;
+    if (note !== undefined) item.note = note;
+
+    await task.save();
+
+    await recordTaskHistory(req, "checklist", before, task);
+
+    res.status(200).json({
+      success: true,
+      message: "Checklist item updated successfully",
+      data: {
+        item,
+        checklistProgress: task.getChecklistProgress(),
+      },
+    });
+  } catch (error) {
+    console.error("Update checklist item error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update checklist item",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete task image
+ * @route   DELETE /api/v1/tasks/:id/images/:imageId
+ * @access  Private (Worker/Admin)
+ */
+export const deleteTaskImage = async (req, res) => {
+  try {
+    const { imageType } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    const before = task.toObject();
+
+    if (req.user.role === "worker" && !task.isCrewMember(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized",
+      });
+    }
+
+    if (!["before", "after"].includes(imageType)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid image type",
+      });
+    }
+
+    // Find and remove image
+    const imageArray = task.images[imageType];
+    const imageIndex = imageArray.findIndex(
+      (img) => img._id.toString() === req.params.imageId
+    );
+
+    if (imageIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: "Image not found",
+      });
+    }
+
+    const image = imageArray[imageIndex];
+
+    // Delete from Cloudinary
+    if (image.cloudinaryId) {
+      try {
+        const { v2: cloudinary } = await import("cloudinary");
+        await cloudinary.uploader.destroy(image.cloudinaryId);
+        console.log("🗑️ Image deleted from Cloudinary");
+      } catch (err) {
+        console.error("Failed to delete from Cloudinary:", err);
+      }
+    }
+
+    // Remove from array
+    imageArray.splice(imageIndex, 1);
+    await task.save();
+
+    await recordTaskHistory(req, "image-delete", before, task);
+
+    res.status(200).json({
+      success: true,
+      message: "Image deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete task image error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete image",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Assign task to worker
+ * @route   POST /api/v1/tasks/:id/assign
+ * @access  Private (Admin)
+ */
+export const assignTask = async (req, res) => {
+  try {
+    const { workerId } = req.body;
+
+    const task = await Task.findById(req.params.id).populate(
+      "client",
+      "name email phone"
+    );
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    const before = task.toObject();
+
+    const worker = await User.findById(workerId);
+
+    if (!worker || worker.role !== "worker") {
+      return res.status(404).json({
+        success: false,
+        message: "Worker not found",
+      });
+    }
+
+    // Reviewed or completed work can no longer be handed to someone else
+    if (["review", "completed"].includes(task.status)) {
+      return res
+        .status(409)
+        .json(transitionErrorBody(task.status, "assigned", req.user.role));
+    }
+
+    const availability = await checkAvailability(
+      [workerId],
+      task.scheduledDate
+    );
+    if (availability.blocked) {
+      return res.status(409).json({
+        success: false,
+        message: availability.message,
+        warnings: availability.warnings,
+      });
+    }
+
+    task.setLead(workerId);
+    if (task.status === "pending") {
+      task.setStatus("assigned", req.user);
     }
+    await task.save();
 
-    task = await Task.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    })
-      .populate("client", "name email phone")
-      .populate("worker", "name email phone")
-      .populate("branch", "name code")
-      .populate("site", "name siteType");
+    await notifyTaskAssignment(worker, task, task.client);
+
+    await recordTaskHistory(req, "assign", before, task);
 
     res.status(200).json({
       success: true,
-      message: "Task updated successfully",
+      message: "Task assigned successfully",
       data: task,
+      warnings: availability.warnings,
     });
   } catch (error) {
+    console.error("Assign task error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error",
+      message: "Failed to assign task",
       error: error.message,
     });
   }
 };
 
 /**
- * @desc    Delete task
- * @route   DELETE /api/v1/tasks/:id
- * @access  Private/Admin
+ * @desc    Rank workers for a task and optionally assign the best one
+ * @route   POST /api/v1/tasks/:id/auto-assign
+ * @access  Private (Admin)
+ *
+ * Body: { assign } - when true the top eligible worker is assigned
  */
-export const deleteTask = async (req, res) => {
+export const autoAssignTask = async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const assign = req.body.assign === true || req.body.assign === "true";
+
+    const task = await Task.findById(req.params.id).populate(
+      "client",
+      "name email phone"
+    );
 
     if (!task) {
       return res.status(404).json({
@@ -483,29 +1948,79 @@ export const deleteTask = async (req, res) => {
       });
     }
 
-    await task.deleteOne();
+    const before = task.toObject();
+
+    const { candidates, status, error } = await rankWorkers(task);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (!assign) {
+      return res.status(200).json({
+        success: true,
+        count: candidates.length,
+        data: { candidates, assigned: null },
+      });
+    }
+
+    // Reviewed or completed work can no longer be handed to someone else
+    if (["review", "completed"].includes(task.status)) {
+      return res
+        .status(409)
+        .json(transitionErrorBody(task.status, "assigned", req.user.role));
+    }
+
+    const top = candidates.find((c) => c.eligible);
+    if (!top) {
+      return res.status(409).json({
+        success: false,
+        message: "No worker is available for this task",
+        data: { candidates, assigned: null },
+      });
+    }
+
+    task.setLead(top.worker._id);
+    if (task.status === "pending") {
+      task.setStatus("assigned", req.user);
+    }
+    await task.save();
+
+    const worker = await User.findById(top.worker._id);
+    await notifyTaskAssignment(worker, task, task.client);
+
+    await recordTaskHistory(req, "assign", before, task);
 
     res.status(200).json({
       success: true,
-      message: "Task deleted successfully",
+      message: `Task assigned to ${top.worker.name}`,
+      count: candidates.length,
+      data: { candidates, assigned: top },
     });
   } catch (error) {
+    console.error("Auto-assign task error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error",
+      message: "Failed to auto-assign task",
       error: error.message,
     });
   }
 };
 
 /**
- * @desc    Start task (worker)
- * @route   POST /api/v1/tasks/:id/start
- * @access  Private/Worker
+ * @desc    Set task cost manually and/or lock it (e.g. before invoicing)
+ * @route   PUT /api/v1/tasks/:id/cost
+ * @access  Private (Admin)
+ *
+ * Body: { labor?, materials?, locked? } - manual amounts lock the cost;
+ * locked: false unlocks it and recalculates completed tasks.
  */
-export const startTask = async (req, res) => {
+export const updateTaskCost = async (req, res) => {
   try {
-    const { latitude, longitude } = req.body;
+    const { labor, materials, locked } = req.body;
+
     const task = await Task.findById(req.params.id);
     if (!task) {
       return res.status(404).json({
@@ -513,47 +2028,61 @@ export const startTask = async (req, res) => {
         message: "Task not found",
       });
     }
-    if (task.worker.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized",
-      });
+
+    const before = task.toObject();
+
+    for (const [field, value] of Object.entries({ labor, materials })) {
+      if (value === undefined) continue;
+      if (typeof value !== "number" || value < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a positive number`,
+        });
+      }
+      task.cost[field] = value;
     }
 
-    task.status = "in-progress";
-    task.startedAt = new Date();
-    if (latitude !== undefined && longitude !== undefined) {
-      task.startLocation = {
-        coordinates: {
-          latitude: parseFloat(latitude),
-          longitude: parseFloat(longitude),
-        },
-        timestamp: new Date(),
-      };
+    const manual = labor !== undefined || materials !== undefined;
+    if (manual || locked === true) {
+      task.cost.locked = true;
+      task.cost.lockedAt = new Date();
+      task.cost.lockedBy = req.user.id;
+      await task.save();
+    } else if (locked === false) {
+      task.cost.locked = false;
+      task.cost.lockedAt = undefined;
+      task.cost.lockedBy = undefined;
+      if (task.status === "completed") {
+        await applyTaskCost(task);
+      } else {
+        await task.save();
+      }
     }
-    await task.save();
+
+    await recordTaskHistory(req, "cost", before, task);
+
     res.status(200).json({
       success: true,
-      message: "Task started successfully",
-      data: task,
+      message: task.cost.locked ? "Task cost locked" : "Task cost unlocked",
+      data: task.cost,
     });
   } catch (error) {
+    console.error("Update task cost error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error",
+      message: "Failed to update task cost",
       error: error.message,
     });
   }
 };
 
 /**
- * @desc    Complete task (worker)
- * @route   POST /api/v1/tasks/:id/complete
- * @access  Private/Worker
+ * @desc    Recalculate task cost from current rates and unit costs
+ * @route   POST /api/v1/tasks/:id/cost/recalculate
+ * @access  Private (Admin)
  */
-export const completeTask = async (req, res) => {
+export const recalculateTaskCost = async (req, res) => {
   try {
-    const { latitude, longitude } = req.body;
     const task = await Task.findById(req.params.id);
     if (!task) {
       return res.status(404).json({
@@ -561,52 +2090,51 @@ export const completeTask = async (req, res) => {
         message: "Task not found",
       });
     }
-    if (task.worker.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized",
-      });
-    }
-    if (task.status === "completed") {
-      return res.status(400).json({
+
+    const before = task.toObject();
+
+    if (task.cost.locked) {
+      return res.status(409).json({
         success: false,
-        message: "Task already completed",
+        message: "Task cost is locked; unlock it first",
       });
     }
-    task.status = "completed";
-    task.completedAt = new Date();
-    if (latitude !== undefined && longitude !== undefined) {
-      task.endLocation = {
-        coordinates: {
-          latitude: parseFloat(latitude),
-          longitude: parseFloat(longitude),
-        },
-        timestamp: new Date(),
-      };
-    }
-    await task.save();
+
+    await applyTaskCost(task);
+
+    await recordTaskHistory(req, "cost", before, task);
+
     res.status(200).json({
       success: true,
-      message: "Task completed successfully",
-      data: task,
+      message: "Task cost recalculated",
+      data: task.cost,
     });
   } catch (error) {
+    console.error("Recalculate task cost error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error",
+      message: "Failed to recalculate task cost",
       error: error.message,
     });
   }
 };
 
 /**
- * @desc    Upload task images (before/after only)
- * @route   POST /api/v1/tasks/:id/images
- * @access  Private (Worker/Admin)
+ * @desc    Set the crew of a task (lead worker plus helpers)
+ * @route   PUT /api/v1/tasks/:id/crew
+ * @access  Private (Admin)
+ *
+ * Body: { crew: [{ worker, role: "lead" | "helper" }] } - exactly one lead.
+ * The lead becomes task.worker; an empty crew keeps only the lead.
  */
-export const uploadTaskImages = async (req, res) => {
+export const setTaskCrew = async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const { crew } = req.body;
+
+    const task = await Task.findById(req.params.id).populate(
+      "client",
+      "name email phone"
+    );
 
     if (!task) {
       return res.status(404).json({
@@ -615,75 +2143,114 @@ export const uploadTaskImages = async (req, res) => {
       });
     }
 
-    if (req.user.role === "worker" && task.worker?.toString() !== req.user.id) {
-      return res.status(403).json({
+    const before = task.toObject();
+
+    if (["review", "completed"].includes(task.status)) {
+      return res.status(409).json({
         success: false,
-        message: "Not authorized to upload images for this task",
+        message: `Cannot change the crew of a ${task.status} task`,
       });
     }
 
-    const { imageType, isVisibleToClient = true } = req.body;
+    if (!Array.isArray(crew)) {
+      return res.status(400).json({
+        success: false,
+        message: "crew must be an array",
+      });
+    }
 
-    if (!["before", "after"].includes(imageType)) {
+    const leads = crew.filter((m) => m.role === "lead");
+    const workerIds = crew.map((m) => String(m.worker));
+    if (crew.length > 0 && leads.length !== 1) {
       return res.status(400).json({
         success: false,
-        message: "Invalid image type. Must be: before or after",
+        message: "A crew needs exactly one lead",
+      });
+    }
+    if (new Set(workerIds).size !== workerIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: "A worker can only appear once in the crew",
       });
     }
 
-    const files = req.files || [];
+    const workers = await User.find({
+      _id: { $in: workerIds },
+      role: "worker",
+    });
+    if (workers.length !== workerIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: "One or more workers not found",
+      });
+    }
 
-    if (files.length === 0) {
-      return res.status(400).json({
+    const availability = await checkAvailability(
+      workerIds,
+      task.scheduledDate
+    );
+    if (availability.blocked) {
+      return res.status(409).json({
         success: false,
-        message: "No files uploaded",
+        message: availability.message,
+        warnings: availability.warnings,
       });
     }
 
-    // ✅ UPDATED: Support both images and videos
-    const mediaObjects = files.map((file) => ({
-      url: file.url,
-      cloudinaryId: file.cloudinaryId,
-      thumbnail: file.url, // For videos, Cloudinary auto-generates thumbnails
-      mediaType: file.resourceType, // ✅ 'image' or 'video'
-      format: file.format, // jpg, png, mp4, etc.
-      duration: file.duration || null, // ✅ For videos
-      uploadedAt: new Date(),
-      uploadedBy: req.user.id,
-      isVisibleToClient:
-        isVisibleToClient === "true" || isVisibleToClient === true,
+    const previous = task.getCrewIds();
+    const existing = new Map(
+      task.crew.map((m) => [m.worker.toString(), m.addedAt])
+    );
+
+    task.crew = crew.map((m) => ({
+      worker: m.worker,
+      role: m.role === "lead" ? "lead" : "helper",
+      addedAt: existing.get(String(m.worker)) || new Date(),
     }));
+    if (leads.length === 1) {
+      task.worker = leads[0].worker;
+      if (task.status === "pending") {
+        task.setStatus("assigned", req.user);
+      }
+    }
+    await task.save();
+    await recordTaskHistory(req, "crew", before, task);
 
-    if (!task.images) {
-      task.images = { before: [], after: [] };
+    // Let newly added crew members know
+    const added = workers.filter((w) => !previous.includes(w._id.toString()));
+    for (const worker of added) {
+      await notifyTaskAssignment(worker, task, task.client);
     }
 
-    task.images[imageType].push(...mediaObjects);
-    await task.save();
+    await task.populate([
+      { path: "worker", select: "name email phone" },
+      { path: "crew.worker", select: "name email phone" },
+    ]);
 
     res.status(200).json({
       success: true,
-      message: `${files.length} file(s) uploaded successfully`,
-      data: task.images,
+      message: "Crew updated successfully",
+      data: task,
+      warnings: availability.warnings,
     });
   } catch (error) {
-    console.error("Upload task images error:", error);
+    console.error("Set task crew error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to upload files",
+      message: "Failed to update crew",
       error: error.message,
     });
   }
 };
 
 /**
- * @desc    Delete task image
- * @route   DELETE /api/v1/tasks/:id/images/:imageId
- * @access  Private (Worker/Admin)
+ * @desc    Approve task submitted for review
+ * @route   POST /api/v1/tasks/:id/approve
+ * @access  Private (Admin)
  */
-export const deleteTaskImage = async (req, res) => {
+export const approveTask = async (req, res) => {
   try {
-    const { imageType } = req.body;
+    const { comments } = req.body;
     const task = await Task.findById(req.params.id);
 
     if (!task) {
@@ -693,77 +2260,58 @@ export const deleteTaskImage = async (req, res) => {
       });
     }
 
-    if (req.user.role === "worker" && task.worker?.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized",
-      });
-    }
-
-    if (!["before", "after"].includes(imageType)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid image type",
-      });
-    }
-
-    // Find and remove image
-    const imageArray = task.images[imageType];
-    const imageIndex = imageArray.findIndex(
-      (img) => img._id.toString() === req.params.imageId
-    );
-
-    if (imageIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: "Image not found",
-      });
-    }
-
-    const image = imageArray[imageIndex];
+    const before = task.toObject();
 
-    // Delete from Cloudinary
-    if (image.cloudinaryId) {
-      try {
-        const { v2: cloudinary } = await import("cloudinary");
-        await cloudinary.uploader.destroy(image.cloudinaryId);
-        console.log("🗑️ Image deleted from Cloudinary");
-      } catch (err) {
-        console.error("Failed to delete from Cloudinary:", err);
-      }
+    if (!canTransition(task.status, "completed", req.user.role)) {
+      return res
+        .status(409)
+        .json(transitionErrorBody(task.status, "completed", req.user.role));
     }
 
-    // Remove from array
-    imageArray.splice(imageIndex, 1);
+    task.setStatus("completed", req.user, comments);
+    task.adminReview = {
+      status: "approved",
+      comments,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+    };
     await task.save();
+    await applyStatusSideEffects(task, "completed");
+
+    await recordTaskHistory(req, "approve", before, task);
 
     res.status(200).json({
       success: true,
-      message: "Image deleted successfully",
+      message: "Task approved successfully",
+      data: task,
     });
   } catch (error) {
-    console.error("Delete task image error:", error);
+    console.error("Approve task error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to delete image",
+      message: "Failed to approve task",
       error: error.message,
     });
   }
 };
 
 /**
- * @desc    Assign task to worker
- * @route   POST /api/v1/tasks/:id/assign
+ * @desc    Reject task submitted for review (worker has to rework it)
+ * @route   POST /api/v1/tasks/:id/reject
  * @access  Private (Admin)
  */
-export const assignTask = async (req, res) => {
+export const rejectTask = async (req, res) => {
   try {
-    const { workerId } = req.body;
+    const { comments } = req.body;
 
-    const task = await Task.findById(req.params.id).populate(
-      "client",
-      "name email phone"
-    );
+    if (!comments || !comments.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a reason for the rejection",
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
 
     if (!task) {
       return res.status(404).json({
@@ -772,31 +2320,36 @@ export const assignTask = async (req, res) => {
       });
     }
 
-    const worker = await User.findById(workerId);
+    const before = task.toObject();
 
-    if (!worker || worker.role !== "worker") {
-      return res.status(404).json({
-        success: false,
-        message: "Worker not found",
-      });
+    if (!canTransition(task.status, "rejected", req.user.role)) {
+      return res
+        .status(409)
+        .json(transitionErrorBody(task.status, "rejected", req.user.role));
     }
 
-    task.worker = workerId;
-    task.status = "assigned";
+    task.setStatus("rejected", req.user, comments);
+    task.adminReview = {
+      status: "rejected",
+      comments,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+    };
     await task.save();
+    await applyStatusSideEffects(task, "rejected");
 
-    await notifyTaskAssignment(worker, task, task.client);
+    await recordTaskHistory(req, "reject", before, task);
 
     res.status(200).json({
       success: true,
-      message: "Task assigned successfully",
+      message: "Task rejected successfully",
       data: task,
     });
   } catch (error) {
-    console.error("Assign task error:", error);
+    console.error("Reject task error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to assign task",
+      message: "Failed to reject task",
       error: error.message,
     });
   }
@@ -819,6 +2372,8 @@ export const submitFeedback = async (req, res) => {
       });
     }
 
+    const before = task.toObject();
+
     if (task.status !== "completed") {
       return res.status(400).json({
         success: false,
@@ -850,6 +2405,8 @@ export const submitFeedback = async (req, res) => {
     task.feedback = feedbackData;
     await task.save();
 
+    await recordTaskHistory(req, "feedback", before, task);
+
     res.status(200).json({
       success: true,
       message: "Feedback submitted successfully",
@@ -881,6 +2438,8 @@ export const markSatisfied = async (req, res) => {
       });
     }
 
+    const before = task.toObject();
+
     if (task.status !== "completed") {
       return res.status(400).json({
         success: false,
@@ -905,6 +2464,8 @@ export const markSatisfied = async (req, res) => {
 
     await task.save();
 
+    await recordTaskHistory(req, "feedback", before, task);
+
     res.status(200).json({
       success: true,
       message: "Task marked as satisfied",
@@ -1012,6 +2573,76 @@ export const deleteOldTasks = async () => {
   }
 };
 
+/**
+ * Flag open tasks past their scheduledDate plus the grace period of their
+ * priority as overdue and notify the worker; alert admins when a task is
+ * still open escalateAfterHours later (Settings.overdue).
+ */
+export const checkOverdueTasks = async () => {
+  try {
+    const settings = await Settings.getSettings();
+    const { graceHours, escalateAfterHours } = settings.overdue;
+    const now = new Date();
+    const HOUR_MS = 60 * 60 * 1000;
+
+    let flagged = 0;
+    for (const priority of ["urgent", "high", "medium", "low"]) {
+      const grace = graceHours[priority] ?? 24;
+      const tasks = await Task.find({
+        priority,
+        status: { $in: OPEN_STATUSES },
+        isOverdue: { $ne: true },
+        scheduledDate: { $lte: new Date(now.getTime() - grace * HOUR_MS) },
+      }).populate("worker", "name email phone");
+
+      for (const task of tasks) {
+        const before = task.toObject();
+        task.isOverdue = true;
+        task.overdueSince = new Date(
+          task.scheduledDate.getTime() + grace * HOUR_MS
+        );
+        if (task.worker) {
+          await notifyTaskOverdue(task.worker, task);
+          task.overdueNotifiedAt = now;
+        }
+        await task.save();
+        await recordTaskHistory(null, "overdue", before, task);
+        flagged++;
+      }
+    }
+
+    const stillOpen = await Task.find({
+      isOverdue: true,
+      status: { $in: OPEN_STATUSES },
+      escalatedAt: null,
+      overdueSince: {
+        $lte: new Date(now.getTime() - escalateAfterHours * HOUR_MS),
+      },
+    }).populate("worker", "name");
+
+    let escalated = 0;
+    if (stillOpen.length > 0) {
+      const admins = await User.find({ role: "admin", isActive: true });
+      for (const task of stillOpen) {
+        const before = task.toObject();
+        for (const admin of admins) {
+          await notifyTaskEscalation(admin, task, task.worker);
+        }
+        task.escalatedAt = now;
+        await task.save();
+        await recordTaskHistory(null, "escalate", before, task);
+        escalated++;
+      }
+    }
+
+    console.log(
+      `Cron: Flagged ${flagged} overdue tasks, escalated ${escalated} to admins`
+    );
+  } catch (error) {
+    console.error("Error in checkOverdueTasks cron:", error.message);
+  }
+};
+
 /**
 
 @desc    Admin endpoint: Delete all BEFORE images (media taken before delivery to client)
@@ -1027,6 +2658,9 @@ export const deleteBeforeMedia = async (req, res) => {
         message: "Task not found",
       });
     }
+
+    const before = task.toObject();
+
     const publicIds = new Set();
     task.images.before.forEach((img) => {
       if (img.cloudinaryId) publicIds.add(img.cloudinaryId);
@@ -1044,6 +2678,8 @@ export const deleteBeforeMedia = async (req, res) => {
     } // Clear from DB
     task.images.before = [];
     await task.save();
+    await recordTaskHistory(req, "image-delete", before, task);
+
     res.status(200).json({
       success: true,
       message:
@@ -1063,14 +2699,28 @@ export const deleteBeforeMedia = async (req, res) => {
 export default {
   getTasks,
   getTask,
+  getTaskHistory,
   createTask,
+  createTaskFromTemplate,
+  createTasksBulk,
+  rollbackTaskBatch,
   updateTask,
   deleteTask,
   startTask,
+  pauseTask,
+  resumeTask,
   completeTask,
+  syncOfflineActions,
   uploadTaskImages,
   deleteTaskImage,
+  updateChecklistItem,
   assignTask,
+  autoAssignTask,
+  updateTaskCost,
+  recalculateTaskCost,
+  setTaskCrew,
+  approveTask,
+  rejectTask,
   toggleImageVisibility,
   bulkUpdateImageVisibility,
   submitFeedback,
@@ -0,0 +1,574 @@
+// backend/src/controllers/taskRecurrenceController.js
+import TaskRecurrence from "../models/TaskRecurrence.js";
+import Task from "../models/Task.js";
+import Site from "../models/Site.js";
+import User from "../models/User.js";
+import {
+  snapshotReferenceImages,
+  buildChecklist,
+} from "../services/taskService.js";
+import { checkAvailability } from "../services/availabilityService.js";
+import { recordTaskDeletions } from "../services/taskHistoryService.js";
+import { getOccurrences, getNextOccurrences } from "../utils/recurrence.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Generated tasks that have not been touched yet and can be safely replaced
+const REPLACEABLE_STATUSES = ["pending", "assigned"];
+
+/**
+ * Validate site / sections / worker of a recurrence payload
+ * @returns {Object} - { error, status } on failure, { siteDoc } on success
+ */
+const validateRecurrenceRefs = async ({ site, sections, worker }) => {
+  const siteDoc = await Site.findById(site);
+  if (!siteDoc) {
+    return { status: 404, error: "Site not found" };
+  }
+
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return { status: 400, error: "At least one section is required" };
+  }
+
+  const invalidSections = sections.filter(
+    (sectionId) =>
+      !siteDoc.sections.some((sec) => sec._id.toString() === String(sectionId))
+  );
+  if (invalidSections.length > 0) {
+    return {
+      status: 404,
+      error: "One or more sections not found in this site",
+    };
+  }
+
+  const workerDoc = await User.findById(worker);
+  if (!workerDoc || workerDoc.role !== "worker") {
+    return { status: 404, error: "Worker not found" };
+  }
+
+  return { siteDoc };
+};
+
+/**
+ * Delete future tasks of a series that nobody has started yet.
+ * Past, in-progress and completed tasks are never touched.
+ * @param {Object} recurrence - The series
+ * @param {Object} req - Request of the change (for the task history)
+ */
+const removeFutureTasks = async (recurrence, req) => {
+  const tasks = await Task.find({
+    recurrence: recurrence._id,
+    scheduledDate: { $gt: new Date() },
+    status: { $in: REPLACEABLE_STATUSES },
+  });
+  if (tasks.length === 0) return 0;
+
+  const result = await Task.deleteMany({
+    _id: { $in: tasks.map((task) => task._id) },
+  });
+  await recordTaskDeletions(req, tasks);
+  return result.deletedCount;
+};
+
+/**
+ * Create the real tasks of a series up to `leadDays` ahead
+ * @returns {Number} - Number of tasks created
+ */
+const generateTasksForRecurrence = async (recurrence) => {
+  if (recurrence.status !== "active") return 0;
+
+  const now = new Date();
+  const until = new Date(now.getTime() + recurrence.leadDays * DAY_MS);
+  const from =
+    recurrence.generatedUntil && recurrence.generatedUntil > now
+      ? new Date(recurrence.generatedUntil.getTime() + 1)
+      : now;
+
+  const dates = getOccurrences(recurrence, { from, until });
+
+  let created = 0;
+
+  if (dates.length > 0) {
+    const siteDoc = await Site.findById(recurrence.site);
+    if (!siteDoc) return 0;
+
+    // Sections may have been removed from the site since the series was set up
+    const sectionIds = recurrence.sections.map((id) => id.toString());
+    const validSections = siteDoc.sections.filter((sec) =>
+      sectionIds.includes(sec._id.toString())
+    );
+    if (validSections.length === 0) return 0;
+
+    const checklist = await buildChecklist(recurrence.category, validSections);
+
+    for (const scheduledDate of dates) {
+      const exists = await Task.exists({
+        recurrence: recurrence._id,
+        scheduledDate,
+      });
+      if (exists) continue;
+
+      // Occurrences the worker cannot take are left unassigned
+      const availability = await checkAvailability(
+        recurrence.worker ? [recurrence.worker] : [],
+        scheduledDate
+      );
+
+      await Task.create({
+        title: recurrence.title,
+        description: recurrence.description,
+        site: recurrence.site,
+        sections: validSections.map((s) => s._id),
+        client: recurrence.client,
+        worker: availability.blocked ? null : recurrence.worker,
+        branch: recurrence.branch,
+        scheduledDate,
+        priority: recurrence.priority,
+        category: recurrence.category,
+        estimatedDuration: recurrence.estimatedDuration,
+        materials: recurrence.materials,
+        notes: recurrence.notes,
+        status: "pending",
+        referenceImages: snapshotReferenceImages(validSections),
+        checklist,
+        recurrence: recurrence._id,
+      });
+      created++;
+    }
+  }
+
+  recurrence.generatedUntil = until;
+  recurrence.lastGeneratedAt = now;
+  await recurrence.save();
+
+  return created;
+};
+
+/**
+ * @desc    Get all recurring task schedules
+ * @route   GET /api/v1/task-recurrences
+ * @access  Private (Admin only)
+ */
+export const getRecurrences = async (req, res) => {
+  try {
+    const { site, worker, client, status } = req.query;
+
+    const query = {};
+    if (site) query.site = site;
+    if (worker) query.worker = worker;
+    if (client) query.client = client;
+    if (status) query.status = status;
+
+    const recurrences = await TaskRecurrence.find(query)
+      .populate("site", "name")
+      .populate("worker", "name email phone")
+      .populate("client", "name email phone")
+      .sort("-createdAt");
+
+    res.status(200).json({
+      success: true,
+      count: recurrences.length,
+      data: recurrences,
+    });
+  } catch (error) {
+    console.error("Get recurrences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch recurring schedules",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get single recurring schedule with its upcoming tasks
+ * @route   GET /api/v1/task-recurrences/:id
+ * @access  Private (Admin only)
+ */
+export const getRecurrence = async (req, res) => {
+  try {
+    const recurrence = await TaskRecurrence.findById(req.params.id)
+      .populate("site", "name sections")
+      .populate("worker", "name email phone")
+      .populate("client", "name email phone")
+      .populate("createdBy", "name email");
+
+    if (!recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring schedule not found",
+      });
+    }
+
+    const upcomingTasks = await Task.find({
+      recurrence: recurrence._id,
+      scheduledDate: { $gte: new Date() },
+    })
+      .select("title status scheduledDate worker")
+      .sort("scheduledDate")
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...recurrence.toObject(),
+        upcomingTasks,
+      },
+    });
+  } catch (error) {
+    console.error("Get recurrence error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch recurring schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create recurring schedule and generate its first tasks
+ * @route   POST /api/v1/task-recurrences
+ * @access  Private (Admin only)
+ */
+export const createRecurrence = async (req, res) => {
+  try {
+    const { title, description, site, sections, worker, rule, startDate } =
+      req.body;
+
+    if (!title || !description || !site || !sections || !worker || !rule) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide all required fields",
+      });
+    }
+
+    const { siteDoc, status, error } = await validateRecurrenceRefs(req.body);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const recurrence = await TaskRecurrence.create({
+      ...req.body,
+      // ✅ Auto-fill Client from Site
+      client: req.body.client || siteDoc.client,
+      startDate: startDate || new Date(),
+      status: "active",
+      generatedUntil: null,
+      createdBy: req.user.id,
+    });
+
+    const generatedCount = await generateTasksForRecurrence(recurrence);
+
+    res.status(201).json({
+      success: true,
+      message: "Recurring schedule created successfully",
+      data: recurrence,
+      generatedCount,
+    });
+  } catch (error) {
+    console.error("Create recurrence error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create recurring schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update recurring schedule (only future, untouched tasks are regenerated)
+ * @route   PUT /api/v1/task-recurrences/:id
+ * @access  Private (Admin only)
+ */
+export const updateRecurrence = async (req, res) => {
+  try {
+    const recurrence = await TaskRecurrence.findById(req.params.id);
+
+    if (!recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring schedule not found",
+      });
+    }
+
+    const updateData = { ...req.body };
+    delete updateData.status;
+    delete updateData.generatedUntil;
+    delete updateData.lastGeneratedAt;
+    delete updateData.createdBy;
+
+    if (updateData.site || updateData.sections || updateData.worker) {
+      const { status, error } = await validateRecurrenceRefs({
+        site: updateData.site || recurrence.site,
+        sections:
+          updateData.sections ||
+          recurrence.sections.map((id) => id.toString()),
+        worker: updateData.worker || recurrence.worker,
+      });
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          message: error,
+        });
+      }
+    }
+
+    Object.assign(recurrence, updateData);
+    await recurrence.validate();
+
+    const removedCount = await removeFutureTasks(recurrence, req);
+    recurrence.generatedUntil = null;
+    const generatedCount = await generateTasksForRecurrence(recurrence);
+    if (recurrence.status !== "active") await recurrence.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring schedule updated successfully",
+      data: recurrence,
+      removedCount,
+      generatedCount,
+    });
+  } catch (error) {
+    console.error("Update recurrence error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update recurring schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Pause recurring schedule (removes future, untouched tasks)
+ * @route   POST /api/v1/task-recurrences/:id/pause
+ * @access  Private (Admin only)
+ */
+export const pauseRecurrence = async (req, res) => {
+  try {
+    const recurrence = await TaskRecurrence.findById(req.params.id);
+
+    if (!recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring schedule not found",
+      });
+    }
+
+    if (recurrence.status === "paused") {
+      return res.status(400).json({
+        success: false,
+        message: "Recurring schedule is already paused",
+      });
+    }
+
+    const removedCount = await removeFutureTasks(recurrence, req);
+    recurrence.status = "paused";
+    recurrence.generatedUntil = null;
+    await recurrence.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring schedule paused",
+      data: recurrence,
+      removedCount,
+    });
+  } catch (error) {
+    console.error("Pause recurrence error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to pause recurring schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Resume paused recurring schedule
+ * @route   POST /api/v1/task-recurrences/:id/resume
+ * @access  Private (Admin only)
+ */
+export const resumeRecurrence = async (req, res) => {
+  try {
+    const recurrence = await TaskRecurrence.findById(req.params.id);
+
+    if (!recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring schedule not found",
+      });
+    }
+
+    if (recurrence.status === "active") {
+      return res.status(400).json({
+        success: false,
+        message: "Recurring schedule is already active",
+      });
+    }
+
+    recurrence.status = "active";
+    recurrence.generatedUntil = null;
+    const generatedCount = await generateTasksForRecurrence(recurrence);
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring schedule resumed",
+      data: recurrence,
+      generatedCount,
+    });
+  } catch (error) {
+    console.error("Resume recurrence error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to resume recurring schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete recurring schedule (already generated past/started tasks are kept)
+ * @route   DELETE /api/v1/task-recurrences/:id
+ * @access  Private (Admin only)
+ */
+export const deleteRecurrence = async (req, res) => {
+  try {
+    const recurrence = await TaskRecurrence.findById(req.params.id);
+
+    if (!recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring schedule not found",
+      });
+    }
+
+    const removedCount = await removeFutureTasks(recurrence, req);
+    await recurrence.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring schedule deleted successfully",
+      removedCount,
+    });
+  } catch (error) {
+    console.error("Delete recurrence error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete recurring schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Preview the next N dates of a recurring schedule
+ * @route   GET /api/v1/task-recurrences/:id/preview?count=
+ * @access  Private (Admin only)
+ */
+export const previewRecurrence = async (req, res) => {
+  try {
+    const count = Math.min(parseInt(req.query.count) || 5, 100);
+    const recurrence = await TaskRecurrence.findById(req.params.id).lean();
+
+    if (!recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring schedule not found",
+      });
+    }
+
+    const dates = getNextOccurrences(recurrence, count);
+
+    res.status(200).json({
+      success: true,
+      count: dates.length,
+      data: dates,
+    });
+  } catch (error) {
+    console.error("Preview recurrence error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to preview recurring schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Preview the next N dates of an unsaved rule
+ * @route   POST /api/v1/task-recurrences/preview
+ * @access  Private (Admin only)
+ */
+export const previewRule = async (req, res) => {
+  try {
+    const { rule, startDate, endDate } = req.body;
+    const count = Math.min(parseInt(req.body.count) || 5, 100);
+
+    if (!rule || !["daily", "weekly", "monthly"].includes(rule.frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid recurrence rule",
+      });
+    }
+
+    const dates = getNextOccurrences(
+      { rule, startDate: startDate || new Date(), endDate },
+      count
+    );
+
+    res.status(200).json({
+      success: true,
+      count: dates.length,
+      data: dates,
+    });
+  } catch (error) {
+    console.error("Preview rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to preview recurrence rule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cron Job: Generate upcoming tasks for all active recurring schedules
+ */
+export const generateRecurringTasks = async () => {
+  try {
+    const recurrences = await TaskRecurrence.find({ status: "active" });
+    let totalCreated = 0;
+
+    for (const recurrence of recurrences) {
+      try {
+        totalCreated += await generateTasksForRecurrence(recurrence);
+      } catch (err) {
+        console.error(
+          `Failed to generate tasks for recurrence ${recurrence._id}:`,
+          err.message
+        );
+      }
+    }
+
+    console.log(
+      `Cron: Generated ${totalCreated} tasks from ${recurrences.length} recurring schedules`
+    );
+  } catch (error) {
+    console.error("Error in generateRecurringTasks cron:", error.message);
+  }
+};
+
+export default {
+  getRecurrences,
+  getRecurrence,
+  createRecurrence,
+  updateRecurrence,
+  pauseRecurrence,
+  resumeRecurrence,
+  deleteRecurrence,
+  previewRecurrence,
+  previewRule,
+  generateRecurringTasks,
+};
@@ -0,0 +1,214 @@
+// backend/src/controllers/taskTemplateController.js
+import TaskTemplate from "../models/TaskTemplate.js";
+import Inventory from "../models/Inventory.js";
+
+/**
+ * Check that every template material points at an existing inventory item
+ * @returns {String|null} - Error message or null when valid
+ */
+const validateMaterials = async (materials) => {
+  if (!materials || materials.length === 0) return null;
+
+  const ids = materials.map((m) => m.item);
+  const count = await Inventory.countDocuments({ _id: { $in: ids } });
+
+  return count === new Set(ids.map(String)).size
+    ? null
+    : "One or more inventory items not found";
+};
+
+/**
+ * @desc    Get all task templates
+ * @route   GET /api/v1/task-templates
+ * @access  Private (Admin only)
+ */
+export const getTaskTemplates = async (req, res) => {
+  try {
+    const { category, isActive, search } = req.query;
+
+    const query = {};
+    if (category) query.category = category;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: "i" } },
+        { title: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const templates = await TaskTemplate.find(query)
+      .populate("materials.item", "name unit")
+      .sort("name");
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  } catch (error) {
+    console.error("Get task templates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch task templates",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get single task template
+ * @route   GET /api/v1/task-templates/:id
+ * @access  Private (Admin only)
+ */
+export const getTaskTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id)
+      .populate("materials.item", "name unit quantity")
+      .populate("createdBy", "name email");
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Task template not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    console.error("Get task template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch task template",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create task template
+ * @route   POST /api/v1/task-templates
+ * @access  Private (Admin only)
+ */
+export const createTaskTemplate = async (req, res) => {
+  try {
+    const materialsError = await validateMaterials(req.body.materials);
+    if (materialsError) {
+      return res.status(404).json({
+        success: false,
+        message: materialsError,
+      });
+    }
+
+    const template = await TaskTemplate.create({
+      ...req.body,
+      timesUsed: 0,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Task template created successfully",
+      data: template,
+    });
+  } catch (error) {
+    console.error("Create task template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create task template",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update task template
+ * @route   PUT /api/v1/task-templates/:id
+ * @access  Private (Admin only)
+ */
+export const updateTaskTemplate = async (req, res) => {
+  try {
+    const materialsError = await validateMaterials(req.body.materials);
+    if (materialsError) {
+      return res.status(404).json({
+        success: false,
+        message: materialsError,
+      });
+    }
+
+    const updateData = { ...req.body };
+    delete updateData.timesUsed;
+    delete updateData.createdBy;
+
+    const template = await TaskTemplate.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Task template not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Task template updated successfully",
+      data: template,
+    });
+  } catch (error) {
+    console.error("Update task template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update task template",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete task template
+ * @route   DELETE /api/v1/task-templates/:id
+ * @access  Private (Admin only)
+ */
+export const deleteTaskTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Task template not found",
+      });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Task template deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete task template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete task template",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getTaskTemplates,
+  getTaskTemplate,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+};
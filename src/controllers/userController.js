@@ -1,5 +1,7 @@
 import User from '../models/User.js';
 import Branch from '../models/Branch.js';
+import { getScheduledHours } from '../services/assignmentService.js';
+import { getDayRange } from '../utils/dates.js';
 
 /**
  * @desc    Get all users
@@ -178,13 +180,13 @@ export const deleteUser = async (req, res) => {
 };
 
 /**
- * @desc    Get workers
- * @route   GET /api/v1/users/workers
+ * @desc    Get workers (with their booked hours when a date is given)
+ * @route   GET /api/v1/users/workers?branch=&date=
  * @access  Private
  */
 export const getWorkers = async (req, res) => {
   try {
-    const { branch } = req.query;
+    const { branch, date } = req.query;
     
     let query = { role: 'worker', isActive: true };
     if (branch) query.branch = branch;
@@ -194,6 +196,37 @@ export const getWorkers = async (req, res) => {
       .select('-password')
       .sort('-workerDetails.rating');
 
+    if (date) {
+      const range = getDayRange(date);
+      if (!range) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date'
+        });
+      }
+
+      const hours = await getScheduledHours(workers.map((w) => w._id), range);
+      const data = workers.map((worker) => {
+        const scheduledHours = hours.get(worker._id.toString()) || 0;
+        const capacity = worker.workerDetails?.dailyCapacity || 8;
+        return {
+          ...worker.toObject(),
+          availability: {
+            date: range.start,
+            scheduledHours,
+            capacity,
+            freeHours: Math.max(capacity - scheduledHours, 0)
+          }
+        };
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: data.length,
+        data
+      });
+    }
+
     res.status(200).json({
       success: true,
       count: workers.length,
@@ -0,0 +1,659 @@
+// backend/src/controllers/workerController.js
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import { planRoute } from "../utils/routePlanner.js";
+import { hasCoordinates, haversineDistance } from "../utils/geo.js";
+import { getDayRange, toDateKey } from "../utils/dates.js";
+import { OPEN_STATUSES } from "../utils/taskLifecycle.js";
+import { crewFilter } from "../services/taskService.js";
+import { getAvailability } from "../services/availabilityService.js";
+import { getScheduledHours } from "../services/assignmentService.js";
+
+const DEFAULT_SPEED_KMH = 30;
+const MAX_CALENDAR_DAYS = 62;
+
+/**
+ * Load a worker and check the current user may see their schedule
+ * @returns {Object} - { worker } or { status, error }
+ */
+const loadWorker = async (req) => {
+  if (req.user.role !== "admin" && req.user.id !== req.params.id) {
+    return { status: 403, error: "Not authorized to view this worker" };
+  }
+
+  const worker = await User.findById(req.params.id).select(
+    "name role branch workerDetails"
+  );
+  if (!worker || worker.role !== "worker") {
+    return { status: 404, error: "Worker not found" };
+  }
+
+  return { worker };
+};
+
+/**
+ * Position of a task in a worker's locked route (null when not locked)
+ */
+const routeOrderOf = (task, workerId) =>
+  (task.routeOrders || []).find(
+    (entry) => entry.worker.toString() === workerId.toString()
+  )?.order ?? null;
+
+/**
+ * Group a worker's tasks of the day into one stop per site
+ */
+const buildStops = (tasks) => {
+  const stops = [];
+  const bySite = new Map();
+
+  for (const task of tasks) {
+    const siteId = task.site?._id?.toString() || "no-site";
+    let stop = bySite.get(siteId);
+    if (!stop) {
+      stop = {
+        site: task.site,
+        point: hasCoordinates(task.site?.location?.coordinates)
+          ? task.site.location.coordinates
+          : null,
+        tasks: [],
+      };
+      bySite.set(siteId, stop);
+      stops.push(stop);
+    }
+    stop.tasks.push(task);
+  }
+
+  return stops;
+};
+
+/**
+ * Parse "HH:mm" onto a day, falling back to the given default
+ */
+const timeOnDay = (day, time, fallback) => {
+  if (!time || !/^\d{2}:\d{2}$/.test(time)) return fallback;
+  const [hours, minutes] = time.split(":").map(Number);
+  const d = new Date(day);
+  d.setHours(hours, minutes, 0, 0);
+  return d;
+};
+
+/**
+ * @desc    Get a worker's daily route in optimised visiting order
+ * @route   GET /api/v1/workers/:id/route?date=&startTime=&startLat=&startLng=&speed=&optimize=
+ * @access  Private (Admin / the worker)
+ */
+export const getWorkerRoute = async (req, res) => {
+  try {
+    const { worker, status, error } = await loadWorker(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const range = getDayRange(req.query.date || new Date());
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date",
+      });
+    }
+
+    const speed =
+      req.query.speed !== undefined
+        ? parseFloat(req.query.speed)
+        : DEFAULT_SPEED_KMH;
+    if (!(speed > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "speed must be a positive number (km/h)",
+      });
+    }
+
+    const start =
+      req.query.startLat !== undefined && req.query.startLng !== undefined
+        ? {
+            latitude: parseFloat(req.query.startLat),
+            longitude: parseFloat(req.query.startLng),
+          }
+        : null;
+    const validStart =
+      hasCoordinates(start) &&
+      Math.abs(start.latitude) <= 90 &&
+      Math.abs(start.longitude) <= 180;
+    if (start && !validStart) {
+      return res.status(400).json({
+        success: false,
+        message: "startLat and startLng must be valid coordinates",
+      });
+    }
+
+    // Includes tasks the worker helps on as crew member
+    const tasks = await Task.find({
+      ...crewFilter(worker._id),
+      scheduledDate: { $gte: range.start, $lte: range.end },
+      status: { $in: OPEN_STATUSES },
+    })
+      .populate("site", "name location")
+      .select(
+        "title status priority category site sections scheduledDate estimatedDuration routeOrders"
+      )
+      .sort("scheduledDate")
+      .lean();
+    tasks.forEach((task) => {
+      task.routeOrder = routeOrderOf(task, worker._id);
+      delete task.routeOrders;
+    });
+
+    const stops = buildStops(tasks);
+    const routable = stops.filter((s) => s.point);
+    const unroutable = stops.filter((s) => !s.point);
+
+    // Use the admin-locked order unless a fresh optimisation is requested.
+    // Tasks added after the lock make it partial: they are visited after
+    // the locked stops
+    const isLocked = (t) => t.routeOrder !== null;
+    const lockedCount = tasks.filter(isLocked).length;
+    let lockState = false;
+    if (lockedCount > 0) {
+      lockState = lockedCount === tasks.length ? true : "partial";
+    }
+    const useLocked = lockState !== false && req.query.optimize !== "true";
+
+    let ordered;
+    let legDistances;
+
+    if (useLocked) {
+      const minOrder = (stop) =>
+        Math.min(...stop.tasks.filter(isLocked).map((t) => t.routeOrder));
+      const lockedStops = routable
+        .filter((stop) => stop.tasks.some(isLocked))
+        .sort((a, b) => minOrder(a) - minOrder(b));
+      const newStops = routable.filter((stop) => !stop.tasks.some(isLocked));
+      const plan = planRoute(
+        newStops.map((s) => s.point),
+        lockedStops.length > 0 ? lockedStops.at(-1).point : start
+      );
+
+      ordered = [...lockedStops, ...plan.order.map((idx) => newStops[idx])];
+      legDistances = ordered.map((stop, i) => {
+        const prev = i === 0 ? start : ordered[i - 1].point;
+        return prev ? Math.round(haversineDistance(prev, stop.point)) : 0;
+      });
+    } else {
+      const plan = planRoute(
+        routable.map((s) => s.point),
+        start
+      );
+      ordered = plan.order.map((idx) => routable[idx]);
+      legDistances = plan.distances;
+    }
+
+    // Estimated arrival times
+    const firstScheduled = tasks.length > 0 ? tasks[0].scheduledDate : null;
+    let cursor = timeOnDay(
+      range.start,
+      req.query.startTime,
+      firstScheduled ? new Date(firstScheduled) : timeOnDay(range.start, "08:00")
+    );
+
+    const route = ordered.map((stop, i) => {
+      const travelMinutes = Math.round(
+        (legDistances[i] / 1000 / speed) * 60
+      );
+      const arrival = new Date(cursor.getTime() + travelMinutes * 60 * 1000);
+      const workHours = stop.tasks.reduce(
+        (sum, t) => sum + (t.estimatedDuration || 0),
+        0
+      );
+      const departure = new Date(arrival.getTime() + workHours * 3600 * 1000);
+      cursor = departure;
+
+      return {
+        position: i + 1,
+        site: stop.site,
+        distanceFromPrevious: legDistances[i],
+        travelMinutes,
+        estimatedArrival: arrival,
+        estimatedDeparture: departure,
+        tasks: stop.tasks,
+      };
+    });
+
+    const totalDistance = legDistances.reduce((sum, d) => sum + d, 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        worker: { _id: worker._id, name: worker.name },
+        date: range.start,
+        // true, "partial" (tasks added since the lock) or false
+        locked: useLocked ? lockState : false,
+        speedKmh: speed,
+        totalDistance, // meters
+        totalTravelMinutes: route.reduce((sum, s) => sum + s.travelMinutes, 0),
+        stops: route,
+        // Sites without coordinates cannot be placed on the route
+        unroutable: unroutable.map((stop) => ({
+          site: stop.site,
+          tasks: stop.tasks,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get worker route error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to plan worker route",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Keep only the sections a day's tasks work on, with what a worker needs
+ * on site
+ */
+const buildAgendaSite = (site, sectionIds) => ({
+  _id: site._id,
+  name: site.name,
+  siteType: site.siteType,
+  location: site.location,
+  geofence: site.geofence,
+  coverImage: site.coverImage,
+  sections: (site.sections || [])
+    .filter((section) => sectionIds.has(section._id.toString()))
+    .map((section) => ({
+      _id: section._id,
+      name: section.name,
+      description: section.description,
+      area: section.area,
+      notes: section.notes,
+      referenceImages: section.referenceImages,
+    })),
+});
+
+/**
+ * @desc    Get everything a worker needs for a day in one payload (for
+ *          offline use): tasks with checklists, materials and reference
+ *          images, plus the details of the sites and sections involved
+ * @route   GET /api/v1/workers/:id/agenda?date=
+ * @access  Private (Admin / the worker)
+ */
+export const getWorkerAgenda = async (req, res) => {
+  try {
+    const { worker, status, error } = await loadWorker(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const range = getDayRange(req.query.date || new Date());
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date",
+      });
+    }
+
+    // The day's open tasks plus work still running from earlier days
+    const tasks = await Task.find({
+      ...crewFilter(worker._id),
+      $and: [
+        {
+          $or: [
+            {
+              scheduledDate: { $gte: range.start, $lte: range.end },
+              status: { $in: OPEN_STATUSES },
+            },
+            { status: { $in: ["in-progress", "rework"] } },
+          ],
+        },
+      ],
+    })
+      .populate("client", "name phone whatsapp address")
+      .populate("crew.worker", "name phone")
+      .populate("materials.item", "name sku unit")
+      .populate("site", "name siteType location geofence coverImage sections")
+      .select(
+        "title description status priority category site sections client worker crew scheduledDate estimatedDuration referenceImages checklist materials workSessions notes routeOrders isOverdue updatedAt"
+      )
+      .sort({ scheduledDate: 1 });
+
+    // The worker's locked order first, then the rest by schedule
+    const routeOrders = new Map(
+      tasks.map((task) => [task.id, routeOrderOf(task, worker._id)])
+    );
+    tasks.sort((a, b) => {
+      const orderA = routeOrders.get(a.id) ?? Infinity;
+      const orderB = routeOrders.get(b.id) ?? Infinity;
+      return orderA === orderB ? 0 : orderA - orderB;
+    });
+
+    // One entry per site, with only the sections the day's tasks need
+    const sectionIdsBySite = new Map();
+    const sites = new Map();
+    tasks.forEach((task) => {
+      if (!task.site) return;
+      const siteId = task.site._id.toString();
+      const sectionIds = sectionIdsBySite.get(siteId) || new Set();
+      task.sections.forEach((id) => sectionIds.add(id.toString()));
+      sectionIdsBySite.set(siteId, sectionIds);
+      sites.set(siteId, task.site);
+    });
+
+    const agenda = tasks.map((task) => ({
+      ...task.toObject(),
+      routeOrders: undefined,
+      routeOrder: routeOrders.get(task.id),
+      site: task.site?._id || null,
+      checklistProgress: task.getChecklistProgress(),
+      working: Boolean(task.getOpenWorkSession(worker._id)),
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        worker: { _id: worker._id, name: worker.name },
+        date: range.start,
+        // Lets the device tell how old its offline copy is
+        generatedAt: new Date(),
+        tasks: agenda,
+        sites: [...sites.entries()].map(([siteId, site]) =>
+          buildAgendaSite(site, sectionIdsBySite.get(siteId))
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get worker agenda error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load worker agenda",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Lock the visiting order of a worker's daily route onto the tasks
+ * @route   POST /api/v1/workers/:id/route/lock
+ * @access  Private (Admin only)
+ *
+ * Body: { date, taskIds? } - taskIds in visiting order; when omitted the
+ * current optimised order is locked.
+ */
+export const lockWorkerRoute = async (req, res) => {
+  try {
+    const { date, taskIds } = req.body;
+
+    const { worker, status, error } = await loadWorker(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const range = getDayRange(date || new Date());
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date",
+      });
+    }
+
+    // Same tasks as the route: including those the worker helps on
+    const tasks = await Task.find({
+      ...crewFilter(worker._id),
+      scheduledDate: { $gte: range.start, $lte: range.end },
+      status: { $in: OPEN_STATUSES },
+    })
+      .populate("site", "name location")
+      .sort("scheduledDate");
+
+    let orderedIds;
+
+    if (Array.isArray(taskIds) && taskIds.length > 0) {
+      const dayIds = tasks.map((t) => t._id.toString());
+      const unknown = taskIds.filter((id) => !dayIds.includes(String(id)));
+      if (unknown.length > 0 || taskIds.length !== dayIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: "taskIds must list every open task of the worker on that day",
+        });
+      }
+      orderedIds = taskIds.map(String);
+    } else {
+      const stops = buildStops(tasks);
+      const routable = stops.filter((s) => s.point);
+      const plan = planRoute(routable.map((s) => s.point));
+      orderedIds = [
+        ...plan.order.flatMap((idx) => routable[idx].tasks),
+        ...stops.filter((s) => !s.point).flatMap((s) => s.tasks),
+      ].map((t) => t._id.toString());
+    }
+
+    // Replace only this worker's entry: the rest of the crew keeps theirs
+    const lockedAt = new Date();
+    await Task.bulkWrite(
+      orderedIds.flatMap((id, index) => [
+        {
+          updateOne: {
+            filter: { _id: id },
+            update: { $pull: { routeOrders: { worker: worker._id } } },
+          },
+        },
+        {
+          updateOne: {
+            filter: { _id: id },
+            update: {
+              $push: {
+                routeOrders: {
+                  worker: worker._id,
+                  order: index + 1,
+                  lockedAt,
+                  lockedBy: req.user.id,
+                },
+              },
+            },
+          },
+        },
+      ])
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Route order locked successfully",
+      data: orderedIds.map((id, index) => ({ task: id, routeOrder: index + 1 })),
+    });
+  } catch (error) {
+    console.error("Lock worker route error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to lock worker route",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Unlock a worker's daily route (back to automatic ordering)
+ * @route   DELETE /api/v1/workers/:id/route/lock?date=
+ * @access  Private (Admin only)
+ */
+export const unlockWorkerRoute = async (req, res) => {
+  try {
+    const range = getDayRange(req.query.date || new Date());
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date",
+      });
+    }
+
+    const result = await Task.updateMany(
+      {
+        ...crewFilter(req.params.id),
+        scheduledDate: { $gte: range.start, $lte: range.end },
+      },
+      { $pull: { routeOrders: { worker: req.params.id } } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Route order unlocked successfully",
+      data: { updatedCount: result.modifiedCount },
+    });
+  } catch (error) {
+    console.error("Unlock worker route error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unlock worker route",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a worker's availability calendar
+ * @route   GET /api/v1/workers/:id/availability?from=&to=
+ * @access  Private (Admin / the worker)
+ *
+ * One entry per day with shifts, leave/holiday reasons and booked hours.
+ * Defaults to the next 14 days.
+ */
+export const getWorkerAvailability = async (req, res) => {
+  try {
+    const { worker, status, error } = await loadWorker(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const from = getDayRange(req.query.from || new Date());
+    const to = req.query.to ? getDayRange(req.query.to) : null;
+    if (!from || (req.query.to && !to)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date",
+      });
+    }
+
+    const days = [];
+    const cursor = new Date(from.start);
+    const last = to ? to.start : new Date(from.start.getTime());
+    if (!to) last.setDate(last.getDate() + 13);
+
+    while (cursor <= last && days.length < MAX_CALENDAR_DAYS) {
+      days.push(new Date(cursor));
+      cursor.setDate(cursor.getDate() + 1);
+    }
+
+    const capacity = worker.workerDetails?.dailyCapacity || 8;
+    const calendar = [];
+    for (const day of days) {
+      const availability = (await getAvailability([worker], day)).get(
+        worker._id.toString()
+      );
+      const hours = await getScheduledHours([worker._id], getDayRange(day));
+
+      calendar.push({
+        date: toDateKey(day),
+        available: availability.available,
+        reasons: availability.reasons,
+        warnings: availability.warnings,
+        shifts: availability.shifts,
+        capacity:
+          availability.hours !== null
+            ? Math.min(availability.hours, capacity)
+            : capacity,
+        scheduledHours: hours.get(worker._id.toString()) || 0,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        worker: { _id: worker._id, name: worker.name },
+        weeklyHours: worker.workerDetails?.weeklyHours || [],
+        days: calendar,
+      },
+    });
+  } catch (error) {
+    console.error("Get worker availability error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch worker availability",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Set a worker's weekly working hours
+ * @route   PUT /api/v1/workers/:id/hours
+ * @access  Private (Admin only)
+ *
+ * Body: { weeklyHours: [{ dayOfWeek: 0-6, start: "HH:mm", end: "HH:mm" }] }
+ * An empty list means the worker is available every day.
+ */
+export const updateWorkerHours = async (req, res) => {
+  try {
+    const { weeklyHours } = req.body;
+
+    if (!Array.isArray(weeklyHours)) {
+      return res.status(400).json({
+        success: false,
+        message: "weeklyHours must be an array",
+      });
+    }
+
+    const invalid = weeklyHours.find(
+      (s) => !s.start || !s.end || s.start >= s.end
+    );
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: "Each shift needs a start before its end",
+      });
+    }
+
+    const worker = await User.findById(req.params.id);
+    if (!worker || worker.role !== "worker") {
+      return res.status(404).json({
+        success: false,
+        message: "Worker not found",
+      });
+    }
+
+    worker.set("workerDetails.weeklyHours", weeklyHours);
+    await worker.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Working hours updated successfully",
+      data: worker.workerDetails.weeklyHours,
+    });
+  } catch (error) {
+    console.error("Update worker hours error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update working hours",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getWorkerRoute,
+  getWorkerAgenda,
+  lockWorkerRoute,
+  unlockWorkerRoute,
+  getWorkerAvailability,
+  updateWorkerHours,
+};
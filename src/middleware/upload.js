@@ -14,9 +14,20 @@ cloudinary.config({
 // ✅ Memory storage for Cloudinary
 const storage = multer.memoryStorage();
 
+const MB = 1024 * 1024;
+const MEDIA_MAX_SIZE = 100 * MB; // ✅ 100MB for videos
+const DOCUMENT_MAX_SIZE = 5 * MB;
+
+// ✅ Remember the limits of the uploader handling the request, so
+// handleUploadError can report the ones that actually applied
+const withLimits = (limits) => (req, res, next) => {
+  req.uploadLimits = limits;
+  next();
+};
+
 const upload = multer({
   storage,
-  limits: { fileSize: 100 * 1024 * 1024 }, // ✅ 100MB for videos
+  limits: { fileSize: MEDIA_MAX_SIZE },
   fileFilter: (req, file, cb) => {
     // ✅ Support both images and videos
     const allowedImageTypes = /jpeg|jpg|png|gif|webp/;
@@ -71,6 +82,7 @@ const uploadToCloudinary = (fileBuffer, folder = "garden-ms", mimetype) => {
 
 // ✅ Single file upload
 export const uploadSingle = (fieldName, folder = "general") => [
+  withLimits({ fileSize: MEDIA_MAX_SIZE }),
   upload.single(fieldName),
   async (req, res, next) => {
     try {
@@ -99,6 +111,7 @@ export const uploadSingle = (fieldName, folder = "general") => [
 
 // ✅ Multiple files upload
 export const uploadMultiple = (fieldName, maxCount = 50, folder = "tasks") => [
+  withLimits({ fileSize: MEDIA_MAX_SIZE, files: maxCount }),
   upload.array(fieldName, maxCount),
   async (req, res, next) => {
     try {
@@ -131,19 +144,63 @@ export const uploadMultiple = (fieldName, maxCount = 50, folder = "tasks") => [
   },
 ];
 
+// ✅ CSV upload (kept in memory, not sent to Cloudinary)
+const csvUpload = multer({
+  storage,
+  limits: { fileSize: DOCUMENT_MAX_SIZE },
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      file.originalname.toLowerCase().endsWith(".csv") ||
+      ["text/csv", "application/vnd.ms-excel"].includes(file.mimetype);
+
+    if (isCsv) {
+      return cb(null, true);
+    }
+    cb(new Error("Only CSV files are allowed!"));
+  },
+});
+
+export const uploadCsv = (fieldName = "file") => [
+  withLimits({ fileSize: DOCUMENT_MAX_SIZE }),
+  csvUpload.single(fieldName),
+];
+
+// ✅ GeoJSON / KML boundary upload (kept in memory)
+const geoUpload = multer({
+  storage,
+  limits: { fileSize: DOCUMENT_MAX_SIZE },
+  fileFilter: (req, file, cb) => {
+    const isGeoFile = /\.(geojson|json|kml)$/.test(
+      file.originalname.toLowerCase()
+    );
+
+    if (isGeoFile) {
+      return cb(null, true);
+    }
+    cb(new Error("Only GeoJSON and KML files are allowed!"));
+  },
+});
+
+export const uploadGeoFile = (fieldName = "file") => [
+  withLimits({ fileSize: DOCUMENT_MAX_SIZE }),
+  geoUpload.single(fieldName),
+];
+
 // ✅ Error handler
 export const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
+    const limits = req.uploadLimits || {};
     if (err.code === "LIMIT_FILE_SIZE") {
+      const maxSize = (limits.fileSize || MEDIA_MAX_SIZE) / MB;
       return res.status(400).json({
         success: false,
-        message: "File too large. Maximum size is 100MB",
+        message: `File too large. Maximum size is ${maxSize}MB`,
       });
     }
     if (err.code === "LIMIT_FILE_COUNT") {
       return res.status(400).json({
         success: false,
-        message: "Too many files. Maximum is 50 files",
+        message: `Too many files. Maximum is ${limits.files || 50} files`,
       });
     }
   }
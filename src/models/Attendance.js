@@ -0,0 +1,81 @@
+// backend/src/models/Attendance.js
+import mongoose from "mongoose";
+
+const pointSchema = new mongoose.Schema(
+  {
+    latitude: Number,
+    longitude: Number,
+  },
+  { _id: false }
+);
+
+const attendanceSchema = new mongoose.Schema(
+  {
+    worker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Worker is required"],
+    },
+    clockInAt: {
+      type: Date,
+      required: [true, "Clock-in time is required"],
+    },
+    clockOutAt: Date,
+    clockInLocation: pointSchema,
+    clockOutLocation: pointSchema,
+    // Hours between clock-in and clock-out (0 while clocked in)
+    hours: {
+      type: Number,
+      default: 0,
+    },
+    // "clock" = recorded by the worker, "manual" = added by an admin
+    source: {
+      type: String,
+      enum: ["clock", "manual"],
+      default: "clock",
+    },
+    notes: {
+      type: String,
+      maxlength: 500,
+    },
+    // Admin corrections, oldest first
+    corrections: [
+      {
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+        reason: {
+          type: String,
+          required: true,
+        },
+        correctedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        correctedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+attendanceSchema.index({ worker: 1, clockInAt: -1 });
+attendanceSchema.index({ clockInAt: 1 });
+
+attendanceSchema.pre("save", function (next) {
+  this.hours =
+    this.clockInAt && this.clockOutAt
+      ? Math.round(((this.clockOutAt - this.clockInAt) / 3600000) * 100) / 100
+      : 0;
+  next();
+});
+
+const Attendance = mongoose.model("Attendance", attendanceSchema);
+
+export default Attendance;
@@ -0,0 +1,53 @@
+// backend/src/models/CalendarFeed.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Read-only iCalendar subscription. Calendar apps cannot log in, so the
+// secret token in the URL is the only credential; revoking the feed, or
+// deactivating its owner (or the worker it shows), disables the URL.
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+      default: () => crypto.randomBytes(24).toString("hex"),
+    },
+    // Whose schedule: one worker (lead or crew), one site or one branch
+    scope: {
+      type: String,
+      enum: ["worker", "site", "branch"],
+      required: [true, "Scope is required"],
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Target is required"],
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    revokedAt: Date,
+    lastAccessedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+calendarFeedSchema.index({ owner: 1, isActive: 1 });
+
+const CalendarFeed = mongoose.model("CalendarFeed", calendarFeedSchema);
+
+export default CalendarFeed;
@@ -0,0 +1,58 @@
+// backend/src/models/ChecklistTemplate.js
+import mongoose from "mongoose";
+
+const checklistTemplateSchema = new mongoose.Schema(
+  {
+    // One template per task category, copied onto each section of new tasks
+    category: {
+      type: String,
+      enum: [
+        "lawn-mowing",
+        "tree-trimming",
+        "landscaping",
+        "irrigation",
+        "pest-control",
+        "other",
+      ],
+      required: [true, "Category is required"],
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+    },
+    items: [
+      {
+        label: {
+          type: String,
+          required: [true, "Item label is required"],
+          trim: true,
+          maxlength: 200,
+        },
+        required: {
+          type: Boolean,
+          default: true,
+        },
+        requiresPhoto: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ChecklistTemplate = mongoose.model(
+  "ChecklistTemplate",
+  checklistTemplateSchema
+);
+
+export default ChecklistTemplate;
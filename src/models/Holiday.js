@@ -0,0 +1,40 @@
+// backend/src/models/Holiday.js
+import mongoose from "mongoose";
+
+const holidaySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Holiday name is required"],
+      trim: true,
+    },
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+    // Same day every year (only month and day of `date` are used)
+    recurring: {
+      type: Boolean,
+      default: false,
+    },
+    // null = every branch
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+holidaySchema.index({ date: 1, branch: 1 });
+
+const Holiday = mongoose.model("Holiday", holidaySchema);
+
+export default Holiday;
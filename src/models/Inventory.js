@@ -36,6 +36,12 @@ const inventorySchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
+  // Purchase cost per unit (used for task material cost)
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   lastRestocked: {
     type: Date,
     default: null
@@ -0,0 +1,57 @@
+// backend/src/models/Job.js
+import mongoose from "mongoose";
+
+// Multi-visit project (e.g. soil prep → planting → irrigation) grouping
+// several tasks on one site. Progress, cost and images are rolled up from
+// the tasks (Task.job); the order comes from the tasks' dependsOn.
+const jobSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Job title is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      maxlength: 2000,
+    },
+    site: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Site",
+      required: [true, "Site is required"],
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+    },
+    // Planned completion, compared with the projected date of the graph
+    targetDate: Date,
+    isCancelled: {
+      type: Boolean,
+      default: false,
+    },
+    notes: {
+      type: String,
+      maxlength: 1000,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ client: 1, createdAt: -1 });
+jobSchema.index({ site: 1 });
+
+const Job = mongoose.model("Job", jobSchema);
+
+export default Job;
@@ -0,0 +1,55 @@
+// backend/src/models/LeaveRequest.js
+import mongoose from "mongoose";
+
+const leaveRequestSchema = new mongoose.Schema(
+  {
+    worker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Worker is required"],
+    },
+    type: {
+      type: String,
+      enum: ["annual", "sick", "unpaid", "other"],
+      default: "annual",
+    },
+    // Whole days, both inclusive
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    reason: {
+      type: String,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    reviewComment: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+leaveRequestSchema.index({ worker: 1, startDate: 1, endDate: 1 });
+leaveRequestSchema.index({ status: 1 });
+
+const LeaveRequest = mongoose.model("LeaveRequest", leaveRequestSchema);
+
+export default LeaveRequest;
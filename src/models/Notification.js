@@ -15,12 +15,15 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['task-assigned', 'task-completed', 'feedback-received', 'low-stock', 'invoice-generated', 'other'],
+    enum: [
+      'task-assigned', 'task-completed', 'feedback-received', 'low-stock',
+      'invoice-generated', 'mention', 'task-overdue', 'task-escalated', 'other'
+    ],
     required: true
   },
   channel: {
     type: String,
-    enum: ['email', 'whatsapp', 'both'],
+    enum: ['email', 'whatsapp', 'both', 'in-app'],
     required: true
   },
   subject: {
@@ -1,5 +1,6 @@
 // backend/src/models/Plant.js - FIXED
 import mongoose from 'mongoose';
+import { CARE_ACTIONS } from '../utils/careRules.js';
 
 const plantSchema = new mongoose.Schema({
   name: {
@@ -68,6 +69,27 @@ const plantSchema = new mongoose.Schema({
       default: ''
     }
   },
+  // Care calendar intervals (see utils/careRules.js); actions without an
+  // entry are derived from careInstructions, growthRate and seasonality
+  careSchedule: [{
+    action: {
+      type: String,
+      enum: CARE_ACTIONS,
+      required: true
+    },
+    everyDays: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Months when the action is due (1-12, empty = all year)
+    months: [{
+      type: Number,
+      min: 1,
+      max: 12
+    }],
+    _id: false
+  }],
   growthRate: {
     type: String,
     enum: ['slow', 'moderate', 'fast'],
@@ -0,0 +1,79 @@
+// backend/src/models/ReferenceImageVersion.js
+import mongoose from "mongoose";
+
+// One entry per change of a section's reference images, holding the whole
+// image set after the change. Site.sections[].referenceImagesVersion is
+// the latest version; tasks keep the version they snapshotted
+// (Task.referenceImages[].originalSectionVersion). Version 0 holds the
+// images a section had before versioning (recorded on its first change).
+const referenceImageVersionSchema = new mongoose.Schema(
+  {
+    site: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Site",
+      required: true,
+    },
+    // Section of the site (Site.sections)
+    section: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    action: {
+      type: String,
+      enum: ["create", "add", "update", "delete", "restore"],
+      required: true,
+    },
+    // Image added, updated or deleted (none for create/restore)
+    image: mongoose.Schema.Types.ObjectId,
+    restoredFrom: Number,
+    images: [
+      {
+        // _id of the image in the section
+        imageId: mongoose.Schema.Types.ObjectId,
+        url: String,
+        cloudinaryId: String,
+        caption: String,
+        mediaType: {
+          type: String,
+          enum: ["image", "video"],
+          default: "image",
+        },
+        format: String,
+        duration: Number,
+        uploadedAt: Date,
+        qtn: {
+          type: Number,
+          default: 1,
+        },
+        description: String,
+        _id: false,
+      },
+    ],
+    // None for version 0
+    editor: {
+      id: mongoose.Schema.Types.ObjectId,
+      role: String,
+      name: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+referenceImageVersionSchema.index(
+  { section: 1, version: -1 },
+  { unique: true }
+);
+
+const ReferenceImageVersion = mongoose.model(
+  "ReferenceImageVersion",
+  referenceImageVersionSchema
+);
+
+export default ReferenceImageVersion;
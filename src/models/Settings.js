@@ -92,6 +92,77 @@ const settingsSchema = new mongoose.Schema({
     enum: ['en', 'ar', 'bn'],
     default: 'en'
   },
+  // Geofence checks on task start/completion
+  geofence: {
+    enforcement: {
+      type: String,
+      enum: ['off', 'flag', 'block'],
+      default: 'flag'
+    },
+    defaultRadius: {
+      type: Number,
+      default: 200 // meters
+    }
+  },
+  // Worker availability (leave, holidays, weekly hours) on assignment
+  availability: {
+    enforcement: {
+      type: String,
+      enum: ['off', 'warn', 'block'],
+      default: 'warn'
+    }
+  },
+  // Attendance / timesheets (overtime thresholds in hours)
+  attendance: {
+    dailyHours: {
+      type: Number,
+      default: 8
+    },
+    weeklyHours: {
+      type: Number,
+      default: 48
+    },
+    weekStartsOn: {
+      type: Number,
+      min: 0, // Sunday
+      max: 6,
+      default: 0
+    }
+  },
+  // Labor cost (1 = no overtime premium)
+  labor: {
+    overtimeMultiplier: {
+      type: Number,
+      min: 1,
+      default: 1
+    }
+  },
+  // Overdue tasks: hours after scheduledDate per priority, then hours
+  // after becoming overdue before admins are alerted
+  overdue: {
+    graceHours: {
+      urgent: {
+        type: Number,
+        default: 2
+      },
+      high: {
+        type: Number,
+        default: 12
+      },
+      medium: {
+        type: Number,
+        default: 24
+      },
+      low: {
+        type: Number,
+        default: 72
+      }
+    },
+    escalateAfterHours: {
+      type: Number,
+      default: 24
+    }
+  },
   // Inventory Alerts
   inventory: {
     lowStockThreshold: {
@@ -108,6 +179,15 @@ const settingsSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Get the single settings document (created with defaults on first use)
+settingsSchema.statics.getSettings = async function() {
+  let settings = await this.findById('app-settings');
+  if (!settings) {
+    settings = await this.create({ _id: 'app-settings' });
+  }
+  return settings;
+};
+
 const Settings = mongoose.model('Settings', settingsSchema);
 
 export default Settings;
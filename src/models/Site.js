@@ -1,5 +1,43 @@
 // backend/src/models/Site.js - ✅ UPDATED: Support Videos in Reference Images
 import mongoose from "mongoose";
+import {
+  toGeoPoint,
+  parseBoundary,
+  boundaryToPoints,
+  polygonArea,
+  polygonCenter,
+} from "../utils/geo.js";
+
+// GeoJSON geometries ([longitude, latitude] order) for the 2dsphere indexes
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const polygonSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Polygon"],
+      required: true,
+    },
+    coordinates: {
+      type: [[[Number]]],
+      required: true,
+    },
+  },
+  { _id: false }
+);
 
 const sectionSchema = new mongoose.Schema(
   {
@@ -12,10 +50,12 @@ const sectionSchema = new mongoose.Schema(
       type: String,
       maxlength: 500,
     },
+    // Square meters; calculated from the boundary when there is one
     area: {
       type: Number,
       default: 0,
     },
+    boundary: polygonSchema,
     // ✅ UPDATED: Support videos in reference images
     referenceImages: [
       {
@@ -40,6 +80,12 @@ const sectionSchema = new mongoose.Schema(
         description: String,
       },
     ],
+    // Latest version of the reference images (ReferenceImageVersion);
+    // 0 until they are first changed
+    referenceImagesVersion: {
+      type: Number,
+      default: 0,
+    },
     status: {
       type: String,
       enum: ["pending", "in-progress", "completed", "maintenance"],
@@ -56,6 +102,7 @@ const sectionSchema = new mongoose.Schema(
         "completed",
         "review",
         "rejected",
+        "rework",
       ],
       default: null,
     },
@@ -91,7 +138,28 @@ const siteSchema = new mongoose.Schema(
         latitude: Number,
         longitude: Number,
       },
+      // Same position as GeoJSON (from the coordinates, or the middle of
+      // the boundary); kept in step on save
+      point: pointSchema,
+    },
+    boundary: polygonSchema,
+    // Area where workers may start/complete tasks.
+    // A polygon (3+ points) takes precedence over the radius. The polygon
+    // is the outer ring of the boundary, kept in step on save.
+    geofence: {
+      radius: {
+        type: Number, // meters around location.coordinates
+        min: 10,
+      },
+      polygon: [
+        {
+          latitude: Number,
+          longitude: Number,
+          _id: false,
+        },
+      ],
     },
+    // Square meters; calculated from the boundary when there is one
     totalArea: {
       type: Number,
       default: 0,
@@ -142,6 +210,42 @@ siteSchema.virtual("completionRate").get(function () {
   return ((this.completedTasks / this.totalTasks) * 100).toFixed(1);
 });
 
+// Derive the GeoJSON point and the areas from the coordinates and boundaries
+siteSchema.pre("save", function (next) {
+  // One site polygon: the boundary. A geofence polygon set on its own
+  // (PUT /:id/geofence) becomes the boundary.
+  if (this.isModified("boundary")) {
+    this.set("geofence.polygon", boundaryToPoints(this.boundary));
+  } else if (this.isModified("geofence.polygon")) {
+    const points = this.geofence?.polygon || [];
+    if (points.length === 0) {
+      this.boundary = undefined;
+    } else {
+      const { polygon, error } = parseBoundary(points);
+      if (error) return next(new Error(error));
+      this.boundary = polygon;
+    }
+  }
+
+  const point =
+    toGeoPoint(this.location?.coordinates) ||
+    toGeoPoint(polygonCenter(this.boundary));
+  if (point || this.location?.point) {
+    this.set("location.point", point);
+  }
+
+  if (this.boundary) {
+    this.totalArea = polygonArea(this.boundary);
+  }
+  this.sections.forEach((section) => {
+    if (section.boundary) {
+      section.area = polygonArea(section.boundary);
+    }
+  });
+
+  next();
+});
+
 // Method to add section
 siteSchema.methods.addSection = async function (sectionData) {
   this.sections.push(sectionData);
@@ -183,6 +287,9 @@ siteSchema.methods.updateSectionLastTask = async function (
 siteSchema.index({ client: 1 });
 siteSchema.index({ name: "text", description: "text" });
 siteSchema.index({ isActive: 1 });
+siteSchema.index({ "location.point": "2dsphere" });
+siteSchema.index({ boundary: "2dsphere" });
+siteSchema.index({ "sections.boundary": "2dsphere" });
 
 const Site = mongoose.model("Site", siteSchema);
 
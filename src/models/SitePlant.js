@@ -0,0 +1,63 @@
+// backend/src/models/SitePlant.js
+import mongoose from "mongoose";
+
+// Plants from the catalog growing in a site section. Replaced plantings
+// are kept (status "replaced", pointing at the planting that took their
+// place) so the section keeps its planting history. Plant.timesUsed and
+// Plant.lastUsedAt are derived from these records.
+const sitePlantSchema = new mongoose.Schema(
+  {
+    site: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Site",
+      required: true,
+    },
+    // Section of the site (Site.sections)
+    section: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    plant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Plant",
+      required: [true, "Plant is required"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [1, "Quantity must be at least 1"],
+    },
+    plantedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ["healthy", "sick", "replaced"],
+      default: "healthy",
+    },
+    statusChangedAt: Date,
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SitePlant",
+    },
+    notes: {
+      type: String,
+      maxlength: 1000,
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sitePlantSchema.index({ site: 1, section: 1, status: 1 });
+sitePlantSchema.index({ plant: 1, plantedAt: -1 });
+
+const SitePlant = mongoose.model("SitePlant", sitePlantSchema);
+
+export default SitePlant;
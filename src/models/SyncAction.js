@@ -0,0 +1,60 @@
+// backend/src/models/SyncAction.js
+import mongoose from "mongoose";
+
+// Offline action queued on a worker's device and replayed through
+// POST /api/v1/tasks/sync. The idempotency key makes replays safe: an
+// action that was already processed returns its stored result.
+const syncActionSchema = new mongoose.Schema(
+  {
+    worker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    idempotencyKey: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    type: {
+      type: String,
+      enum: [
+        "start",
+        "pause",
+        "resume",
+        "complete",
+        "confirm-material",
+        "checklist",
+        "note",
+      ],
+      required: true,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+    },
+    // When the action happened on the device
+    clientTimestamp: Date,
+    payload: mongoose.Schema.Types.Mixed,
+    // applied, or why it was not: conflict = an admin change won,
+    // rejected = the action itself is invalid. pending while the action is
+    // being applied (the entry claims the key first)
+    result: {
+      type: String,
+      enum: ["pending", "applied", "conflict", "rejected"],
+      required: true,
+    },
+    message: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+syncActionSchema.index({ worker: 1, idempotencyKey: 1 }, { unique: true });
+syncActionSchema.index({ task: 1, createdAt: 1 });
+
+const SyncAction = mongoose.model("SyncAction", syncActionSchema);
+
+export default SyncAction;
@@ -1,5 +1,8 @@
 // backend/src/models/Task.js - ✅ UPDATED: Support Videos
 import mongoose from "mongoose";
+import { TASK_STATUSES, buildStatusEntry } from "../utils/taskLifecycle.js";
+import { CALENDAR_FIELDS } from "../utils/ical.js";
+import { CARE_ACTIONS } from "../utils/careRules.js";
 
 const taskSchema = new mongoose.Schema(
   {
@@ -19,6 +22,8 @@ const taskSchema = new mongoose.Schema(
       ref: "Site",
       required: [true, "Site is required"],
     },
+    // IDs of sections embedded in the site (Site.sections); resolve them
+    // with populateTaskSections (taskService)
     sections: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -31,11 +36,32 @@ const taskSchema = new mongoose.Schema(
       ref: "Client",
       required: true,
     },
+    // Lead worker (kept in sync with the "lead" entry of the crew)
     worker: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       default: null,
     },
+    // Crew for larger jobs; empty for single-worker tasks
+    crew: [
+      {
+        worker: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["lead", "helper"],
+          default: "helper",
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
     branch: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Branch",
@@ -43,9 +69,27 @@ const taskSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["pending", "assigned", "in-progress", "completed"],
+      enum: TASK_STATUSES,
       default: "pending",
     },
+    // Every status change (see utils/taskLifecycle.js)
+    statusHistory: [
+      {
+        from: String,
+        to: String,
+        changedBy: mongoose.Schema.Types.ObjectId,
+        changedByRole: {
+          type: String,
+          enum: ["admin", "worker", "client", "system"],
+        },
+        changedByName: String,
+        reason: String,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     priority: {
       type: String,
       enum: ["low", "medium", "high", "urgent"],
@@ -74,10 +118,50 @@ const taskSchema = new mongoose.Schema(
       default: 2,
       required: false,
     },
+    // Hours actually worked (sum of work sessions)
     actualDuration: {
       type: Number,
       default: 0,
     },
+    // Hours between start and completion spent paused
+    idleDuration: {
+      type: Number,
+      default: 0,
+    },
+
+    // Work sessions: a new one starts on start/resume, ends on pause/complete
+    workSessions: [
+      {
+        worker: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        startedAt: {
+          type: Date,
+          required: true,
+        },
+        endedAt: Date,
+        startLocation: {
+          coordinates: {
+            latitude: Number,
+            longitude: Number,
+          },
+          timestamp: Date,
+          distanceFromSite: Number,
+          outsideGeofence: Boolean,
+        },
+        endLocation: {
+          coordinates: {
+            latitude: Number,
+            longitude: Number,
+          },
+          timestamp: Date,
+          distanceFromSite: Number,
+          outsideGeofence: Boolean,
+        },
+        pauseReason: String,
+      },
+    ],
 
     // GPS Tracking
     location: {
@@ -93,6 +177,12 @@ const taskSchema = new mongoose.Schema(
         longitude: Number,
       },
       timestamp: Date,
+      // Geofence check against the site (meters)
+      distanceFromSite: Number,
+      outsideGeofence: {
+        type: Boolean,
+        default: false,
+      },
     },
     endLocation: {
       coordinates: {
@@ -100,6 +190,12 @@ const taskSchema = new mongoose.Schema(
         longitude: Number,
       },
       timestamp: Date,
+      // Geofence check against the site (meters)
+      distanceFromSite: Number,
+      outsideGeofence: {
+        type: Boolean,
+        default: false,
+      },
     },
 
     referenceImages: [
@@ -121,6 +217,12 @@ const taskSchema = new mongoose.Schema(
         originalSectionId: {
           type: mongoose.Schema.Types.ObjectId,
         },
+        // Image and reference image version of the section it was copied
+        // from (ReferenceImageVersion)
+        originalImageId: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        originalSectionVersion: Number,
       },
     ],
 
@@ -180,6 +282,46 @@ const taskSchema = new mongoose.Schema(
       ],
     },
 
+    // Section checklist (copied from the category's ChecklistTemplate)
+    checklist: [
+      {
+        section: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        sectionName: String,
+        label: {
+          type: String,
+          required: true,
+        },
+        required: {
+          type: Boolean,
+          default: true,
+        },
+        requiresPhoto: {
+          type: Boolean,
+          default: false,
+        },
+        done: {
+          type: Boolean,
+          default: false,
+        },
+        doneAt: Date,
+        doneBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        photo: {
+          url: String,
+          cloudinaryId: String,
+        },
+        note: {
+          type: String,
+          maxlength: 500,
+        },
+      },
+    ],
+
     // Materials
     materials: [
       {
@@ -190,6 +332,8 @@ const taskSchema = new mongoose.Schema(
         name: String,
         quantity: Number,
         unit: String,
+        // Inventory unit cost when the cost was calculated
+        unitCost: Number,
         confirmed: {
           type: Boolean,
           default: false,
@@ -216,6 +360,33 @@ const taskSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Calculated on completion from worker rates and inventory unit
+      // costs; locked costs are never recalculated
+      locked: {
+        type: Boolean,
+        default: false,
+      },
+      lockedAt: Date,
+      lockedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      calculatedAt: Date,
+      laborBreakdown: [
+        {
+          worker: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          name: String,
+          hours: Number,
+          overtimeHours: Number,
+          hourlyRate: Number,
+          overtimeMultiplier: Number,
+          amount: Number,
+          _id: false,
+        },
+      ],
     },
 
     // Timeline
@@ -265,6 +436,84 @@ const taskSchema = new mongoose.Schema(
       type: String,
       maxlength: 1000,
     },
+
+    // Visiting order locked by an admin, one entry per crew member whose
+    // daily route was locked (crew members follow their own routes)
+    routeOrders: [
+      {
+        worker: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        order: {
+          type: Number,
+          required: true,
+        },
+        lockedAt: Date,
+        lockedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        _id: false,
+      },
+    ],
+
+    // Overdue detection (see checkOverdueTasks cron job)
+    isOverdue: {
+      type: Boolean,
+      default: false,
+    },
+    overdueSince: Date,
+    overdueNotifiedAt: Date,
+    escalatedAt: Date,
+
+    // Parent job grouping the visits of a multi-step project (if any)
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      default: null,
+    },
+    // Prerequisite tasks that must be finished before this one starts
+    dependsOn: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
+
+    // Plant care action the task was suggested for (care calendar)
+    careAction: {
+      type: String,
+      enum: CARE_ACTIONS,
+      default: null,
+    },
+
+    // iCalendar SEQUENCE: bumped whenever the calendar event changes
+    calendarSequence: {
+      type: Number,
+      default: 0,
+    },
+
+    // Template the task was created from (if any)
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskTemplate",
+      default: null,
+    },
+
+    // Recurring schedule that generated this task (if any)
+    recurrence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskRecurrence",
+      default: null,
+    },
+
+    // Bulk creation batch (used to roll the whole batch back)
+    batchId: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -274,23 +523,221 @@ const taskSchema = new mongoose.Schema(
 // Indexes
 taskSchema.index({ client: 1, status: 1 });
 taskSchema.index({ worker: 1, status: 1 });
+taskSchema.index({ "crew.worker": 1, status: 1 });
 taskSchema.index({ site: 1, sections: 1 });
 taskSchema.index({ branch: 1, status: 1 });
 taskSchema.index({ scheduledDate: 1 });
+taskSchema.index({ completedAt: 1 });
+taskSchema.index({ createdAt: -1 });
 taskSchema.index({ status: 1, priority: 1 });
+taskSchema.index({ recurrence: 1, scheduledDate: 1 });
+taskSchema.index({ batchId: 1 });
+taskSchema.index({ job: 1 });
+taskSchema.index({ dependsOn: 1 });
+taskSchema.index({ isOverdue: 1, status: 1 });
 
 // Pre-save hook
+const toHours = (ms) => Math.round((ms / (1000 * 60 * 60)) * 100) / 100;
+
+// Statuses in which nobody is expected to work on the task
+const WAITING_STATUSES = ["review", "rejected", "completed"];
+
+/**
+ * Periods the task spent in a waiting status, as [from, to] in ms
+ */
+const waitingPeriods = (statusHistory = []) =>
+  statusHistory
+    .map((entry, i) => ({ entry, next: statusHistory[i + 1] }))
+    .filter(({ entry }) => WAITING_STATUSES.includes(entry.to))
+    .map(({ entry, next }) => [
+      entry.changedAt.getTime(),
+      next ? next.changedAt.getTime() : Infinity,
+    ]);
+
+/**
+ * Idle time of one worker: the gaps between their own sessions, except
+ * while the task waited for review
+ */
+const workerIdleMs = (sessions, waiting) => {
+  const ordered = [...sessions].sort((a, b) => a.startedAt - b.startedAt);
+  let idleMs = 0;
+  for (let i = 1; i < ordered.length; i++) {
+    const gapStart = ordered[i - 1].endedAt?.getTime();
+    const gapEnd = ordered[i].startedAt.getTime();
+    if (!gapStart || gapEnd <= gapStart) continue;
+
+    const waitedMs = waiting.reduce(
+      (sum, [from, to]) =>
+        sum + Math.max(Math.min(gapEnd, to) - Math.max(gapStart, from), 0),
+      0
+    );
+    idleMs += Math.max(gapEnd - gapStart - waitedMs, 0);
+  }
+  return idleMs;
+};
+
 taskSchema.pre("save", function (next) {
-  if (this.startedAt && this.completedAt) {
-    const duration = (this.completedAt - this.startedAt) / (1000 * 60 * 60);
-    this.actualDuration = Math.round(duration * 100) / 100;
+  if (this.workSessions && this.workSessions.length > 0) {
+    // Only finished sessions count; pauses are idle time.
+    // With a crew both are person-hours summed over its members.
+    const activeMs = this.workSessions
+      .filter((s) => s.endedAt)
+      .reduce((sum, s) => sum + (s.endedAt - s.startedAt), 0);
+    this.actualDuration = toHours(activeMs);
+
+    // Each worker's own pauses (a helper joining late is not idle before)
+    const sessionsByWorker = new Map();
+    this.workSessions.forEach((session) => {
+      const key = session.worker?.toString();
+      sessionsByWorker.set(key, [
+        ...(sessionsByWorker.get(key) || []),
+        session,
+      ]);
+    });
+    const waiting = waitingPeriods(this.statusHistory);
+    const idleMs = [...sessionsByWorker.values()].reduce(
+      (sum, sessions) => sum + workerIdleMs(sessions, waiting),
+      0
+    );
+    this.idleDuration = toHours(idleMs);
+  } else if (this.startedAt && this.completedAt) {
+    // Tasks from before work sessions were recorded
+    this.actualDuration = toHours(this.completedAt - this.startedAt);
   }
 
   this.cost.total = this.cost.labor + this.cost.materials;
 
+  if (!this.isNew && CALENDAR_FIELDS.some((field) => this.isModified(field))) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
+  }
+
   next();
 });
 
+// Method to get checklist completion (overall and per section)
+taskSchema.methods.getChecklistProgress = function () {
+  const items = this.checklist || [];
+  const done = items.filter((item) => item.done).length;
+  const requiredOpen = items.filter((item) => item.required && !item.done);
+
+  const sections = {};
+  items.forEach((item) => {
+    const key = item.section.toString();
+    if (!sections[key]) {
+      sections[key] = {
+        section: item.section,
+        sectionName: item.sectionName,
+        total: 0,
+        done: 0,
+      };
+    }
+    sections[key].total++;
+    if (item.done) sections[key].done++;
+  });
+
+  return {
+    total: items.length,
+    done,
+    requiredOpen: requiredOpen.length,
+    percentage: items.length ? Math.round((done / items.length) * 100) : 100,
+    sections: Object.values(sections).map((s) => ({
+      ...s,
+      percentage: Math.round((s.done / s.total) * 100),
+    })),
+  };
+};
+
+// Method to get the IDs of everyone working on the task (lead first)
+taskSchema.methods.getCrewIds = function () {
+  const ids = [
+    this.worker,
+    ...(this.crew || []).map((member) => member.worker),
+  ]
+    .filter(Boolean)
+    .map((id) => (id._id || id).toString());
+  return [...new Set(ids)];
+};
+
+// Method to change the lead worker, keeping the crew list in sync
+taskSchema.methods.setLead = function (workerId) {
+  this.worker = workerId;
+  if (this.crew && this.crew.length > 0) {
+    const helpers = this.crew.filter(
+      (m) => m.role !== "lead" && m.worker.toString() !== String(workerId)
+    );
+    this.crew = [{ worker: workerId, role: "lead" }, ...helpers];
+  }
+  return this;
+};
+
+// Method to check if a user is the lead worker or a crew member
+taskSchema.methods.isCrewMember = function (userId) {
+  return this.getCrewIds().includes(String(userId));
+};
+
+// Method to get a worker's running work session (null while paused)
+taskSchema.methods.getOpenWorkSession = function (worker) {
+  return (
+    (this.workSessions || []).find(
+      (s) => !s.endedAt && s.worker?.toString() === String(worker)
+    ) || null
+  );
+};
+
+// Method to start a work session (no-op if one is already running).
+// `at` defaults to now; offline sync passes the time recorded on the device.
+taskSchema.methods.openWorkSession = function (
+  worker,
+  location,
+  at = new Date()
+) {
+  if (this.getOpenWorkSession(worker)) return this;
+  this.workSessions.push({
+    worker,
+    startedAt: at,
+    startLocation: location || undefined,
+  });
+  return this;
+};
+
+// Method to end a worker's running work session
+taskSchema.methods.closeWorkSession = function (
+  worker,
+  location,
+  pauseReason,
+  at = new Date()
+) {
+  const session = this.getOpenWorkSession(worker);
+  if (!session) return this;
+  session.endedAt = at;
+  if (location) session.endLocation = location;
+  if (pauseReason) session.pauseReason = pauseReason;
+  return this;
+};
+
+// Method to end the running work sessions of the whole crew
+taskSchema.methods.closeAllWorkSessions = function (
+  location,
+  at = new Date()
+) {
+  (this.workSessions || [])
+    .filter((s) => !s.endedAt)
+    .forEach((s) => {
+      // Never end a session before it started
+      s.endedAt = at > s.startedAt ? at : s.startedAt;
+      if (location) s.endLocation = location;
+    });
+  return this;
+};
+
+// Method to change status and record the transition
+// (legality must be checked with canTransition() by the caller)
+taskSchema.methods.setStatus = function (status, actor = {}, reason) {
+  this.statusHistory.push(buildStatusEntry(this.status, status, actor, reason));
+  this.status = status;
+  return this;
+};
+
 const Task = mongoose.model("Task", taskSchema);
 
 export default Task;
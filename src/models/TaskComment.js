@@ -0,0 +1,104 @@
+// backend/src/models/TaskComment.js
+import mongoose from "mongoose";
+
+// Admin/worker accounts live in User, client accounts in Client
+const authorSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["User", "Client"],
+      required: true,
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: "author.type",
+    },
+    name: String,
+    role: {
+      type: String,
+      enum: ["admin", "worker", "client"],
+    },
+  },
+  { _id: false }
+);
+
+const taskCommentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    // Reply to another comment of the same task (null for a new thread)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskComment",
+      default: null,
+    },
+    author: {
+      type: authorSchema,
+      required: true,
+    },
+    body: {
+      type: String,
+      required: [true, "Comment text is required"],
+      maxlength: 5000,
+    },
+    // internal: admins and workers only; client: also shown to the client
+    visibility: {
+      type: String,
+      enum: ["internal", "client"],
+      default: "internal",
+    },
+    // Parsed from @[Name](id) tokens in the body
+    mentions: [
+      {
+        type: {
+          type: String,
+          enum: ["User", "Client"],
+        },
+        id: mongoose.Schema.Types.ObjectId,
+        name: String,
+        _id: false,
+      },
+    ],
+    attachments: [
+      {
+        url: { type: String, required: true },
+        cloudinaryId: String,
+        mediaType: {
+          type: String,
+          enum: ["image", "video"],
+          default: "image",
+        },
+        format: String,
+        duration: Number,
+      },
+    ],
+    // Previous versions of the body, oldest first
+    edits: [
+      {
+        body: String,
+        editedAt: { type: Date, default: Date.now },
+        editedBy: mongoose.Schema.Types.ObjectId,
+        _id: false,
+      },
+    ],
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: Date,
+    deletedBy: mongoose.Schema.Types.ObjectId,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+taskCommentSchema.index({ task: 1, parent: 1, _id: 1 });
+
+const TaskComment = mongoose.model("TaskComment", taskCommentSchema);
+
+export default TaskComment;
@@ -0,0 +1,53 @@
+// backend/src/models/TaskHistory.js
+import mongoose from "mongoose";
+
+// One entry per change of a task: the action that caused it and a
+// field-level diff (see services/taskHistoryService.js)
+const taskHistorySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    // e.g. "update", "assign", "start", "image-upload", "feedback"
+    action: {
+      type: String,
+      required: true,
+    },
+    // Dotted paths; array entries are addressed by their _id
+    // (e.g. "images.after.<imageId>.isVisibleToClient")
+    changes: [
+      {
+        field: {
+          type: String,
+          required: true,
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+        _id: false,
+      },
+    ],
+    // User or Client account (null for system jobs)
+    actor: {
+      id: mongoose.Schema.Types.ObjectId,
+      role: {
+        type: String,
+        enum: ["admin", "worker", "client", "system"],
+      },
+      name: String,
+    },
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+taskHistorySchema.index({ task: 1, _id: -1 });
+taskHistorySchema.index({ "actor.id": 1, createdAt: -1 });
+
+const TaskHistory = mongoose.model("TaskHistory", taskHistorySchema);
+
+export default TaskHistory;
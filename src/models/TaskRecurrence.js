@@ -0,0 +1,150 @@
+// backend/src/models/TaskRecurrence.js
+import mongoose from "mongoose";
+
+const taskRecurrenceSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      required: [true, "Description is required"],
+      maxlength: 2000,
+    },
+
+    site: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Site",
+      required: [true, "Site is required"],
+    },
+    sections: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    ],
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    worker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Worker is required"],
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+    },
+
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    category: {
+      type: String,
+      enum: [
+        "lawn-mowing",
+        "tree-trimming",
+        "landscaping",
+        "irrigation",
+        "pest-control",
+        "other",
+      ],
+      default: "other",
+    },
+    estimatedDuration: {
+      type: Number,
+      default: 2,
+    },
+    materials: [
+      {
+        item: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Inventory",
+        },
+        name: String,
+        quantity: Number,
+        unit: String,
+      },
+    ],
+    notes: {
+      type: String,
+      maxlength: 1000,
+    },
+
+    // Recurrence rule, e.g. every Tuesday, every 2 weeks, 1st of each month
+    rule: {
+      frequency: {
+        type: String,
+        enum: ["daily", "weekly", "monthly"],
+        required: [true, "Recurrence frequency is required"],
+      },
+      interval: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+      // 0 = Sunday ... 6 = Saturday (weekly only)
+      daysOfWeek: [
+        {
+          type: Number,
+          min: 0,
+          max: 6,
+        },
+      ],
+      // Clamped to the last day of shorter months (monthly only)
+      dayOfMonth: {
+        type: Number,
+        min: 1,
+        max: 31,
+      },
+      time: {
+        type: String,
+        default: "08:00",
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Time must be in HH:mm format"],
+      },
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: Date,
+
+    // How many days ahead the scheduler creates real tasks
+    leadDays: {
+      type: Number,
+      default: 14,
+      min: 1,
+      max: 90,
+    },
+    status: {
+      type: String,
+      enum: ["active", "paused"],
+      default: "active",
+    },
+    generatedUntil: Date,
+    lastGeneratedAt: Date,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+taskRecurrenceSchema.index({ status: 1 });
+taskRecurrenceSchema.index({ site: 1 });
+taskRecurrenceSchema.index({ worker: 1 });
+
+const TaskRecurrence = mongoose.model("TaskRecurrence", taskRecurrenceSchema);
+
+export default TaskRecurrence;
@@ -0,0 +1,86 @@
+// backend/src/models/TaskTemplate.js
+import mongoose from "mongoose";
+
+const taskTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      unique: true,
+    },
+    // Title/description support placeholders such as {{site.name}} and {{section.name}}
+    title: {
+      type: String,
+      required: [true, "Task title is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      required: [true, "Task description is required"],
+      maxlength: 2000,
+    },
+    category: {
+      type: String,
+      enum: [
+        "lawn-mowing",
+        "tree-trimming",
+        "landscaping",
+        "irrigation",
+        "pest-control",
+        "other",
+      ],
+      default: "other",
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    estimatedDuration: {
+      type: Number,
+      default: 2,
+    },
+    materials: [
+      {
+        item: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Inventory",
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+    notes: {
+      type: String,
+      maxlength: 1000,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    timesUsed: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+taskTemplateSchema.index({ category: 1, isActive: 1 });
+
+const TaskTemplate = mongoose.model("TaskTemplate", taskTemplateSchema);
+
+export default TaskTemplate;
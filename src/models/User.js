@@ -62,7 +62,73 @@ const userSchema = new mongoose.Schema({
     completedTasks: {
       type: Number,
       default: 0
-    }
+    },
+    // Hours of work that can be scheduled per day (auto-assignment)
+    dailyCapacity: {
+      type: Number,
+      default: 8,
+      min: 1,
+      max: 24
+    },
+    // Where the worker starts the day when nothing else is planned
+    baseLocation: {
+      latitude: Number,
+      longitude: Number
+    },
+    // Labor cost: base hourly rate, overrides per branch and/or category
+    hourlyRate: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    rateOverrides: [{
+      branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+      },
+      category: {
+        type: String,
+        enum: [
+          'lawn-mowing',
+          'tree-trimming',
+          'landscaping',
+          'irrigation',
+          'pest-control',
+          'other'
+        ]
+      },
+      hourlyRate: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      _id: false
+    }],
+    // Overrides Settings.labor.overtimeMultiplier for this worker
+    overtimeMultiplier: {
+      type: Number,
+      min: 1
+    },
+    // Weekly shifts; empty means available every day
+    weeklyHours: [{
+      dayOfWeek: {
+        type: Number,
+        min: 0, // Sunday
+        max: 6,
+        required: true
+      },
+      start: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start must be HH:mm'],
+        required: true
+      },
+      end: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End must be HH:mm'],
+        required: true
+      },
+      _id: false
+    }]
   },
   // ✅ NEW: Notes field for Workers
   notes: {
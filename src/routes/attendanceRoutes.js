@@ -0,0 +1,30 @@
+// backend/src/routes/attendanceRoutes.js
+import express from "express";
+import {
+  clockIn,
+  clockOut,
+  getAttendance,
+  createAttendance,
+  correctAttendance,
+  getTimesheet,
+} from "../controllers/attendanceController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { mongoIdValidation } from "../middleware/validator.js";
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize("admin", "worker"));
+
+router.post("/clock-in", authorize("worker"), clockIn);
+router.post("/clock-out", authorize("worker"), clockOut);
+router.get("/timesheet", getTimesheet);
+
+router
+  .route("/")
+  .get(getAttendance)
+  .post(authorize("admin"), createAttendance);
+
+router.put("/:id", authorize("admin"), mongoIdValidation, correctAttendance);
+
+export default router;
@@ -0,0 +1,24 @@
+// backend/src/routes/calendarRoutes.js
+import express from "express";
+import {
+  getCalendarFeeds,
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarIcs,
+} from "../controllers/calendarController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { mongoIdValidation } from "../middleware/validator.js";
+
+const router = express.Router();
+
+// Calendar apps subscribe without logging in (the token is the secret)
+router.get("/:token.ics", getCalendarIcs);
+
+router.use(protect);
+router.use(authorize("admin", "worker"));
+
+router.route("/feeds").get(getCalendarFeeds).post(createCalendarFeed);
+
+router.delete("/feeds/:id", mongoIdValidation, deleteCalendarFeed);
+
+export default router;
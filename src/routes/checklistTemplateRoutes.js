@@ -0,0 +1,26 @@
+// backend/src/routes/checklistTemplateRoutes.js
+import express from "express";
+import {
+  getChecklistTemplates,
+  getChecklistTemplate,
+  createChecklistTemplate,
+  updateChecklistTemplate,
+  deleteChecklistTemplate,
+} from "../controllers/checklistTemplateController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { mongoIdValidation } from "../middleware/validator.js";
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize("admin"));
+
+router.route("/").get(getChecklistTemplates).post(createChecklistTemplate);
+
+router
+  .route("/:id")
+  .get(mongoIdValidation, getChecklistTemplate)
+  .put(mongoIdValidation, updateChecklistTemplate)
+  .delete(mongoIdValidation, deleteChecklistTemplate);
+
+export default router;
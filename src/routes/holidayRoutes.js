@@ -0,0 +1,23 @@
+// backend/src/routes/holidayRoutes.js
+import express from "express";
+import {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+} from "../controllers/holidayController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { mongoIdValidation } from "../middleware/validator.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route("/").get(getHolidays).post(authorize("admin"), createHoliday);
+
+router
+  .route("/:id")
+  .put(authorize("admin"), mongoIdValidation, updateHoliday)
+  .delete(authorize("admin"), mongoIdValidation, deleteHoliday);
+
+export default router;
@@ -0,0 +1,37 @@
+// backend/src/routes/jobRoutes.js
+import express from "express";
+import {
+  getJobs,
+  getJob,
+  createJob,
+  updateJob,
+  deleteJob,
+  getJobGraph,
+} from "../controllers/jobController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { mongoIdValidation } from "../middleware/validator.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(authorize("admin", "client"), getJobs)
+  .post(authorize("admin"), createJob);
+
+router
+  .route("/:id")
+  .get(authorize("admin", "client"), mongoIdValidation, getJob)
+  .put(authorize("admin"), mongoIdValidation, updateJob)
+  .delete(authorize("admin"), mongoIdValidation, deleteJob);
+
+// Dependency graph with critical path and projected completion
+router.get(
+  "/:id/graph",
+  authorize("admin", "client"),
+  mongoIdValidation,
+  getJobGraph
+);
+
+export default router;
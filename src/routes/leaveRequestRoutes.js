@@ -0,0 +1,34 @@
+// backend/src/routes/leaveRequestRoutes.js
+import express from "express";
+import {
+  getLeaveRequests,
+  createLeaveRequest,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  cancelLeaveRequest,
+} from "../controllers/leaveRequestController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { mongoIdValidation } from "../middleware/validator.js";
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize("admin", "worker"));
+
+router.route("/").get(getLeaveRequests).post(createLeaveRequest);
+
+router.delete("/:id", mongoIdValidation, cancelLeaveRequest);
+router.put(
+  "/:id/approve",
+  authorize("admin"),
+  mongoIdValidation,
+  approveLeaveRequest
+);
+router.put(
+  "/:id/reject",
+  authorize("admin"),
+  mongoIdValidation,
+  rejectLeaveRequest
+);
+
+export default router;
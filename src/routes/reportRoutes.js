@@ -3,7 +3,8 @@ import {
   getDashboardStats,
   getWeeklyReport,
   getMonthlyReport,
-  getWorkerPerformanceReport
+  getWorkerPerformanceReport,
+  getGeofenceReport
 } from '../controllers/reportController.js';
 import { protect, authorize } from '../middleware/auth.js';
 
@@ -14,6 +15,7 @@ router.get('/dashboard', protect, authorize('admin'), getDashboardStats);
 router.get('/weekly', protect, authorize('admin'), getWeeklyReport);
 router.get('/monthly', protect, authorize('admin'), getMonthlyReport);
 router.get('/workers', protect, authorize('admin'), getWorkerPerformanceReport);
+router.get('/geofence', protect, authorize('admin'), getGeofenceReport);
 
 export default router;
 
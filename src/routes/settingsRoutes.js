@@ -0,0 +1,11 @@
+import express from 'express';
+import { getSettings, updateSettings } from '../controllers/settingsController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes are admin only
+router.get('/', protect, authorize('admin'), getSettings);
+router.put('/', protect, authorize('admin'), updateSettings);
+
+export default router;
@@ -10,15 +10,53 @@ import {
   updateSection,
   deleteSection,
   deleteReferenceImage,
-  updateReferenceImage
+  updateReferenceImage,
+  getReferenceImageVersions,
+  restoreReferenceImageVersion,
+  updateSiteGeofence,
+  getNearbySites,
+  getSitesInBounds,
+  updateSiteBoundary,
+  importSiteBoundaries,
+  exportSiteBoundaries
 } from '../controllers/siteController.js';
+import {
+  getSectionPlants,
+  addSectionPlant,
+  updateSectionPlant,
+  deleteSectionPlant,
+  getSitePlantInventory
+} from '../controllers/sitePlantController.js';
+import {
+  getCareSuggestions,
+  createCareTasks
+} from '../controllers/careController.js';
 import { protect, authorize } from '../middleware/auth.js';
-import { uploadSingle, uploadMultiple, handleUploadError } from '../middleware/upload.js';
+import { mongoIdValidation } from '../middleware/validator.js';
+import {
+  uploadSingle,
+  uploadMultiple,
+  uploadGeoFile,
+  handleUploadError
+} from '../middleware/upload.js';
 
 const router = express.Router();
 
 // ✅ جميع الـ Routes محمية ومخصصة للـ Admin فقط
 router.use(protect);
+
+/**
+ * @route   GET /api/v1/sites/:id/plants
+ * @desc    Plant inventory of a site (per section and per plant)
+ * @access  Private (Admin / Client: own sites)
+ */
+router.get(
+  '/:id/plants',
+  authorize('admin', 'client'),
+  mongoIdValidation,
+  getSitePlantInventory
+);
+
 router.use(authorize('admin'));
 
 // ========================================
@@ -32,6 +70,20 @@ router.use(authorize('admin'));
  */
 router.get('/', getAllSites);
 
+/**
+ * @route   GET /api/v1/sites/nearby?near=lat,lng&radius=
+ * @desc    Get sites within a radius (meters) of a point, closest first
+ * @access  Private (Admin only)
+ */
+router.get('/nearby', getNearbySites);
+
+/**
+ * @route   GET /api/v1/sites/within?bbox=minLng,minLat,maxLng,maxLat
+ * @desc    Get sites inside a map bounding box
+ * @access  Private (Admin only)
+ */
+router.get('/within', getSitesInBounds);
+
 /**
  * @route   GET /api/v1/sites/:id
  * @desc    Get single site by ID
@@ -70,6 +122,43 @@ router.put(
  */
 router.delete('/:id', deleteSite);
 
+/**
+ * @route   PUT /api/v1/sites/:id/geofence
+ * @desc    Set the site geofence (radius in meters and/or polygon points)
+ * @access  Private (Admin only)
+ */
+router.put('/:id/geofence', updateSiteGeofence);
+
+// ========================================
+// 🗺️ Boundary Routes
+// ========================================
+
+/**
+ * @route   PUT /api/v1/sites/:id/boundary
+ * @desc    Set or clear the site boundary (GeoJSON polygon)
+ * @access  Private (Admin only)
+ */
+router.put('/:id/boundary', updateSiteBoundary);
+
+/**
+ * @route   POST /api/v1/sites/:id/boundaries/import
+ * @desc    Import site and section boundaries (GeoJSON or KML file)
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/:id/boundaries/import',
+  uploadGeoFile('file'),
+  handleUploadError,
+  importSiteBoundaries
+);
+
+/**
+ * @route   GET /api/v1/sites/:id/boundaries/export?format=geojson|kml
+ * @desc    Export site and section boundaries
+ * @access  Private (Admin only)
+ */
+router.get('/:id/boundaries/export', exportSiteBoundaries);
+
 // ========================================
 // 📦 Section Routes
 // ========================================
@@ -116,4 +205,69 @@ router.put(
   '/:id/sections/:sectionId/images/:imageId',
   updateReferenceImage
 );
+
+/**
+ * @route   GET /api/v1/sites/:id/sections/:sectionId/images/versions
+ * @desc    Reference image timeline of a section (who changed what, when)
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/:id/sections/:sectionId/images/versions',
+  mongoIdValidation,
+  getReferenceImageVersions
+);
+
+/**
+ * @route   POST /api/v1/sites/:id/sections/:sectionId/images/versions/:version/restore
+ * @desc    Restore the reference images of an earlier version
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/:id/sections/:sectionId/images/versions/:version/restore',
+  mongoIdValidation,
+  restoreReferenceImageVersion
+);
+
+// ========================================
+// 🌱 Section Plant Routes
+// ========================================
+
+/**
+ * @route   GET|POST /api/v1/sites/:id/sections/:sectionId/plants
+ * @desc    List / add the plants of a section
+ * @access  Private (Admin only)
+ */
+router
+  .route('/:id/sections/:sectionId/plants')
+  .get(mongoIdValidation, getSectionPlants)
+  .post(mongoIdValidation, addSectionPlant);
+
+/**
+ * @route   PUT|DELETE /api/v1/sites/:id/sections/:sectionId/plants/:plantingId
+ * @desc    Update (status, replacement) / delete a section planting
+ * @access  Private (Admin only)
+ */
+router
+  .route('/:id/sections/:sectionId/plants/:plantingId')
+  .put(mongoIdValidation, updateSectionPlant)
+  .delete(mongoIdValidation, deleteSectionPlant);
+
+// ========================================
+// 🗓️ Care Calendar Routes
+// ========================================
+
+/**
+ * @route   GET /api/v1/sites/:id/care-suggestions?horizonDays=&section=
+ * @desc    Care actions due from the plants of each section
+ * @access  Private (Admin only)
+ */
+router.get('/:id/care-suggestions', mongoIdValidation, getCareSuggestions);
+
+/**
+ * @route   POST /api/v1/sites/:id/care-suggestions/tasks
+ * @desc    Create tasks from care suggestions
+ * @access  Private (Admin only)
+ */
+router.post('/:id/care-suggestions/tasks', mongoIdValidation, createCareTasks);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,36 @@
+// backend/src/routes/taskRecurrenceRoutes.js
+import express from "express";
+import {
+  getRecurrences,
+  getRecurrence,
+  createRecurrence,
+  updateRecurrence,
+  pauseRecurrence,
+  resumeRecurrence,
+  deleteRecurrence,
+  previewRecurrence,
+  previewRule,
+} from "../controllers/taskRecurrenceController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { mongoIdValidation } from "../middleware/validator.js";
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize("admin"));
+
+router.route("/").get(getRecurrences).post(createRecurrence);
+
+router.post("/preview", previewRule);
+
+router
+  .route("/:id")
+  .get(mongoIdValidation, getRecurrence)
+  .put(mongoIdValidation, updateRecurrence)
+  .delete(mongoIdValidation, deleteRecurrence);
+
+router.get("/:id/preview", mongoIdValidation, previewRecurrence);
+router.post("/:id/pause", mongoIdValidation, pauseRecurrence);
+router.post("/:id/resume", mongoIdValidation, resumeRecurrence);
+
+export default router;
@@ -3,25 +3,46 @@ import express from "express";
 import {
   getTasks,
   getTask,
+  getTaskHistory,
   createTask,
+  createTaskFromTemplate,
+  createTasksBulk,
+  rollbackTaskBatch,
   updateTask,
   deleteTask,
   startTask,
+  pauseTask,
+  resumeTask,
   completeTask,
+  syncOfflineActions,
   uploadTaskImages,
   deleteTaskImage,
+  updateChecklistItem,
   assignTask,
+  autoAssignTask,
+  updateTaskCost,
+  recalculateTaskCost,
+  setTaskCrew,
+  approveTask,
+  rejectTask,
   toggleImageVisibility,
   bulkUpdateImageVisibility,
   submitFeedback,
   markSatisfied,
   deleteBeforeMedia,
 } from "../controllers/taskController.js";
+import {
+  getTaskComments,
+  addTaskComment,
+  updateTaskComment,
+  deleteTaskComment,
+} from "../controllers/taskCommentController.js";
 import { protect, authorize } from "../middleware/auth.js";
 import {
   uploadMultiple,
   handleUploadError,
   uploadSingle,
+  uploadCsv,
 } from "../middleware/upload.js";
 
 const router = express.Router();
@@ -30,15 +51,43 @@ router.use(protect);
 
 router.route("/").get(getTasks).post(authorize("admin"), createTask);
 
+router.post(
+  "/from-template/:templateId",
+  authorize("admin"),
+  createTaskFromTemplate
+);
+
+// ✅ Bulk creation (JSON rows or CSV "file") and batch rollback
+router.post(
+  "/bulk",
+  authorize("admin"),
+  uploadCsv("file"),
+  handleUploadError,
+  createTasksBulk
+);
+router.delete("/batches/:batchId", authorize("admin"), rollbackTaskBatch);
+
+// ✅ Offline sync: replay actions queued on the worker's device
+router.post("/sync", authorize("worker"), syncOfflineActions);
+
 router
   .route("/:id")
   .get(getTask)
   .put(updateTask)
   .delete(authorize("admin"), deleteTask);
 
+router.get("/:id/history", authorize("admin"), getTaskHistory);
 router.post("/:id/start", startTask);
+router.post("/:id/pause", pauseTask);
+router.post("/:id/resume", resumeTask);
 router.post("/:id/complete", completeTask);
 router.post("/:id/assign", authorize("admin"), assignTask);
+router.post("/:id/auto-assign", authorize("admin"), autoAssignTask);
+router.put("/:id/crew", authorize("admin"), setTaskCrew);
+router.put("/:id/cost", authorize("admin"), updateTaskCost);
+router.post("/:id/cost/recalculate", authorize("admin"), recalculateTaskCost);
+router.post("/:id/approve", authorize("admin"), approveTask);
+router.post("/:id/reject", authorize("admin"), rejectTask);
 
 // ✅ Image upload routes with Cloudinary (up to 50 images)
 router.post(
@@ -65,6 +114,29 @@ router.put(
   authorize("admin"),
   bulkUpdateImageVisibility
 );
+// ✅ Section checklist (optional photo per item)
+router.put(
+  "/:id/checklist/:itemId",
+  authorize("admin", "worker"),
+  uploadSingle("photo", "tasks/checklists"),
+  handleUploadError,
+  updateChecklistItem
+);
+
+// ✅ Comment threads (optional attachments)
+router
+  .route("/:id/comments")
+  .get(getTaskComments)
+  .post(
+    uploadMultiple("attachments", 10, "tasks/comments"),
+    handleUploadError,
+    addTaskComment
+  );
+router
+  .route("/:id/comments/:commentId")
+  .put(updateTaskComment)
+  .delete(deleteTaskComment);
+
 // ✅ NEW: Client Feedback
 router.post(
   "/:id/feedback",
@@ -0,0 +1,26 @@
+// backend/src/routes/taskTemplateRoutes.js
+import express from "express";
+import {
+  getTaskTemplates,
+  getTaskTemplate,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+} from "../controllers/taskTemplateController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { mongoIdValidation } from "../middleware/validator.js";
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize("admin"));
+
+router.route("/").get(getTaskTemplates).post(createTaskTemplate);
+
+router
+  .route("/:id")
+  .get(mongoIdValidation, getTaskTemplate)
+  .put(mongoIdValidation, updateTaskTemplate)
+  .delete(mongoIdValidation, deleteTaskTemplate);
+
+export default router;
@@ -0,0 +1,52 @@
+// backend/src/routes/workerRoutes.js
+import express from "express";
+import {
+  getWorkerRoute,
+  getWorkerAgenda,
+  lockWorkerRoute,
+  unlockWorkerRoute,
+  getWorkerAvailability,
+  updateWorkerHours,
+} from "../controllers/workerController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { mongoIdValidation } from "../middleware/validator.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+// Daily route planning
+router.get(
+  "/:id/route",
+  authorize("admin", "worker"),
+  mongoIdValidation,
+  getWorkerRoute
+);
+router
+  .route("/:id/route/lock")
+  .post(authorize("admin"), mongoIdValidation, lockWorkerRoute)
+  .delete(authorize("admin"), mongoIdValidation, unlockWorkerRoute);
+
+// Daily agenda (everything needed offline for the day)
+router.get(
+  "/:id/agenda",
+  authorize("admin", "worker"),
+  mongoIdValidation,
+  getWorkerAgenda
+);
+
+// Availability calendar and weekly working hours
+router.get(
+  "/:id/availability",
+  authorize("admin", "worker"),
+  mongoIdValidation,
+  getWorkerAvailability
+);
+router.put(
+  "/:id/hours",
+  authorize("admin"),
+  mongoIdValidation,
+  updateWorkerHours
+);
+
+export default router;
@@ -0,0 +1,288 @@
+// backend/src/services/assignmentService.js
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Site from "../models/Site.js";
+import { hasCoordinates, haversineDistance } from "../utils/geo.js";
+import { getDayRange, toDateKey } from "../utils/dates.js";
+import { OPEN_STATUSES } from "../utils/taskLifecycle.js";
+import { getAvailability } from "./availabilityService.js";
+
+const DEFAULT_DAILY_CAPACITY = 8; // hours
+
+// Score weights (sum to 1)
+const WEIGHTS = {
+  capacity: 0.4,
+  distance: 0.35,
+  rating: 0.25,
+};
+
+const round = (value, digits = 2) =>
+  Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Average client rating per worker on completed tasks of a category
+ * @returns {Promise<Map>} - workerId -> { avg, count }
+ */
+const getCategoryRatings = async (workerIds, category) => {
+  const rows = await Task.aggregate([
+    {
+      $match: {
+        status: "completed",
+        category: category || "other",
+        "feedback.rating": { $exists: true },
+        $or: [
+          { worker: { $in: workerIds } },
+          { "crew.worker": { $in: workerIds } },
+        ],
+      },
+    },
+    {
+      $project: {
+        rating: "$feedback.rating",
+        members: {
+          $setUnion: [
+            [{ $ifNull: ["$worker", null] }],
+            { $ifNull: ["$crew.worker", []] },
+          ],
+        },
+      },
+    },
+    { $unwind: "$members" },
+    {
+      $group: {
+        _id: "$members",
+        avg: { $avg: "$rating" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return new Map(rows.filter((r) => r._id).map((r) => [r._id.toString(), r]));
+};
+
+/**
+ * Hours already planned per worker on a day (as lead or crew member)
+ * @param {Array} workerIds
+ * @param {Object} range - { start, end } from getDayRange()
+ * @returns {Promise<Map>} - workerId -> hours
+ */
+export const getScheduledHours = async (workerIds, range) => {
+  const tasks = await Task.find({
+    $or: [
+      { worker: { $in: workerIds } },
+      { "crew.worker": { $in: workerIds } },
+    ],
+    scheduledDate: { $gte: range.start, $lte: range.end },
+    status: { $in: OPEN_STATUSES },
+  })
+    .select("worker crew estimatedDuration")
+    .lean();
+
+  const hours = new Map();
+  tasks.forEach((t) => {
+    const members = new Set(
+      [t.worker, ...(t.crew || []).map((m) => m.worker)]
+        .filter(Boolean)
+        .map(String)
+    );
+    members.forEach((id) => {
+      hours.set(id, (hours.get(id) || 0) + (t.estimatedDuration || 0));
+    });
+  });
+  return hours;
+};
+
+/**
+ * Rank the active workers of a branch for a task.
+ *
+ * Each worker gets a 0-100 score from their free hours on the scheduled day
+ * (against workerDetails.dailyCapacity and their shifts), how close their
+ * other stops of the day (or base location) are to the site, and their
+ * average rating on past tasks of the same category. Workers on leave, on a
+ * holiday or without enough free hours are still listed but marked as not
+ * eligible.
+ *
+ * @param {Object} task - { _id?, site, branch, category, scheduledDate, estimatedDuration }
+ * @returns {Promise<Object>} - { candidates } or { status, error }
+ */
+export const rankWorkers = async (task) => {
+  const siteId = task.site?._id || task.site;
+  if (!siteId || !mongoose.Types.ObjectId.isValid(siteId)) {
+    return { status: 400, error: "Invalid site ID" };
+  }
+
+  const site = await Site.findById(siteId).select("name location");
+  if (!site) {
+    return { status: 404, error: "Site not found" };
+  }
+
+  const range = getDayRange(task.scheduledDate || new Date());
+  if (!range) {
+    return { status: 400, error: "Invalid scheduled date" };
+  }
+
+  const workerQuery = { role: "worker", isActive: true };
+  if (task.branch) workerQuery.branch = task.branch._id || task.branch;
+
+  const workers = await User.find(workerQuery).select(
+    "name email phone branch workerDetails"
+  );
+  if (workers.length === 0) {
+    return { candidates: [] };
+  }
+
+  const workerIds = workers.map((w) => w._id);
+
+  // Everything already planned for these workers that day
+  const dayTasks = await Task.find({
+    $or: [
+      { worker: { $in: workerIds } },
+      { "crew.worker": { $in: workerIds } },
+    ],
+    scheduledDate: { $gte: range.start, $lte: range.end },
+    status: { $in: OPEN_STATUSES },
+    ...(task._id ? { _id: { $ne: task._id } } : {}),
+  })
+    .select("worker crew site estimatedDuration")
+    .populate("site", "location")
+    .lean();
+
+  const ratings = await getCategoryRatings(workerIds, task.category);
+  const availability = await getAvailability(
+    workers,
+    task.scheduledDate || new Date()
+  );
+
+  const sitePoint = hasCoordinates(site.location?.coordinates)
+    ? site.location.coordinates
+    : null;
+  const needed = task.estimatedDuration || 2;
+  const dateKey = toDateKey(range.start);
+
+  const candidates = workers.map((worker) => {
+    const id = worker._id.toString();
+    const reasons = [];
+
+    // Capacity
+    const ownTasks = dayTasks.filter(
+      (t) =>
+        t.worker?.toString() === id ||
+        (t.crew || []).some((m) => m.worker.toString() === id)
+    );
+    // Leave, holidays and weekly hours; shift hours cap the daily capacity
+    const dayAvailability = availability.get(id);
+    const dailyCapacity =
+      worker.workerDetails?.dailyCapacity || DEFAULT_DAILY_CAPACITY;
+    const capacity =
+      dayAvailability?.hours !== null && dayAvailability?.hours !== undefined
+        ? Math.min(dayAvailability.hours, dailyCapacity)
+        : dailyCapacity;
+    const scheduledHours = ownTasks.reduce(
+      (sum, t) => sum + (t.estimatedDuration || 0),
+      0
+    );
+    const freeHours = Math.max(capacity - scheduledHours, 0);
+    const isAvailable = dayAvailability ? dayAvailability.available : true;
+    const eligible = isAvailable && freeHours >= needed;
+    const capacityScore = capacity > 0 ? Math.min(freeHours / capacity, 1) : 0;
+
+    if (dayAvailability) {
+      reasons.push(...dayAvailability.reasons, ...dayAvailability.warnings);
+    }
+    reasons.push(
+      `${round(scheduledHours)}h of ${round(capacity)}h booked on ${dateKey}` +
+        (freeHours >= needed ? "" : ` (needs ${needed}h free)`)
+    );
+
+    // Distance from the nearest stop of the day, else the base location
+    let distanceKm = null;
+    if (sitePoint) {
+      const stops = ownTasks
+        .map((t) => t.site?.location?.coordinates)
+        .filter(hasCoordinates);
+      const base = worker.workerDetails?.baseLocation;
+      let origins = stops;
+      if (origins.length === 0 && hasCoordinates(base)) origins = [base];
+
+      if (origins.length > 0) {
+        distanceKm = round(
+          Math.min(...origins.map((p) => haversineDistance(p, sitePoint))) /
+            1000,
+          1
+        );
+        reasons.push(
+          stops.length > 0
+            ? `Nearest stop that day is ${distanceKm} km from the site`
+            : `Base location is ${distanceKm} km from the site`
+        );
+      } else {
+        reasons.push("No known location for the worker");
+      }
+    } else {
+      reasons.push("Site has no coordinates");
+    }
+    // Unknown distance counts as average
+    const distanceScore =
+      distanceKm === null ? 0.5 : 1 / (1 + distanceKm / 10);
+
+    // Ratings on the same category, else the overall worker rating
+    const category = task.category || "other";
+    const categoryRating = ratings.get(id);
+    const overallRating = worker.workerDetails?.rating;
+    let ratingScore = 0.5;
+    if (categoryRating) {
+      ratingScore = categoryRating.avg / 5;
+      reasons.push(
+        `Rated ${round(categoryRating.avg, 1)}/5 on ` +
+          `${categoryRating.count} ${category} task(s)`
+      );
+    } else if (overallRating) {
+      ratingScore = overallRating / 5;
+      reasons.push(
+        `No ${category} ratings yet, overall rating ${overallRating}/5`
+      );
+    } else {
+      reasons.push("No ratings yet");
+    }
+
+    const score = Math.round(
+      100 *
+        (WEIGHTS.capacity * capacityScore +
+          WEIGHTS.distance * distanceScore +
+          WEIGHTS.rating * ratingScore)
+    );
+
+    return {
+      worker: {
+        _id: worker._id,
+        name: worker.name,
+        email: worker.email,
+        phone: worker.phone,
+      },
+      score,
+      eligible,
+      reasons,
+      metrics: {
+        scheduledHours: round(scheduledHours),
+        capacity,
+        freeHours: round(freeHours),
+        distanceKm,
+        categoryRating: categoryRating ? round(categoryRating.avg) : null,
+        categoryRatingCount: categoryRating ? categoryRating.count : 0,
+      },
+    };
+  });
+
+  // Eligible workers first, then by score
+  candidates.sort(
+    (a, b) => Number(b.eligible) - Number(a.eligible) || b.score - a.score
+  );
+
+  return { candidates };
+};
+
+export default {
+  getScheduledHours,
+  rankWorkers,
+};
@@ -0,0 +1,197 @@
+// backend/src/services/availabilityService.js
+import User from "../models/User.js";
+import LeaveRequest from "../models/LeaveRequest.js";
+import Holiday from "../models/Holiday.js";
+import Settings from "../models/Settings.js";
+import { parseDate, getDayRange, toDateKey } from "../utils/dates.js";
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check if a holiday falls on the given day
+ */
+const isHolidayOn = (holiday, day) => {
+  const date = new Date(holiday.date);
+  if (holiday.recurring) {
+    return (
+      date.getMonth() === day.getMonth() && date.getDate() === day.getDate()
+    );
+  }
+  return toDateKey(date) === toDateKey(day);
+};
+
+/**
+ * Work out which workers can work on a day.
+ *
+ * A worker is unavailable on approved leave, on a public holiday of their
+ * branch (or of every branch), on days without weekly hours (when weekly
+ * hours are set) and, when the date carries a time, outside their shifts.
+ * Pending leave only produces a warning.
+ *
+ * @param {Array} workers - User documents (branch and workerDetails needed)
+ * @param {String|Date} date
+ * @returns {Promise<Map>} - workerId -> { available, reasons, warnings, shifts, hours }
+ */
+export const getAvailability = async (workers, date) => {
+  const range = getDayRange(date);
+  const result = new Map();
+  if (!range || workers.length === 0) return result;
+
+  const day = range.start;
+  const workerIds = workers.map((w) => w._id);
+  const branches = [
+    ...new Set(workers.map((w) => w.branch?._id || w.branch).filter(Boolean)),
+  ];
+
+  const [leaves, holidays] = await Promise.all([
+    LeaveRequest.find({
+      worker: { $in: workerIds },
+      status: { $in: ["approved", "pending"] },
+      startDate: { $lte: range.end },
+      endDate: { $gte: range.start },
+    }).lean(),
+    Holiday.find({
+      $and: [
+        {
+          $or: [
+            { date: { $gte: range.start, $lte: range.end } },
+            { recurring: true },
+          ],
+        },
+        { $or: [{ branch: null }, { branch: { $in: branches } }] },
+      ],
+    }).lean(),
+  ]);
+
+  const dayHolidays = holidays.filter((h) => isHolidayOn(h, day));
+
+  // Minutes since midnight (0 when the date has no time of day)
+  const parsed = parseDate(date);
+  const timeOfDay = parsed.getHours() * 60 + parsed.getMinutes();
+
+  workers.forEach((worker) => {
+    const id = worker._id.toString();
+    const branch = (worker.branch?._id || worker.branch)?.toString();
+    const reasons = [];
+    const warnings = [];
+
+    leaves
+      .filter((l) => l.worker.toString() === id)
+      .forEach((leave) => {
+        const period =
+          `${toDateKey(leave.startDate)} to ` + toDateKey(leave.endDate);
+        if (leave.status === "approved") {
+          reasons.push(`On ${leave.type} leave (${period})`);
+        } else {
+          warnings.push(`Pending ${leave.type} leave request (${period})`);
+        }
+      });
+
+    dayHolidays
+      .filter((h) => !h.branch || h.branch.toString() === branch)
+      .forEach((holiday) => reasons.push(`Public holiday: ${holiday.name}`));
+
+    const weeklyHours = worker.workerDetails?.weeklyHours || [];
+    const shifts = weeklyHours
+      .filter((s) => s.dayOfWeek === day.getDay())
+      .map((s) => ({ start: s.start, end: s.end }))
+      .sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+
+    if (weeklyHours.length > 0) {
+      if (shifts.length === 0) {
+        reasons.push("Not a working day");
+      } else if (
+        timeOfDay > 0 &&
+        !shifts.some(
+          (s) =>
+            timeOfDay >= toMinutes(s.start) && timeOfDay < toMinutes(s.end)
+        )
+      ) {
+        reasons.push(
+          `Outside working hours (${shifts
+            .map((s) => `${s.start}-${s.end}`)
+            .join(", ")})`
+        );
+      }
+    }
+
+    // Scheduled hours that day (null = not limited by weekly hours)
+    const hours =
+      weeklyHours.length > 0
+        ? shifts.reduce(
+            (sum, s) => sum + (toMinutes(s.end) - toMinutes(s.start)) / 60,
+            0
+          )
+        : null;
+
+    result.set(id, {
+      available: reasons.length === 0,
+      reasons,
+      warnings,
+      shifts,
+      hours,
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Check workers about to be put on a task against Settings.availability.
+ * "off" skips the check, "warn" only reports, "block" rejects.
+ * @param {Array} workerIds
+ * @param {String|Date} date - Task scheduledDate (no check without one)
+ * @returns {Promise<Object>} - { blocked, message, warnings }
+ */
+export const checkAvailability = async (workerIds, date) => {
+  if (!date || workerIds.length === 0) {
+    return { blocked: false, warnings: [] };
+  }
+
+  const settings = await Settings.getSettings();
+  const enforcement = settings.availability?.enforcement || "warn";
+  if (enforcement === "off") {
+    return { blocked: false, warnings: [] };
+  }
+
+  const workers = await User.find({ _id: { $in: workerIds } }).select(
+    "name branch workerDetails"
+  );
+  const availability = await getAvailability(workers, date);
+
+  const warnings = [];
+  workers.forEach((worker) => {
+    const entry = availability.get(worker._id.toString());
+    if (!entry) return;
+    const messages = [...entry.reasons, ...entry.warnings];
+    if (messages.length > 0) {
+      warnings.push({
+        worker: worker._id,
+        name: worker.name,
+        available: entry.available,
+        reasons: messages,
+      });
+    }
+  });
+
+  const unavailable = warnings.filter((w) => !w.available);
+  if (enforcement === "block" && unavailable.length > 0) {
+    return {
+      blocked: true,
+      message: unavailable
+        .map((w) => `${w.name} is unavailable: ${w.reasons.join("; ")}`)
+        .join(". "),
+      warnings,
+    };
+  }
+
+  return { blocked: false, warnings };
+};
+
+export default {
+  getAvailability,
+  checkAvailability,
+};
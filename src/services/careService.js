@@ -0,0 +1,154 @@
+// backend/src/services/careService.js
+import Task from "../models/Task.js";
+import SitePlant from "../models/SitePlant.js";
+import { OPEN_STATUSES } from "../utils/taskLifecycle.js";
+import {
+  CARE_TASK_CATEGORIES,
+  SHARED_CARE_CATEGORIES,
+  resolveCareRules,
+  mergeCareRules,
+  nextCareDate,
+} from "../utils/careRules.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Completed tasks older than this never decide when care is due
+const HISTORY_DAYS = 400;
+
+/**
+ * Care actions a task stands for: its careAction, or the action of its
+ * category when it was created by hand (none for shared categories)
+ */
+const taskCareActions = (task) => {
+  if (task.careAction) return [task.careAction];
+  if (SHARED_CARE_CATEGORIES.includes(task.category)) return [];
+  return Object.keys(CARE_TASK_CATEGORIES).filter(
+    (action) => CARE_TASK_CATEGORIES[action] === task.category
+  );
+};
+
+/**
+ * Due care actions of a site from the plants recorded in its sections.
+ * Plants sharing a section share the visit: the shortest interval wins.
+ * @param {Object} site - Site document (sections)
+ * @param {Object} options - { now, horizonDays, section }
+ * @returns {Promise<Array>} - [{ key, section, action, category, dueDate,
+ *   overdueDays, lastDoneAt, everyDays, months, plants, openTask }] due
+ *   within the horizon, soonest first
+ */
+export const buildCareSuggestions = async (
+  site,
+  { now = new Date(), horizonDays = 7, section } = {}
+) => {
+  const plantingQuery = { site: site._id, status: { $ne: "replaced" } };
+  if (section) plantingQuery.section = section;
+
+  const plantings = await SitePlant.find(plantingQuery)
+    .populate(
+      "plant",
+      "name category careInstructions careSchedule growthRate seasonality isActive"
+    )
+    .lean();
+
+  // Rules per section and action, with the plants behind them
+  const groups = new Map();
+  plantings
+    .filter((p) => p.plant)
+    .forEach((planting) => {
+      resolveCareRules(planting.plant).forEach((rule) => {
+        const key = `${planting.section}:${rule.action}`;
+        const group = groups.get(key) || {
+          section: planting.section.toString(),
+          action: rule.action,
+          rules: [],
+          plants: [],
+        };
+        group.rules.push(rule);
+        group.plants.push({
+          _id: planting.plant._id,
+          name: planting.plant.name,
+          quantity: planting.quantity,
+          status: planting.status,
+          everyDays: rule.everyDays,
+          source: rule.source,
+        });
+        groups.set(key, group);
+      });
+    });
+
+  if (groups.size === 0) return [];
+
+  const sectionIds = [...new Set([...groups.values()].map((g) => g.section))];
+  const [completed, open] = await Promise.all([
+    Task.find({
+      site: site._id,
+      sections: { $in: sectionIds },
+      status: "completed",
+      completedAt: { $gte: new Date(now.getTime() - HISTORY_DAYS * DAY_MS) },
+    })
+      .select("sections category careAction completedAt")
+      .lean(),
+    Task.find({
+      site: site._id,
+      sections: { $in: sectionIds },
+      status: { $in: OPEN_STATUSES },
+    })
+      .select("title status sections category careAction scheduledDate")
+      .lean(),
+  ]);
+
+  // Last completion and open task per section and action
+  const lastDone = new Map();
+  completed.forEach((task) => {
+    taskCareActions(task).forEach((action) => {
+      task.sections.forEach((sectionId) => {
+        const key = `${sectionId}:${action}`;
+        if (!lastDone.has(key) || task.completedAt > lastDone.get(key)) {
+          lastDone.set(key, task.completedAt);
+        }
+      });
+    });
+  });
+  const openTasks = new Map();
+  open.forEach((task) => {
+    taskCareActions(task).forEach((action) => {
+      task.sections.forEach((sectionId) => {
+        openTasks.set(`${sectionId}:${action}`, {
+          _id: task._id,
+          title: task.title,
+          status: task.status,
+          scheduledDate: task.scheduledDate,
+        });
+      });
+    });
+  });
+
+  const horizon = new Date(now.getTime() + horizonDays * DAY_MS);
+
+  return [...groups]
+    .map(([key, group]) => {
+      const rule = mergeCareRules(group.rules);
+      const lastDoneAt = lastDone.get(key) || null;
+      const dueDate = nextCareDate(rule, lastDoneAt, now);
+      const sectionDoc = site.sections.id(group.section);
+
+      return {
+        key,
+        section: { _id: group.section, name: sectionDoc?.name },
+        action: group.action,
+        category: CARE_TASK_CATEGORIES[group.action],
+        dueDate,
+        overdueDays: Math.max(Math.floor((now - dueDate) / DAY_MS), 0),
+        lastDoneAt,
+        everyDays: rule.everyDays,
+        months: rule.months,
+        plants: group.plants,
+        openTask: openTasks.get(key) || null,
+      };
+    })
+    .filter((s) => s.section.name && s.dueDate <= horizon)
+    .sort((a, b) => a.dueDate - b.dueDate);
+};
+
+export default {
+  buildCareSuggestions,
+};
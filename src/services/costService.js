@@ -0,0 +1,217 @@
+// backend/src/services/costService.js
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Inventory from "../models/Inventory.js";
+import Settings from "../models/Settings.js";
+import { getDayRange } from "../utils/dates.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pick a worker's hourly rate for a task. The most specific override wins:
+ * branch + category, then category, then branch, then the base rate.
+ * @param {Object} worker - User document
+ * @param {Object} task - { branch, category }
+ * @returns {Number}
+ */
+export const resolveHourlyRate = (worker, { branch, category }) => {
+  const details = worker.workerDetails || {};
+  const overrides = details.rateOverrides || [];
+  const branchId = (branch?._id || branch)?.toString();
+
+  const matches = (override) =>
+    (!override.branch || override.branch.toString() === branchId) &&
+    (!override.category || override.category === category);
+  const specificity = (override) =>
+    (override.branch ? 1 : 0) + (override.category ? 2 : 0);
+
+  const best = overrides
+    .filter(matches)
+    .sort((a, b) => specificity(b) - specificity(a))[0];
+
+  return best ? best.hourlyRate : details.hourlyRate || 0;
+};
+
+/**
+ * Hours each crew member worked on a task, with the day they started.
+ * Tasks without work sessions credit actualDuration to the lead worker.
+ * @returns {Array} - [{ worker, hours, firstStart }]
+ */
+const getMemberHours = (task) => {
+  const sessions = (task.workSessions || []).filter(
+    (s) => s.endedAt && s.worker
+  );
+
+  if (sessions.length === 0) {
+    return task.worker && task.actualDuration
+      ? [
+          {
+            worker: (task.worker._id || task.worker).toString(),
+            hours: task.actualDuration,
+            firstStart: task.startedAt || task.completedAt,
+          },
+        ]
+      : [];
+  }
+
+  const byWorker = new Map();
+  sessions.forEach((s) => {
+    const id = s.worker.toString();
+    const entry = byWorker.get(id) || {
+      worker: id,
+      hours: 0,
+      firstStart: null,
+    };
+    entry.hours += (s.endedAt - s.startedAt) / 3600000;
+    if (!entry.firstStart || s.startedAt < entry.firstStart) {
+      entry.firstStart = s.startedAt;
+    }
+    byWorker.set(id, entry);
+  });
+  return [...byWorker.values()];
+};
+
+/**
+ * Hours a worker logged on other tasks on the same day before this one
+ * started (to know how much of this task falls into overtime)
+ */
+const getEarlierHours = async (taskId, workerId, firstStart) => {
+  const range = getDayRange(firstStart);
+  if (!range) return 0;
+
+  const tasks = await Task.find({
+    _id: { $ne: taskId },
+    "workSessions.worker": workerId,
+    "workSessions.startedAt": { $gte: range.start, $lt: firstStart },
+  })
+    .select("workSessions")
+    .lean();
+
+  return tasks.reduce(
+    (sum, t) =>
+      sum +
+      t.workSessions
+        .filter(
+          (s) =>
+            s.endedAt &&
+            s.worker?.toString() === workerId &&
+            s.startedAt >= range.start &&
+            s.startedAt < firstStart
+        )
+        .reduce((acc, s) => acc + (s.endedAt - s.startedAt) / 3600000, 0),
+    0
+  );
+};
+
+/**
+ * Calculate labor and material cost of a task.
+ *
+ * Labor: each crew member's hours times their hourly rate; hours past the
+ * daily threshold (Settings.attendance.dailyHours, counting earlier tasks
+ * that day) use the overtime multiplier. Materials: quantity times the
+ * inventory unit cost.
+ *
+ * @param {Object} task - Task document
+ * @returns {Promise<Object>} - { labor, materials, laborBreakdown, materialLines }
+ */
+export const calculateTaskCost = async (task) => {
+  const settings = await Settings.getSettings();
+  const dailyHours = settings.attendance?.dailyHours || 8;
+  const defaultMultiplier = settings.labor?.overtimeMultiplier || 1;
+
+  // Labor
+  const memberHours = getMemberHours(task);
+  const workers = await User.find({
+    _id: { $in: memberHours.map((m) => m.worker) },
+  }).select("name workerDetails");
+
+  const laborBreakdown = [];
+  for (const member of memberHours) {
+    const worker = workers.find((w) => w._id.toString() === member.worker);
+    if (!worker) continue;
+
+    const hourlyRate = resolveHourlyRate(worker, task);
+    const multiplier =
+      worker.workerDetails?.overtimeMultiplier || defaultMultiplier;
+
+    let overtimeHours = 0;
+    if (multiplier > 1 && member.firstStart) {
+      const earlier = await getEarlierHours(
+        task._id,
+        member.worker,
+        member.firstStart
+      );
+      overtimeHours = Math.min(
+        Math.max(earlier + member.hours - dailyHours, 0),
+        member.hours
+      );
+    }
+
+    const regularHours = member.hours - overtimeHours;
+    laborBreakdown.push({
+      worker: worker._id,
+      name: worker.name,
+      hours: round(member.hours),
+      overtimeHours: round(overtimeHours),
+      hourlyRate,
+      overtimeMultiplier: multiplier,
+      amount: round(
+        regularHours * hourlyRate + overtimeHours * hourlyRate * multiplier
+      ),
+    });
+  }
+
+  // Materials
+  const items = await Inventory.find({
+    _id: { $in: (task.materials || []).map((m) => m.item).filter(Boolean) },
+  }).select("unitCost");
+
+  const materialLines = (task.materials || []).map((material) => {
+    const item = items.find(
+      (i) => i._id.toString() === material.item?.toString()
+    );
+    const unitCost = item ? item.unitCost || 0 : 0;
+    return {
+      item: material.item,
+      unitCost,
+      amount: round((material.quantity || 0) * unitCost),
+    };
+  });
+
+  return {
+    labor: round(laborBreakdown.reduce((sum, l) => sum + l.amount, 0)),
+    materials: round(materialLines.reduce((sum, m) => sum + m.amount, 0)),
+    laborBreakdown,
+    materialLines,
+  };
+};
+
+/**
+ * Calculate a task's cost and store it on the task (skipped when locked)
+ * @param {Object} task - Task document
+ * @param {Object} options - { force } recalculates even if locked
+ * @returns {Promise<Object>} - The task
+ */
+export const applyTaskCost = async (task, { force = false } = {}) => {
+  if (task.cost?.locked && !force) return task;
+
+  const cost = await calculateTaskCost(task);
+
+  task.cost.labor = cost.labor;
+  task.cost.materials = cost.materials;
+  task.cost.laborBreakdown = cost.laborBreakdown;
+  task.cost.calculatedAt = new Date();
+  task.materials.forEach((material, index) => {
+    material.unitCost = cost.materialLines[index]?.unitCost;
+  });
+
+  // pre("save") updates cost.total
+  await task.save();
+  return task;
+};
+
+export default {
+  resolveHourlyRate,
+  calculateTaskCost,
+  applyTaskCost,
+};
@@ -183,6 +183,79 @@ export const notifyPaymentReminder = async (client, invoice) => {
   }
 };
 
+/**
+ * Send in-app notification for an @mention in a task comment
+ */
+export const notifyMention = async (recipient, task, comment, author) => {
+  try {
+    await createNotification({
+      recipient: {
+        type: recipient.type === 'Client' ? 'client' : 'user',
+        id: recipient.id
+      },
+      type: 'mention',
+      channel: 'in-app',
+      subject: `${author.name} mentioned you`,
+      message: `${author.name} mentioned you on task "${task.title}": ${comment.body.slice(0, 200)}`,
+      data: {
+        task: task._id,
+        comment: comment._id
+      }
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Notify mention error:', error);
+    return false;
+  }
+};
+
+/**
+ * Send in-app notification to the worker of an overdue task
+ */
+export const notifyTaskOverdue = async (worker, task) => {
+  try {
+    await createNotification({
+      recipient: { type: 'user', id: worker._id },
+      type: 'task-overdue',
+      channel: 'in-app',
+      subject: 'Task overdue',
+      message: `Task "${task.title}" is overdue`,
+      data: { task: task._id },
+      priority: 'high'
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Notify task overdue error:', error);
+    return false;
+  }
+};
+
+/**
+ * Alert an admin about a task that stayed overdue too long
+ */
+export const notifyTaskEscalation = async (admin, task, worker) => {
+  try {
+    await createNotification({
+      recipient: { type: 'user', id: admin._id },
+      type: 'task-escalated',
+      channel: 'in-app',
+      subject: 'Overdue task needs attention',
+      message:
+        `Task "${task.title}"${worker ? ` (${worker.name})` : ''} is still ` +
+        `${task.status} and overdue since ${task.overdueSince.toISOString()}`,
+      data: { task: task._id, worker: worker?._id },
+      priority: 'high'
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Notify task escalation error:', error);
+    return false;
+  }
+};
+
 /**
  * Get user notifications
  */
@@ -194,10 +267,10 @@ export const getUserNotifications = async (userId, options = {}) => {
       page = 1
     } = options;
 
-    const query = { recipient: userId };
+    const query = { 'recipient.id': userId };
     
     if (unreadOnly) {
-      query.isRead = false;
+      query.read = false;
     }
 
     const notifications = await Notification.find(query)
@@ -226,7 +299,7 @@ export const getUserNotifications = async (userId, options = {}) => {
 export const markAsRead = async (notificationId) => {
   try {
     await Notification.findByIdAndUpdate(notificationId, {
-      isRead: true,
+      read: true,
       readAt: new Date()
     });
     return true;
@@ -242,8 +315,8 @@ export const markAsRead = async (notificationId) => {
 export const markAllAsRead = async (userId) => {
   try {
     await Notification.updateMany(
-      { recipient: userId, isRead: false },
-      { isRead: true, readAt: new Date() }
+      { 'recipient.id': userId, read: false },
+      { read: true, readAt: new Date() }
     );
     return true;
   } catch (error) {
@@ -268,6 +341,9 @@ export const deleteNotification = async (notificationId) => {
 export default {
   notifyTaskAssignment,
   notifyTaskCompletion,
+  notifyMention,
+  notifyTaskOverdue,
+  notifyTaskEscalation,
   notifyLowStock,
   notifyInvoice,
   notifyClientCredentials,
@@ -0,0 +1,48 @@
+// backend/src/services/plantService.js
+import mongoose from "mongoose";
+import Plant from "../models/Plant.js";
+import SitePlant from "../models/SitePlant.js";
+
+/**
+ * Recalculate the usage statistics of catalog plants from their plantings:
+ * timesUsed is the number of plantings (replaced ones included) and
+ * lastUsedAt the latest planting date. Call after plantings are added,
+ * moved to another plant or deleted.
+ * @param {Array} plantIds - Plant IDs to refresh
+ */
+export const refreshPlantUsage = async (plantIds) => {
+  const ids = [...new Set(plantIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return;
+
+  const usage = await SitePlant.aggregate([
+    {
+      $match: {
+        plant: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+      },
+    },
+    {
+      $group: {
+        _id: "$plant",
+        timesUsed: { $sum: 1 },
+        lastUsedAt: { $max: "$plantedAt" },
+      },
+    },
+  ]);
+  const byPlant = new Map(usage.map((u) => [u._id.toString(), u]));
+
+  await Plant.bulkWrite(
+    ids.map((id) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: {
+          timesUsed: byPlant.get(id)?.timesUsed || 0,
+          lastUsedAt: byPlant.get(id)?.lastUsedAt || null,
+        },
+      },
+    }))
+  );
+};
+
+export default {
+  refreshPlantUsage,
+};
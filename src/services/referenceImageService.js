@@ -0,0 +1,110 @@
+// backend/src/services/referenceImageService.js
+import { v2 as cloudinary } from "cloudinary";
+import ReferenceImageVersion from "../models/ReferenceImageVersion.js";
+
+/**
+ * Copy of a section's current reference images for a version entry
+ */
+const snapshotImages = (section) =>
+  section.referenceImages.map((img) => ({
+    imageId: img._id,
+    url: img.url,
+    cloudinaryId: img.cloudinaryId,
+    caption: img.caption,
+    mediaType: img.mediaType,
+    format: img.format,
+    duration: img.duration,
+    uploadedAt: img.uploadedAt,
+    qtn: img.qtn,
+    description: img.description,
+  }));
+
+/**
+ * Record the images a section had before versioning as version 0 (the
+ * version tasks snapshotted until then link to). Call before the first
+ * change; does nothing once the section has versions or without images.
+ * @param {Object} site - Site document holding the section
+ * @param {Object} section - Embedded section subdocument (unchanged yet)
+ * @returns {Promise<Object|null>} - The version entry
+ */
+export const recordReferenceImageBaseline = async (site, section) => {
+  if (section.referenceImagesVersion > 0) return null;
+  if (section.referenceImages.length === 0) return null;
+
+  return ReferenceImageVersion.findOneAndUpdate(
+    { section: section._id, version: 0 },
+    {
+      $setOnInsert: {
+        site: site._id,
+        action: "create",
+        images: snapshotImages(section),
+      },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Save a site after a change to a section's reference images and record
+ * the resulting image set as the section's next version.
+ * @param {Object} req - Request of the change (editor)
+ * @param {Object} site - Site document holding the changed section
+ * @param {Object} section - Embedded section subdocument
+ * @param {String} action - create | add | update | delete | restore
+ * @param {Object} details - { image, restoredFrom }
+ * @returns {Promise<Object>} - The version entry
+ */
+export const saveReferenceImageVersion = async (
+  req,
+  site,
+  section,
+  action,
+  { image, restoredFrom } = {}
+) => {
+  section.referenceImagesVersion = (section.referenceImagesVersion || 0) + 1;
+  await site.save();
+
+  return ReferenceImageVersion.create({
+    site: site._id,
+    section: section._id,
+    version: section.referenceImagesVersion,
+    action,
+    image,
+    restoredFrom,
+    images: snapshotImages(section),
+    editor: req?.user
+      ? { id: req.user.id, role: req.user.role, name: req.user.name }
+      : undefined,
+  });
+};
+
+/**
+ * Delete the reference image history of a site or section, with the
+ * Cloudinary files only older versions still used
+ * @param {Object} filter - { site } or { site, section }
+ * @param {Array} deletedIds - Cloudinary IDs the caller already deleted
+ */
+export const deleteReferenceImageVersions = async (filter, deletedIds = []) => {
+  const deleted = new Set(deletedIds);
+  const cloudinaryIds = await ReferenceImageVersion.distinct(
+    "images.cloudinaryId",
+    filter
+  );
+
+  for (const cloudinaryId of cloudinaryIds) {
+    if (!cloudinaryId || deleted.has(cloudinaryId)) continue;
+    try {
+      await cloudinary.uploader.destroy(cloudinaryId);
+    } catch (err) {
+      console.error("Failed to delete reference image:", err);
+    }
+  }
+
+  await ReferenceImageVersion.deleteMany(filter);
+};
+
+export default {
+  recordReferenceImageBaseline,
+  saveReferenceImageVersion,
+  deleteReferenceImageVersions,
+};
@@ -0,0 +1,430 @@
+// backend/src/services/syncService.js
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import TaskComment from "../models/TaskComment.js";
+import SyncAction from "../models/SyncAction.js";
+import {
+  applyStatusSideEffects,
+  checkTaskLocation,
+  getOpenPrerequisites,
+} from "./taskService.js";
+import { recordTaskHistory } from "./taskHistoryService.js";
+import { canTransition } from "../utils/taskLifecycle.js";
+
+// Device clocks drift; timestamps further ahead than this are rejected
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_KEY_LENGTH =
+  SyncAction.schema.path("idempotencyKey").options.maxlength;
+
+const applied = (message) => ({ result: "applied", message });
+const conflict = (message) => ({ result: "conflict", message });
+const rejected = (message) => ({ result: "rejected", message });
+
+/**
+ * Latest status change an admin made after the action happened on the
+ * device (admin changes win over queued worker actions)
+ */
+const adminChangeSince = (task, at) =>
+  [...(task.statusHistory || [])]
+    .reverse()
+    .find((entry) => entry.changedByRole === "admin" && entry.changedAt > at);
+
+/**
+ * Outcome for an action the task's status no longer allows: a conflict when
+ * an admin moved the task on in the meantime, otherwise an invalid action
+ */
+const statusOutcome = (task, at, message) => {
+  const change = adminChangeSince(task, at);
+  if (change) {
+    const admin = change.changedByName || "an admin";
+    return conflict(`Task was moved to "${change.to}" by ${admin}`);
+  }
+  return rejected(message);
+};
+
+const transitionMessage = (from, to) =>
+  `Cannot change task status from "${from}" to "${to}"`;
+
+/**
+ * Last time the worker stopped working on the task (sessions are
+ * chronological, so a queued action may not go back before it)
+ */
+const lastSessionEnd = (task, workerId) =>
+  (task.workSessions || [])
+    .filter((s) => s.endedAt && s.worker?.toString() === String(workerId))
+    .reduce(
+      (latest, s) => (!latest || s.endedAt > latest ? s.endedAt : latest),
+      null
+    );
+
+// Handlers get (task, action, user, at) and change the task in memory.
+// They return { result, message } and optionally a status change to follow
+// up with applyStatusSideEffects once the task is saved.
+const handlers = {
+  start: async (task, action, user, at) => {
+    // Joining work that is already running
+    if (["in-progress", "rework"].includes(task.status)) {
+      if (task.getOpenWorkSession(user.id)) {
+        return applied("Already working on this task");
+      }
+      const locationCheck = await checkTaskLocation(
+        task,
+        action.latitude,
+        action.longitude
+      );
+      if (locationCheck.blocked) return rejected(locationCheck.message);
+      task.openWorkSession(user.id, locationCheck.location, at);
+      return applied("Joined task");
+    }
+
+    const nextStatus = task.status === "rejected" ? "rework" : "in-progress";
+    if (!canTransition(task.status, nextStatus, user.role)) {
+      return statusOutcome(
+        task,
+        at,
+        transitionMessage(task.status, nextStatus)
+      );
+    }
+
+    const openPrerequisites = await getOpenPrerequisites(task);
+    if (openPrerequisites.length > 0) {
+      return rejected(
+        `${openPrerequisites.length} prerequisite task(s) still open`
+      );
+    }
+
+    const locationCheck = await checkTaskLocation(
+      task,
+      action.latitude,
+      action.longitude
+    );
+    if (locationCheck.blocked) return rejected(locationCheck.message);
+
+    task.setStatus(nextStatus, user);
+    if (nextStatus === "in-progress") task.startedAt = at;
+    if (locationCheck.location) task.startLocation = locationCheck.location;
+    task.openWorkSession(user.id, locationCheck.location, at);
+    return { ...applied("Task started"), status: nextStatus };
+  },
+
+  pause: async (task, action, user, at) => {
+    if (!["in-progress", "rework"].includes(task.status)) {
+      return statusOutcome(task, at, `Cannot pause a ${task.status} task`);
+    }
+    const session = task.getOpenWorkSession(user.id);
+    if (!session) return applied("Task is already paused");
+    if (at < session.startedAt) {
+      return rejected("Pause happened before the work session started");
+    }
+
+    const locationCheck = await checkTaskLocation(
+      task,
+      action.latitude,
+      action.longitude
+    );
+    task.closeWorkSession(user.id, locationCheck.location, action.reason, at);
+    return applied("Task paused");
+  },
+
+  resume: async (task, action, user, at) => {
+    if (!["in-progress", "rework"].includes(task.status)) {
+      return statusOutcome(task, at, `Cannot resume a ${task.status} task`);
+    }
+    if (task.getOpenWorkSession(user.id)) {
+      return applied("Task is not paused");
+    }
+    const lastEnd = lastSessionEnd(task, user.id);
+    if (lastEnd && at < lastEnd) {
+      return rejected("Resume happened before the last pause");
+    }
+
+    const locationCheck = await checkTaskLocation(
+      task,
+      action.latitude,
+      action.longitude
+    );
+    if (locationCheck.blocked) return rejected(locationCheck.message);
+    task.openWorkSession(user.id, locationCheck.location, at);
+    return applied("Task resumed");
+  },
+
+  complete: async (task, action, user, at) => {
+    if (!canTransition(task.status, "review", user.role)) {
+      return statusOutcome(
+        task,
+        at,
+        transitionMessage(task.status, "review")
+      );
+    }
+
+    const openItems = task.checklist.filter(
+      (item) => item.required && !item.done
+    );
+    if (openItems.length > 0) {
+      return rejected(
+        `${openItems.length} required checklist item(s) still open`
+      );
+    }
+
+    const locationCheck = await checkTaskLocation(
+      task,
+      action.latitude,
+      action.longitude
+    );
+    if (locationCheck.blocked) return rejected(locationCheck.message);
+
+    task.setStatus("review", user);
+    task.completedAt = at;
+    if (locationCheck.location) task.endLocation = locationCheck.location;
+    task.closeAllWorkSessions(locationCheck.location, at);
+    return { ...applied("Task submitted for review"), status: "review" };
+  },
+
+  // payload: { material } - material entry ID or inventory item ID
+  "confirm-material": async (task, action, user, at) => {
+    const id = String(action.payload?.material || "");
+    const material = task.materials.find(
+      (m) => m._id.toString() === id || m.item?.toString() === id
+    );
+    if (!material) {
+      return conflict("Material is no longer part of this task");
+    }
+    if (material.confirmed) {
+      return applied("Material was already confirmed");
+    }
+
+    material.confirmed = true;
+    material.confirmedAt = at;
+    material.confirmedBy = user.id;
+    return applied("Material confirmed");
+  },
+
+  // payload: { itemId, done, note } - photos are uploaded separately
+  checklist: async (task, action, user, at) => {
+    const { itemId, note } = action.payload || {};
+    const item = mongoose.Types.ObjectId.isValid(itemId)
+      ? task.checklist.id(itemId)
+      : null;
+    if (!item) {
+      return conflict("Checklist item is no longer part of this task");
+    }
+    // Someone else changed the item after the worker did
+    if (
+      item.doneAt &&
+      item.doneAt > at &&
+      item.doneBy?.toString() !== String(user.id)
+    ) {
+      return conflict("Checklist item was updated later by someone else");
+    }
+
+    const done = action.payload.done !== false;
+    if (done && item.requiresPhoto && !item.photo?.url) {
+      return rejected("A photo is required to complete this item");
+    }
+
+    item.done = done;
+    item.doneAt = done ? at : undefined;
+    item.doneBy = done ? user.id : undefined;
+    if (note !== undefined) item.note = note;
+    return applied("Checklist item updated");
+  },
+
+  // payload: { body } - saved as an internal task comment
+  note: async (task, action, user) => {
+    const body = action.payload?.body?.trim();
+    if (!body) return rejected("Note text is required");
+
+    await TaskComment.create({
+      task: task._id,
+      author: {
+        type: "User",
+        id: user.id,
+        name: user.name,
+        role: user.role,
+      },
+      body,
+      visibility: "internal",
+    });
+    return applied("Note added");
+  },
+};
+
+// Own keys only: "toString" and the like are not action types
+const isKnownType = (type) =>
+  typeof type === "string" && Object.hasOwn(handlers, type);
+
+/**
+ * Check an action's shape and timestamp
+ * @returns {Object} - { at } or { error }
+ */
+const validateAction = (action, now) => {
+  if (!action || typeof action !== "object") {
+    return { error: "Invalid action" };
+  }
+  if (!isKnownType(action.type)) {
+    return { error: `Unknown action type "${action.type}"` };
+  }
+  if (!mongoose.Types.ObjectId.isValid(action.task)) {
+    return { error: "Invalid task ID" };
+  }
+
+  const at = new Date(action.clientTimestamp);
+  if (!action.clientTimestamp || isNaN(at.getTime())) {
+    return { error: "Invalid client timestamp" };
+  }
+  if (at - now > MAX_CLOCK_SKEW_MS) {
+    return { error: "Client timestamp is in the future" };
+  }
+
+  // Small clock drift: never record work in the future
+  return { at: at > now ? now : at };
+};
+
+/**
+ * Apply one queued action
+ * @returns {Object} - { result, message }
+ */
+const applyAction = async (action, req) => {
+  const { user } = req;
+  const { at, error } = validateAction(action, new Date());
+  if (error) return rejected(error);
+
+  const task = await Task.findById(action.task);
+  if (!task) {
+    return conflict("Task no longer exists");
+  }
+  // Reassigned by an admin while the worker was offline
+  if (!task.isCrewMember(user.id)) {
+    return conflict("You are no longer assigned to this task");
+  }
+  if (at < task.createdAt) {
+    return rejected("Action happened before the task was created");
+  }
+
+  const before = task.toObject();
+  const outcome = await handlers[action.type](task, action, user, at);
+  if (outcome.result === "applied" && task.isModified()) {
+    await task.save();
+    if (outcome.status) {
+      await applyStatusSideEffects(task, outcome.status);
+    }
+    await recordTaskHistory(req, action.type, before, task);
+  }
+
+  return { result: outcome.result, message: outcome.message };
+};
+
+/**
+ * Replay a worker's offline actions in the order they were queued.
+ * Actions are idempotent by key: one already processed returns its stored
+ * result instead of being applied again. The key is claimed before the
+ * action is applied, so a concurrent request with the same key gets
+ * "pending" instead of applying it twice. A failing action is rejected
+ * and does not stop the ones after it.
+ * @param {Array} actions - [{ idempotencyKey, type, task, clientTimestamp,
+ *   latitude?, longitude?, reason?, payload? }]
+ * @param {Object} req - Sync request (req.user is the worker)
+ * @returns {Array} - [{ idempotencyKey, type, task, result, message,
+ *   duplicate }]
+ */
+export const syncActions = async (actions, req) => {
+  const { user } = req;
+  const results = [];
+
+  for (const action of actions) {
+    const idempotencyKey =
+      typeof action?.idempotencyKey === "string"
+        ? action.idempotencyKey.trim()
+        : "";
+    const base = {
+      idempotencyKey,
+      type: action?.type,
+      task: action?.task,
+    };
+
+    if (!idempotencyKey) {
+      results.push({
+        ...base,
+        ...rejected("Idempotency key is required"),
+        duplicate: false,
+      });
+      continue;
+    }
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      results.push({
+        ...base,
+        ...rejected(
+          `Idempotency key must be at most ${MAX_KEY_LENGTH} characters`
+        ),
+        duplicate: false,
+      });
+      continue;
+    }
+    // Unknown types cannot be stored (SyncAction.type is an enum): they are
+    // reported without claiming the key
+    if (!isKnownType(action?.type)) {
+      results.push({
+        ...base,
+        ...rejected(`Unknown action type "${action.type}"`),
+        duplicate: false,
+      });
+      continue;
+    }
+
+    let claim;
+    try {
+      claim = await SyncAction.create({
+        worker: user.id,
+        idempotencyKey,
+        type: action.type,
+        task: mongoose.Types.ObjectId.isValid(action.task)
+          ? action.task
+          : undefined,
+        clientTimestamp: isNaN(new Date(action.clientTimestamp).getTime())
+          ? undefined
+          : action.clientTimestamp,
+        payload: action.payload,
+        result: "pending",
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Already processed, or being processed by a concurrent request
+      const previous = await SyncAction.findOne({
+        worker: user.id,
+        idempotencyKey,
+      });
+      results.push({
+        ...base,
+        result: previous?.result || "pending",
+        message:
+          previous?.result === "pending" || !previous
+            ? "Action is already being processed"
+            : previous.message,
+        duplicate: true,
+      });
+      continue;
+    }
+
+    // An error is this action's result; the ones after it still run
+    let outcome;
+    try {
+      outcome = await applyAction(action, req);
+    } catch (error) {
+      console.error("Sync action error:", error);
+      outcome = rejected(`Action could not be applied: ${error.message}`);
+    }
+
+    claim.result = outcome.result;
+    claim.message = outcome.message;
+    await claim.save();
+
+    results.push({ ...base, ...outcome, duplicate: false });
+  }
+
+  return results;
+};
+
+export default {
+  syncActions,
+};
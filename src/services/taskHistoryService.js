@@ -0,0 +1,123 @@
+// backend/src/services/taskHistoryService.js
+import TaskHistory from "../models/TaskHistory.js";
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+const toPlain = (doc) =>
+  doc && typeof doc.toObject === "function" ? doc.toObject() : doc;
+
+// ObjectIds and Dates become strings, undefined becomes null
+const normalize = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Arrays of subdocuments are compared entry by entry (matched on _id)
+const isSubdocArray = (value) =>
+  Array.isArray(value) &&
+  value.length > 0 &&
+  value.every((entry) => isPlainObject(entry) && entry._id);
+
+const collectChanges = (from, to, path, changes) => {
+  if (isSubdocArray(from) || isSubdocArray(to)) {
+    const before = new Map((from || []).map((e) => [e._id.toString(), e]));
+    const after = new Map((to || []).map((e) => [e._id.toString(), e]));
+    new Set([...before.keys(), ...after.keys()]).forEach((id) => {
+      const field = `${path}.${id}`;
+      if (before.has(id) && after.has(id)) {
+        collectChanges(before.get(id), after.get(id), field, changes);
+      } else {
+        changes.push({
+          field,
+          from: normalize(before.get(id)),
+          to: normalize(after.get(id)),
+        });
+      }
+    });
+    return;
+  }
+
+  if (isPlainObject(from) && isPlainObject(to)) {
+    new Set([...Object.keys(from), ...Object.keys(to)]).forEach((key) => {
+      if (!path && IGNORED_FIELDS.includes(key)) return;
+      if (path && key === "_id") return;
+      const field = path ? `${path}.${key}` : key;
+      collectChanges(from[key], to[key], field, changes);
+    });
+    return;
+  }
+
+  const fromValue = normalize(from);
+  const toValue = normalize(to);
+  if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+    changes.push({ field: path, from: fromValue, to: toValue });
+  }
+};
+
+/**
+ * Field-level diff of two versions of a task
+ * @param {Object} before - Task document or plain object
+ * @param {Object} after - Task document or plain object
+ * @returns {Array} - [{ field, from, to }]
+ */
+export const diffTask = (before, after) => {
+  const changes = [];
+  collectChanges(toPlain(before) || {}, toPlain(after) || {}, "", changes);
+  return changes;
+};
+
+/**
+ * Record who changed a task and how. Call after the change is saved with a
+ * copy of the task taken before it (task.toObject()).
+ * A failure is logged but never fails the request that made the change.
+ * @param {Object} req - Request of the change (actor, IP, user agent);
+ *   omit for system jobs
+ * @param {String} action - e.g. "update", "assign", "start"
+ * @param {Object} before - Task before the change
+ * @param {Object} after - Task after the change (null once deleted)
+ * @returns {Promise<Object|null>} - The history entry, null when nothing
+ *   changed
+ */
+export const recordTaskHistory = async (req, action, before, after) => {
+  try {
+    const changes = diffTask(before, after);
+    if (changes.length === 0) return null;
+
+    const user = req?.user;
+    return await TaskHistory.create({
+      task: (after || before)._id,
+      action,
+      changes,
+      actor: user
+        ? { id: user.id, role: user.role, name: user.name }
+        : { role: "system" },
+      ip: req?.ip,
+      userAgent: req?.get?.("user-agent"),
+    });
+  } catch (error) {
+    console.error("Record task history error:", error);
+    return null;
+  }
+};
+
+/**
+ * Record the deletion of several tasks, one "delete" entry each (calendar
+ * feeds cancel their events from these entries)
+ * @param {Object} req - Request of the deletion; omit for system jobs
+ * @param {Array} tasks - The full task documents, as before the deletion
+ */
+export const recordTaskDeletions = async (req, tasks) => {
+  for (const task of tasks) {
+    await recordTaskHistory(req, "delete", task, null);
+  }
+};
+
+export default {
+  diffTask,
+  recordTaskHistory,
+  recordTaskDeletions,
+};
@@ -0,0 +1,452 @@
+// backend/src/services/taskService.js
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import Job from "../models/Job.js";
+import Client from "../models/Client.js";
+import User from "../models/User.js";
+import Site from "../models/Site.js";
+import Settings from "../models/Settings.js";
+import ChecklistTemplate from "../models/ChecklistTemplate.js";
+import { checkGeofence, hasCoordinates } from "../utils/geo.js";
+import { checkAvailability } from "./availabilityService.js";
+import { applyTaskCost } from "./costService.js";
+import { OPEN_STATUSES } from "../utils/taskLifecycle.js";
+
+/**
+ * Shared task helpers used by every code path that creates or moves tasks
+ * (manual creation, recurring schedules, status changes, ...).
+ */
+
+/**
+ * Snapshot the reference images of the given site sections so the task keeps
+ * them even if the section is edited later.
+ * @param {Array} sections - Embedded site section subdocuments
+ * @returns {Array} - Task referenceImages entries
+ */
+export const snapshotReferenceImages = (sections = []) => {
+  const referenceImages = [];
+
+  sections.forEach((section) => {
+    if (section.referenceImages && section.referenceImages.length > 0) {
+      const copied = section.referenceImages.map((img) => ({
+        url: img.url,
+        cloudinaryId: img.cloudinaryId,
+        caption: img.caption,
+        mediaType: img.mediaType || "image",
+        format: img.format,
+        duration: img.duration,
+        uploadedAt: img.uploadedAt,
+        qtn: img.qtn || 1,
+        description: img.description,
+        originalSectionId: section._id,
+        originalImageId: img._id,
+        originalSectionVersion: section.referenceImagesVersion || 0,
+      }));
+      referenceImages.push(...copied);
+    }
+  });
+
+  return referenceImages;
+};
+
+/**
+ * Copy the checklist template of a task category onto every section
+ * @param {String} category - Task category
+ * @param {Array} sections - Embedded site section subdocuments
+ * @returns {Promise<Array>} - Task checklist entries (empty without a template)
+ */
+export const buildChecklist = async (category, sections = []) => {
+  const template = await ChecklistTemplate.findOne({
+    category: category || "other",
+    isActive: true,
+  }).lean();
+
+  if (!template || !template.items || template.items.length === 0) return [];
+
+  return sections.flatMap((section) =>
+    template.items.map((item) => ({
+      section: section._id,
+      sectionName: section.name,
+      label: item.label,
+      required: item.required,
+      requiresPhoto: item.requiresPhoto,
+      done: false,
+    }))
+  );
+};
+
+/**
+ * Validate a task payload and build the document to create.
+ * Same rules for every way of creating a task (single, template, bulk, ...).
+ * @param {Object} input - Task fields (site, sections, worker, client, ...)
+ * @returns {Promise<Object>} - { data, siteDoc, sections, warnings } or { status, error }
+ */
+export const prepareTask = async (input) => {
+  const {
+    title,
+    description,
+    site,
+    sections, // array of section IDs
+    scheduledDate,
+    priority,
+    category,
+    estimatedDuration,
+    materials,
+    notes,
+    worker,
+    branch,
+  } = input;
+
+  // Validate required fields
+  if (!title || !description || !site || !sections || !worker) {
+    return { status: 400, error: "Please provide all required fields" };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(site)) {
+    return { status: 400, error: "Invalid site ID" };
+  }
+
+  // Validate site and sections
+  const siteDoc = await Site.findById(site);
+  if (!siteDoc) {
+    return { status: 404, error: "Site not found" };
+  }
+
+  const sectionIds = (Array.isArray(sections) ? sections : [sections]).map(
+    String
+  );
+  if (sectionIds.length === 0) {
+    return { status: 400, error: "At least one section is required" };
+  }
+
+  // ✅ Verify ALL Sections exist in Site
+  const invalidSections = sectionIds.filter(
+    (sectionId) =>
+      !siteDoc.sections.some((sec) => sec._id.toString() === sectionId)
+  );
+  if (invalidSections.length > 0) {
+    return {
+      status: 404,
+      error: "One or more sections not found in this site",
+    };
+  }
+
+  const validSections = siteDoc.sections.filter((sec) =>
+    sectionIds.includes(sec._id.toString())
+  );
+
+  // ✅ Auto-fill Client from Site
+  const client = input.client || siteDoc.client;
+
+  // ✅ Validate Client / Worker IDs
+  if (!mongoose.Types.ObjectId.isValid(client)) {
+    return { status: 400, error: "Invalid client ID" };
+  }
+  if (!mongoose.Types.ObjectId.isValid(worker)) {
+    return { status: 400, error: "Invalid worker ID" };
+  }
+  if (branch && !mongoose.Types.ObjectId.isValid(branch)) {
+    return { status: 400, error: "Invalid branch ID" };
+  }
+
+  if (scheduledDate && isNaN(new Date(scheduledDate).getTime())) {
+    return { status: 400, error: "Invalid scheduled date" };
+  }
+
+  // ✅ Parent job and prerequisite tasks
+  const links = await validateTaskLinks(input, { site, client });
+  if (links.error) {
+    return { status: links.status, error: links.error };
+  }
+
+  // ✅ Leave, holidays and weekly hours of the worker (warn or block)
+  const availability = await checkAvailability([worker], scheduledDate);
+  if (availability.blocked) {
+    return { status: 409, error: availability.message };
+  }
+
+  // SNAPSHOT: Collect all reference images from selected sections
+  const referenceImages = snapshotReferenceImages(validSections);
+
+  // ✅ Copy the category checklist onto every section
+  const checklist = await buildChecklist(category, validSections);
+
+  return {
+    siteDoc,
+    sections: validSections,
+    warnings: availability.warnings,
+    data: {
+      title,
+      description,
+      site,
+      worker,
+      sections: validSections.map((s) => s._id),
+      client,
+      branch: branch || undefined,
+      scheduledDate,
+      priority: priority || "medium",
+      category: category || "other",
+      estimatedDuration: estimatedDuration || 2,
+      materials: materials || [],
+      notes,
+      status: "pending",
+      referenceImages, // ← Snapshotted here
+      checklist,
+      job: links.job || null,
+      dependsOn: links.dependsOn || [],
+    },
+  };
+};
+
+/**
+ * Check whether making `taskId` depend on `dependsOn` would close a loop,
+ * i.e. whether `taskId` is already (indirectly) a prerequisite of one of them
+ */
+const createsDependencyCycle = async (taskId, dependsOn) => {
+  const target = String(taskId);
+  const seen = new Set();
+  let frontier = dependsOn.map(String);
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach((id) => seen.add(id));
+
+    const tasks = await Task.find({ _id: { $in: frontier } })
+      .select("dependsOn")
+      .lean();
+    frontier = [
+      ...new Set(tasks.flatMap((t) => (t.dependsOn || []).map(String))),
+    ].filter((id) => !seen.has(id));
+  }
+
+  return false;
+};
+
+/**
+ * Validate a task's parent job and prerequisite tasks
+ * @param {Object} input - { job, dependsOn } as sent by the client
+ * @param {Object} task - { _id (omit for new tasks), site, client }
+ * @returns {Promise<Object>} - { job, dependsOn } with only the given fields,
+ *   or { status, error }
+ */
+export const validateTaskLinks = async (input, task) => {
+  const links = {};
+
+  if (input.job !== undefined) {
+    if (input.job) {
+      if (!mongoose.Types.ObjectId.isValid(input.job)) {
+        return { status: 400, error: "Invalid job ID" };
+      }
+      const job = await Job.findById(input.job).select("site client");
+      if (!job) {
+        return { status: 404, error: "Job not found" };
+      }
+      if (job.site.toString() !== String(task.site)) {
+        return { status: 400, error: "Job belongs to a different site" };
+      }
+    }
+    links.job = input.job || null;
+  }
+
+  if (input.dependsOn !== undefined) {
+    const list = Array.isArray(input.dependsOn)
+      ? input.dependsOn
+      : [input.dependsOn];
+    const ids = [...new Set(list.filter(Boolean).map(String))];
+
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return { status: 400, error: "Invalid prerequisite task ID" };
+    }
+    if (task._id && ids.includes(task._id.toString())) {
+      return { status: 400, error: "A task cannot depend on itself" };
+    }
+
+    const found = await Task.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      return { status: 404, error: "One or more prerequisite tasks not found" };
+    }
+
+    // Only existing tasks can already be a prerequisite of something
+    if (task._id && (await createsDependencyCycle(task._id, ids))) {
+      return {
+        status: 400,
+        error: "Prerequisites would create a circular dependency",
+      };
+    }
+    links.dependsOn = ids;
+  }
+
+  return links;
+};
+
+/**
+ * Get the prerequisites of a task that are still open
+ * @param {Object} task - Task document
+ * @returns {Promise<Array>} - [{ _id, title, status, scheduledDate }]
+ */
+export const getOpenPrerequisites = async (task) => {
+  if (!task.dependsOn || task.dependsOn.length === 0) return [];
+  return Task.find({
+    _id: { $in: task.dependsOn },
+    status: { $in: OPEN_STATUSES },
+  })
+    .select("title status scheduledDate")
+    .lean();
+};
+
+/**
+ * Query filter for the tasks a worker leads or helps on
+ * @param {String} workerId
+ * @returns {Object} - Mongo filter
+ */
+export const crewFilter = (workerId) => ({
+  $or: [{ worker: workerId }, { "crew.worker": workerId }],
+});
+
+/**
+ * Populate the sections of a task. Sections are embedded in the site, so
+ * mongoose populate cannot reach them: the task's site must be populated
+ * with "sections" instead. IDs the site no longer has come back with a null
+ * name and missing: true. site.sections is dropped from the result.
+ * @param {Object} task - Plain task object with a populated site
+ * @returns {Object} - The task with sections: [{ _id, name, area, status }]
+ */
+export const populateTaskSections = (task) => {
+  const siteSections = task.site?.sections || [];
+  const byId = new Map(siteSections.map((s) => [s._id.toString(), s]));
+
+  const sections = (task.sections || []).map((id) => {
+    const section = byId.get(id.toString());
+    return section
+      ? {
+          _id: section._id,
+          name: section.name,
+          area: section.area,
+          status: section.status,
+        }
+      : { _id: id, name: null, missing: true };
+  });
+
+  if (!task.site?.sections) return { ...task, sections };
+
+  const { sections: omitted, ...site } = task.site;
+  return { ...task, site, sections };
+};
+
+/**
+ * Run the side effects of a task status change: cost calculation and
+ * completion counters, and the last task status shown on every section of
+ * the site.
+ * @param {Object} task - Task document (after the change)
+ * @param {String} status - New status
+ */
+export const applyStatusSideEffects = async (task, status) => {
+  if (status === "completed") {
+    // ✅ Labor and material cost from worker rates / inventory unit costs
+    await applyTaskCost(task);
+
+    await Client.findByIdAndUpdate(task.client, {
+      $inc: { completedTasks: 1 },
+    });
+
+    if (task.worker) {
+      await User.findByIdAndUpdate(task.worker, {
+        $inc: { "workerDetails.completedTasks": 1 },
+      });
+    }
+
+    if (task.site) {
+      await Site.findByIdAndUpdate(task.site, {
+        $inc: { completedTasks: 1 },
+        lastVisit: new Date(),
+      });
+    }
+  }
+
+  if (task.site && task.sections && task.sections.length > 0) {
+    const site = await Site.findById(task.site);
+    if (site) {
+      for (const sectionId of task.sections) {
+        await site.updateSectionLastTask(sectionId, status, task._id);
+      }
+    }
+  }
+};
+
+/**
+ * Check a worker's position against the geofence of the task's site.
+ * Depending on Settings.geofence.enforcement the result is ignored ("off"),
+ * only recorded on the task ("flag") or rejects the action ("block").
+ * @param {Object} task - Task document
+ * @param {Number|String} latitude
+ * @param {Number|String} longitude
+ * @returns {Object} - { blocked, message, location, geofence }
+ *   location is the startLocation/endLocation payload (null without coordinates)
+ */
+export const checkTaskLocation = async (task, latitude, longitude) => {
+  const point =
+    latitude !== undefined && longitude !== undefined
+      ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+      : null;
+  const location = hasCoordinates(point)
+    ? { coordinates: point, timestamp: new Date() }
+    : null;
+
+  const settings = await Settings.getSettings();
+  const { enforcement, defaultRadius } = settings.geofence;
+
+  if (enforcement === "off") {
+    return { blocked: false, location, geofence: null };
+  }
+
+  const site = await Site.findById(task.site).select(
+    "location boundary geofence"
+  );
+  const siteHasGeofence =
+    hasCoordinates(site?.location?.coordinates) ||
+    Boolean(site?.boundary) ||
+    site?.geofence?.polygon?.length >= 3;
+
+  if (!siteHasGeofence) {
+    return { blocked: false, location, geofence: null };
+  }
+
+  if (!location) {
+    return {
+      blocked: enforcement === "block",
+      message: "Your location is required to verify you are on site",
+      location: null,
+      geofence: null,
+    };
+  }
+
+  const geofence = checkGeofence(site, point, defaultRadius);
+  location.distanceFromSite = geofence.distance;
+  location.outsideGeofence = !geofence.inside;
+
+  if (!geofence.inside && enforcement === "block") {
+    return {
+      blocked: true,
+      message:
+        geofence.distance !== null
+          ? `You are ${geofence.distance} m away from the site`
+          : "You are outside the site boundary",
+      location,
+      geofence,
+    };
+  }
+
+  return { blocked: false, location, geofence };
+};
+
+export default {
+  snapshotReferenceImages,
+  buildChecklist,
+  prepareTask,
+  validateTaskLinks,
+  getOpenPrerequisites,
+  crewFilter,
+  populateTaskSections,
+  applyStatusSideEffects,
+  checkTaskLocation,
+};
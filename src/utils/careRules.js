@@ -0,0 +1,202 @@
+// backend/src/utils/careRules.js
+/**
+ * Care rules of catalog plants: how often each care action is needed and
+ * in which months. Plant.careSchedule entries win; actions without one are
+ * derived from the catalog fields:
+ *   watering    - frequency written in careInstructions.watering
+ *                 ("daily", "twice a week", "every 3 days", ...)
+ *   fertilizing - growthRate, during the plant's seasons
+ *   pruning     - growthRate, during the plant's seasons (woody and
+ *                 flowering plants)
+ *   mowing      - growthRate, during the plant's seasons (grass)
+ * Pest control is only suggested from an explicit careSchedule entry.
+ */
+
+export const CARE_ACTIONS = [
+  "watering",
+  "fertilizing",
+  "pruning",
+  "mowing",
+  "pest-control",
+];
+
+// Task category used for the tasks of each action (completed tasks of the
+// category also count as the action being done, unless the category is
+// shared with other work)
+export const CARE_TASK_CATEGORIES = {
+  watering: "irrigation",
+  fertilizing: "landscaping",
+  pruning: "tree-trimming",
+  mowing: "lawn-mowing",
+  "pest-control": "pest-control",
+};
+
+// Categories that also cover work other than care (e.g. laying a path):
+// only their tasks with a careAction count as care done
+export const SHARED_CARE_CATEGORIES = ["landscaping"];
+
+// Days between visits by growth rate
+const GROWTH_INTERVALS = {
+  fertilizing: { fast: 30, moderate: 60, slow: 90 },
+  pruning: { fast: 60, moderate: 120, slow: 180 },
+  mowing: { fast: 7, moderate: 10, slow: 14 },
+};
+
+const PRUNED_CATEGORIES = ["tree", "shrub", "flower", "herb", "fruit"];
+
+// Northern hemisphere seasons (1 = January)
+const SEASON_MONTHS = {
+  spring: [3, 4, 5],
+  summer: [6, 7, 8],
+  fall: [9, 10, 11],
+  winter: [12, 1, 2],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Months of a plant's seasons (empty = all year)
+ */
+export const seasonMonths = (seasonality = []) => {
+  if (seasonality.length === 0 || seasonality.includes("year-round")) {
+    return [];
+  }
+  return [...new Set(seasonality.flatMap((s) => SEASON_MONTHS[s] || []))].sort(
+    (a, b) => a - b
+  );
+};
+
+/**
+ * Read a watering frequency from free text
+ * @returns {Number|null} - Days between waterings
+ */
+export const parseWateringInterval = (text) => {
+  const value = String(text || "").toLowerCase();
+  if (!value) return null;
+
+  let match;
+  if (/every other day/.test(value)) return 2;
+  if (/daily|every day|once a day/.test(value)) return 1;
+  if (/twice (a|per) week/.test(value)) return 3;
+  if ((match = value.match(/(\d+) times? (a|per) week/))) {
+    return Math.max(Math.round(7 / Number(match[1])), 1);
+  }
+  if ((match = value.match(/every (\d+) days?/))) return Number(match[1]);
+  if ((match = value.match(/every (\d+) weeks?/))) return Number(match[1]) * 7;
+  if (/biweekly|every other week|fortnight/.test(value)) return 14;
+  if (/weekly|once a week/.test(value)) return 7;
+  if (/monthly|once a month/.test(value)) return 30;
+  return null;
+};
+
+/**
+ * Care rules of a catalog plant
+ * @param {Object} plant - Plant (careSchedule, careInstructions,
+ *   growthRate, seasonality, category)
+ * @returns {Array} - [{ action, everyDays, months, source }] where source
+ *   is "schedule" or "derived"
+ */
+export const resolveCareRules = (plant) => {
+  const rules = new Map();
+  const months = seasonMonths(plant.seasonality);
+  const growthRate = plant.growthRate || "moderate";
+
+  const watering = parseWateringInterval(plant.careInstructions?.watering);
+  if (watering) {
+    rules.set("watering", { everyDays: watering, months: [] });
+  }
+  rules.set("fertilizing", {
+    everyDays: GROWTH_INTERVALS.fertilizing[growthRate],
+    months,
+  });
+  if (PRUNED_CATEGORIES.includes(plant.category)) {
+    rules.set("pruning", {
+      everyDays: GROWTH_INTERVALS.pruning[growthRate],
+      months,
+    });
+  }
+  if (plant.category === "grass") {
+    rules.set("mowing", {
+      everyDays: GROWTH_INTERVALS.mowing[growthRate],
+      months,
+    });
+  }
+
+  const result = [...rules].map(([action, rule]) => ({
+    action,
+    ...rule,
+    source: "derived",
+  }));
+
+  // Explicit schedule entries replace the derived rule of their action
+  (plant.careSchedule || []).forEach((entry) => {
+    const index = result.findIndex((rule) => rule.action === entry.action);
+    const rule = {
+      action: entry.action,
+      everyDays: entry.everyDays,
+      months: [...(entry.months || [])].sort((a, b) => a - b),
+      source: "schedule",
+    };
+    if (index === -1) result.push(rule);
+    else result[index] = rule;
+  });
+
+  return result;
+};
+
+/**
+ * Merge the rules of the plants sharing a section: the shortest interval
+ * wins and the months are combined (all year if any plant needs it)
+ * @param {Array} rules - Rules of one action
+ * @returns {Object} - { everyDays, months }
+ */
+export const mergeCareRules = (rules) => ({
+  everyDays: Math.min(...rules.map((rule) => rule.everyDays)),
+  months: rules.some((rule) => rule.months.length === 0)
+    ? []
+    : [...new Set(rules.flatMap((rule) => rule.months))].sort((a, b) => a - b),
+});
+
+/**
+ * Start of the first allowed month on or after a date
+ */
+const nextAllowedDate = (date, months) => {
+  if (months.length === 0 || months.includes(date.getMonth() + 1)) {
+    return date;
+  }
+  const next = new Date(date.getFullYear(), date.getMonth(), 1);
+  for (let i = 0; i < 12; i++) {
+    next.setMonth(next.getMonth() + 1);
+    if (months.includes(next.getMonth() + 1)) return next;
+  }
+  return date;
+};
+
+/**
+ * When a care action is next due
+ * @param {Object} rule - { everyDays, months }
+ * @param {Date} lastDone - Last time it was done (null if never)
+ * @param {Date} now
+ * @returns {Date} - May be in the past (overdue)
+ */
+export const nextCareDate = (rule, lastDone, now = new Date()) => {
+  const due = lastDone
+    ? new Date(new Date(lastDone).getTime() + rule.everyDays * DAY_MS)
+    : now;
+  // Out of season: wait for the next allowed month (overdue work from the
+  // previous season is not carried over)
+  if (rule.months.length > 0 && !rule.months.includes(due.getMonth() + 1)) {
+    return nextAllowedDate(due < now ? now : due, rule.months);
+  }
+  return due;
+};
+
+export default {
+  CARE_ACTIONS,
+  CARE_TASK_CATEGORIES,
+  seasonMonths,
+  parseWateringInterval,
+  resolveCareRules,
+  mergeCareRules,
+  nextCareDate,
+};
@@ -2,7 +2,9 @@ import cron from "node-cron";
 import {
   deleteOldTaskMedia,
   deleteOldTasks,
+  checkOverdueTasks,
 } from "../controllers/taskController.js";
+import { generateRecurringTasks } from "../controllers/taskRecurrenceController.js";
 // Schedule daily at midnight for deleting old task media
 cron.schedule("0 0 * * *", async () => {
   console.log("Running cron job to delete old task media");
@@ -13,3 +15,13 @@ cron.schedule("0 1 * * *", async () => {
   console.log("Running cron job to delete old tasks");
   await deleteOldTasks();
 });
+// Schedule every day at 2 AM for generating tasks from recurring schedules
+cron.schedule("0 2 * * *", async () => {
+  console.log("Running cron job to generate recurring tasks");
+  await generateRecurringTasks();
+});
+// Schedule every hour for flagging and escalating overdue tasks
+cron.schedule("15 * * * *", async () => {
+  console.log("Running cron job to check overdue tasks");
+  await checkOverdueTasks();
+});
@@ -0,0 +1,93 @@
+// backend/src/utils/csv.js
+
+/**
+ * Split CSV text into rows of raw cell values (RFC 4180 quoting)
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {String} text - CSV content
+ * @returns {Array} - [{ column: value, ... }, ...]
+ */
+export const parseCsv = (text) => {
+  const rows = parseRows(String(text).replace(/^\uFEFF/, ""));
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map((h) => h.trim());
+  return rows.slice(1).map((cells) =>
+    headers.reduce((obj, header, i) => {
+      if (header) obj[header] = (cells[i] || "").trim();
+      return obj;
+    }, {})
+  );
+};
+
+/**
+ * Quote a value for CSV output when needed
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Build CSV text from objects
+ * @param {Array} rows - Objects to export
+ * @param {Array} columns - [{ key, label }] in column order
+ * @returns {String}
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map((c) => escapeCell(c.label || c.key)).join(",")];
+  rows.forEach((row) => {
+    lines.push(columns.map((c) => escapeCell(row[c.key])).join(","));
+  });
+  return lines.join("\r\n");
+};
+
+export default {
+  parseCsv,
+  toCsv,
+};
@@ -0,0 +1,64 @@
+// backend/src/utils/dates.js
+
+/**
+ * Parse a date query value. Plain "YYYY-MM-DD" strings are read as local
+ * dates (new Date("YYYY-MM-DD") would be UTC midnight).
+ * @param {String|Date} value
+ * @returns {Date|null} - null when the value is not a valid date
+ */
+export const parseDate = (value) => {
+  if (!value) return null;
+  const date =
+    typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(`${value}T00:00:00`)
+      : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Get the start and end of the calendar day containing a date
+ * @param {String|Date} value - Defaults to today
+ * @returns {Object} - { start, end } or null for an invalid date
+ */
+export const getDayRange = (value = new Date()) => {
+  const date = parseDate(value);
+  if (!date) return null;
+
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  end.setMilliseconds(-1);
+
+  return { start, end };
+};
+
+/**
+ * Format a date as local "YYYY-MM-DD"
+ */
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Get the first day (local midnight) of the week containing a date
+ * @param {Date} date
+ * @param {Number} weekStartsOn - 0 = Sunday ... 6 = Saturday
+ */
+export const getWeekStart = (date, weekStartsOn = 0) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const diff = (start.getDay() - weekStartsOn + 7) % 7;
+  start.setDate(start.getDate() - diff);
+  return start;
+};
+
+export default {
+  parseDate,
+  getDayRange,
+  toDateKey,
+  getWeekStart,
+};
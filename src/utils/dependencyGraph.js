@@ -0,0 +1,124 @@
+// backend/src/utils/dependencyGraph.js
+
+// Statuses where the work of a task is done (it only waits for review)
+const FINISHED_STATUSES = ["review", "completed"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Project when each task of a dependency graph starts and finishes, and
+ * find the critical path (the chain of tasks that decides the end date).
+ *
+ * A task starts once all its prerequisites are finished, never before its
+ * scheduled date and never in the past. Its remaining work is the
+ * estimated duration minus the hours already worked; a working day holds
+ * `hoursPerDay` hours, so 12 hours of work take a day and a half.
+ * Prerequisites that are not in `tasks` are ignored.
+ *
+ * @param {Array} tasks - [{ _id, status, dependsOn, estimatedDuration,
+ *   actualDuration, scheduledDate, startedAt, completedAt }]
+ * @param {Object} options - { now, hoursPerDay }
+ * @returns {Object} - { nodes, criticalPath, projectedCompletion, cycle }
+ *   nodes: [{ task, remainingHours, projectedStart, projectedFinish,
+ *   critical }] in dependency order; cycle lists tasks that could not be
+ *   ordered (empty for a valid graph)
+ */
+export const planDependencies = (
+  tasks,
+  { now = new Date(), hoursPerDay = 8 } = {}
+) => {
+  const byId = new Map(tasks.map((t) => [t._id.toString(), t]));
+  const prerequisites = new Map(
+    tasks.map((t) => [
+      t._id.toString(),
+      (t.dependsOn || []).map(String).filter((id) => byId.has(id)),
+    ])
+  );
+
+  // Topological order (Kahn)
+  const pending = new Map(
+    [...prerequisites].map(([id, deps]) => [id, deps.length])
+  );
+  const ready = [...pending].filter(([, n]) => n === 0).map(([id]) => id);
+  const order = [];
+  while (ready.length > 0) {
+    const id = ready.shift();
+    order.push(id);
+    for (const [other, deps] of prerequisites) {
+      if (deps.includes(id)) {
+        pending.set(other, pending.get(other) - 1);
+        if (pending.get(other) === 0) ready.push(other);
+      }
+    }
+  }
+  const cycle = [...byId.keys()].filter((id) => !order.includes(id));
+
+  // Forward pass; `driver` is the prerequisite that delays the start
+  const schedule = new Map();
+  for (const id of order) {
+    const task = byId.get(id);
+
+    if (FINISHED_STATUSES.includes(task.status)) {
+      const finish = task.completedAt ? new Date(task.completedAt) : now;
+      schedule.set(id, {
+        remainingHours: 0,
+        start: task.startedAt ? new Date(task.startedAt) : finish,
+        finish,
+        driver: null,
+      });
+      continue;
+    }
+
+    let start = now;
+    if (task.scheduledDate && new Date(task.scheduledDate) > start) {
+      start = new Date(task.scheduledDate);
+    }
+    let driver = null;
+    for (const dep of prerequisites.get(id)) {
+      const depFinish = schedule.get(dep).finish;
+      if (depFinish > start) {
+        start = depFinish;
+        driver = dep;
+      }
+    }
+
+    const remainingHours = Math.max(
+      (task.estimatedDuration || 0) - (task.actualDuration || 0),
+      0
+    );
+    const finish = new Date(
+      start.getTime() + (remainingHours / hoursPerDay) * 24 * HOUR_MS
+    );
+    schedule.set(id, { remainingHours, start, finish, driver });
+  }
+
+  // Critical path: walk back from the task that finishes last
+  let last = null;
+  for (const [id, entry] of schedule) {
+    if (!last || entry.finish > schedule.get(last).finish) last = id;
+  }
+  const criticalPath = [];
+  for (let id = last; id; id = schedule.get(id).driver) {
+    criticalPath.unshift(id);
+  }
+
+  return {
+    nodes: order.map((id) => {
+      const entry = schedule.get(id);
+      return {
+        task: byId.get(id),
+        remainingHours: Math.round(entry.remainingHours * 100) / 100,
+        projectedStart: entry.start,
+        projectedFinish: entry.finish,
+        critical: criticalPath.includes(id),
+      };
+    }),
+    criticalPath,
+    projectedCompletion: last ? schedule.get(last).finish : null,
+    cycle,
+  };
+};
+
+export default {
+  planDependencies,
+};
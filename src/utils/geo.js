@@ -0,0 +1,282 @@
+// backend/src/utils/geo.js
+const EARTH_RADIUS_M = 6371000;
+// Equatorial radius used for polygon areas (same as GeoJSON tooling)
+const WGS84_RADIUS_M = 6378137;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Check that a { latitude, longitude } object holds usable numbers
+ */
+export const hasCoordinates = (point) =>
+  !!point &&
+  point.latitude != null &&
+  point.longitude != null &&
+  Number.isFinite(Number(point.latitude)) &&
+  Number.isFinite(Number(point.longitude));
+
+/**
+ * Great-circle (haversine) distance between two points
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {Number} - Distance in meters
+ */
+export const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Ray-casting point-in-polygon test (fine for site-sized polygons)
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} polygon - [{ latitude, longitude }, ...]
+ * @returns {Boolean}
+ */
+export const isPointInPolygon = (point, polygon = []) => {
+  if (polygon.length < 3) return false;
+
+  const x = point.longitude;
+  const y = point.latitude;
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].longitude;
+    const yi = polygon[i].latitude;
+    const xj = polygon[j].longitude;
+    const yj = polygon[j].latitude;
+
+    const intersects =
+      yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+};
+
+/**
+ * GeoJSON Point of a { latitude, longitude } object
+ * @returns {Object|undefined} - undefined without usable coordinates
+ */
+export const toGeoPoint = (point) =>
+  hasCoordinates(point)
+    ? {
+        type: "Point",
+        coordinates: [Number(point.longitude), Number(point.latitude)],
+      }
+    : undefined;
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) &&
+  Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+/**
+ * Normalize a boundary to a GeoJSON Polygon. Accepts a Polygon geometry,
+ * a Feature holding one, its JSON text, or a [{ latitude, longitude }] ring
+ * like the geofence polygon. Open rings are closed.
+ * @returns {Object} - { polygon } or { error }
+ */
+export const parseBoundary = (input) => {
+  let value = input;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return { error: "Boundary is not valid JSON" };
+    }
+  }
+  if (value?.type === "Feature") value = value.geometry;
+
+  let rings;
+  if (Array.isArray(value)) {
+    rings = [value.map((p) => [Number(p?.longitude), Number(p?.latitude)])];
+  } else if (value?.type === "Polygon" && Array.isArray(value.coordinates)) {
+    rings = value.coordinates;
+  } else {
+    return { error: "Boundary must be a GeoJSON Polygon" };
+  }
+
+  if (rings.length === 0) {
+    return { error: "Boundary must have an outer ring" };
+  }
+
+  const coordinates = [];
+  for (const ring of rings) {
+    if (!Array.isArray(ring) || !ring.every(isPosition)) {
+      return {
+        error: "Boundary positions must be [longitude, latitude] pairs",
+      };
+    }
+    const positions = ring.map(([lng, lat]) => [lng, lat]);
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+      positions.push([...first]);
+    }
+    if (positions.length < 4) {
+      return { error: "Boundary rings need at least 3 distinct points" };
+    }
+    coordinates.push(positions);
+  }
+
+  return { polygon: { type: "Polygon", coordinates } };
+};
+
+/**
+ * Outer ring of a GeoJSON Polygon as [{ latitude, longitude }] points, the
+ * geofence polygon format (without the closing point)
+ */
+export const boundaryToPoints = (polygon) =>
+  (polygon?.coordinates?.[0] || [])
+    .slice(0, -1)
+    .map(([longitude, latitude]) => ({ latitude, longitude }));
+
+/**
+ * Area enclosed by a closed ring of [longitude, latitude] positions
+ * (spherical approximation, accurate to well under 1% at site scale)
+ */
+const ringArea = (ring) => {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total +=
+      toRadians(lng2 - lng1) *
+      (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs((total * WGS84_RADIUS_M ** 2) / 2);
+};
+
+/**
+ * Area of a GeoJSON Polygon (outer ring minus its holes)
+ * @returns {Number} - Square meters
+ */
+export const polygonArea = (polygon) => {
+  const [outer, ...holes] = polygon?.coordinates || [];
+  if (!outer) return 0;
+
+  const area = holes.reduce(
+    (sum, hole) => sum - ringArea(hole),
+    ringArea(outer)
+  );
+  return Math.round(Math.max(area, 0) * 100) / 100;
+};
+
+/**
+ * Average of the outer ring points of a GeoJSON Polygon
+ * @returns {Object|null} - { latitude, longitude }
+ */
+export const polygonCenter = (polygon) => {
+  const outer = (polygon?.coordinates?.[0] || []).slice(0, -1);
+  if (outer.length === 0) return null;
+
+  return {
+    latitude: outer.reduce((sum, [, lat]) => sum + lat, 0) / outer.length,
+    longitude: outer.reduce((sum, [lng]) => sum + lng, 0) / outer.length,
+  };
+};
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box (GeoJSON bbox order)
+ * @returns {Object} - { polygon } or { error }
+ */
+export const parseBoundingBox = (value) => {
+  const parts = String(value || "")
+    .split(",")
+    .map((part) => Number(part.trim()));
+  const [minLng, minLat, maxLng, maxLat] = parts;
+
+  if (
+    parts.length !== 4 ||
+    !isPosition([minLng, minLat]) ||
+    !isPosition([maxLng, maxLat]) ||
+    minLng >= maxLng ||
+    minLat >= maxLat
+  ) {
+    return { error: "bbox must be minLng,minLat,maxLng,maxLat" };
+  }
+  // Larger boxes would be read as the other side of the globe
+  if (maxLng - minLng >= 180) {
+    return { error: "Bounding box must span less than 180 degrees" };
+  }
+
+  return {
+    polygon: {
+      type: "Polygon",
+      coordinates: [
+        [
+          [minLng, minLat],
+          [maxLng, minLat],
+          [maxLng, maxLat],
+          [minLng, maxLat],
+          [minLng, minLat],
+        ],
+      ],
+    },
+  };
+};
+
+/**
+ * Check a point against a site geofence.
+ * A polygon takes precedence over the radius around the site coordinates.
+ * The site boundary is the polygon; geofence.polygon only counts for sites
+ * without one.
+ * @param {Object} site - Site document (location.coordinates, boundary,
+ *   geofence)
+ * @param {Object} point - { latitude, longitude }
+ * @param {Number} defaultRadius - Radius in meters when the site has none
+ * @returns {Object|null} - { inside, distance, method, radius } or null if the site has no location
+ */
+export const checkGeofence = (site, point, defaultRadius = 200) => {
+  const center = site?.location?.coordinates;
+  const polygon = site?.boundary
+    ? boundaryToPoints(site.boundary)
+    : site?.geofence?.polygon || [];
+
+  if (!hasCoordinates(center) && polygon.length < 3) return null;
+
+  const distance = hasCoordinates(center)
+    ? Math.round(haversineDistance(center, point))
+    : null;
+
+  if (polygon.length >= 3) {
+    return {
+      inside: isPointInPolygon(point, polygon),
+      distance,
+      method: "polygon",
+      radius: null,
+    };
+  }
+
+  const radius = site.geofence?.radius || defaultRadius;
+  return {
+    inside: distance <= radius,
+    distance,
+    method: "radius",
+    radius,
+  };
+};
+
+export default {
+  hasCoordinates,
+  haversineDistance,
+  isPointInPolygon,
+  checkGeofence,
+  toGeoPoint,
+  parseBoundary,
+  boundaryToPoints,
+  polygonArea,
+  polygonCenter,
+  parseBoundingBox,
+};
@@ -0,0 +1,123 @@
+// backend/src/utils/ical.js
+/**
+ * Minimal iCalendar (RFC 5545) writer for the task calendar feeds.
+ */
+
+// Task fields shown in a calendar event; changing one bumps
+// Task.calendarSequence so subscribers replace their copy
+export const CALENDAR_FIELDS = [
+  "title",
+  "scheduledDate",
+  "estimatedDuration",
+  "site",
+];
+
+const UID_DOMAIN = "garden-management";
+
+/**
+ * Stable event UID of a task (the same across reschedules)
+ */
+export const taskEventUid = (taskId) => `task-${taskId}@${UID_DOMAIN}`;
+
+/**
+ * Format a date as UTC date-time ("20260131T083000Z")
+ */
+export const formatICalDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+export const escapeICalText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line to 75 octets, continuation lines start with a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Build a VEVENT
+ * @param {Object} event - { uid, sequence, start, end, summary, description,
+ *   location, geo: { latitude, longitude }, status, updatedAt }
+ *   status: TENTATIVE | CONFIRMED | CANCELLED
+ * @returns {Array} - Content lines
+ */
+const buildEvent = (event) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatICalDate(event.updatedAt || new Date())}`,
+    `DTSTART:${formatICalDate(event.start)}`,
+    `DTEND:${formatICalDate(event.end)}`,
+    `SUMMARY:${escapeICalText(event.summary)}`,
+  ];
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeICalText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeICalText(event.location)}`);
+  }
+  if (
+    event.geo &&
+    typeof event.geo.latitude === "number" &&
+    typeof event.geo.longitude === "number"
+  ) {
+    lines.push(`GEO:${event.geo.latitude};${event.geo.longitude}`);
+  }
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatICalDate(event.updatedAt)}`);
+  }
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} calendar - { name, events }
+ * @returns {String} - iCalendar text with CRLF line endings
+ */
+export const buildCalendar = ({ name, events = [] }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Garden Management//Task Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeICalText(name)}`,
+    ...events.flatMap(buildEvent),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+export default {
+  CALENDAR_FIELDS,
+  taskEventUid,
+  formatICalDate,
+  escapeICalText,
+  buildCalendar,
+};
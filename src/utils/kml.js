@@ -0,0 +1,135 @@
+// backend/src/utils/kml.js
+/**
+ * Minimal KML reader/writer for site and section boundaries (Placemarks
+ * holding a Polygon, converted from and to GeoJSON Features).
+ */
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const unescapeXml = (value) =>
+  value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+
+// Contents of every <tag> element (any namespace prefix)
+const allTags = (xml, tag) =>
+  [
+    ...xml.matchAll(
+      new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, "g")
+    ),
+  ].map((match) => match[1]);
+
+const firstTag = (xml, tag) => allTags(xml, tag)[0] ?? null;
+
+// "lng,lat[,alt] lng,lat[,alt] ..." => [[lng, lat], ...]
+const parseCoordinates = (text) =>
+  text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple) => tuple.split(",").slice(0, 2).map(Number));
+
+/**
+ * Read the Placemarks of a KML document as GeoJSON Features. The name and
+ * ExtendedData become properties; Placemarks without a Polygon get a null
+ * geometry (the first Polygon of a MultiGeometry is used).
+ * @param {String} text - KML document
+ * @returns {Array} - [{ type: "Feature", properties, geometry }]
+ */
+export const parseKml = (text) =>
+  allTags(text, "Placemark").map((placemark) => {
+    const properties = {};
+    const name = firstTag(placemark, "name");
+    if (name !== null) properties.name = unescapeXml(name);
+
+    for (const match of placemark.matchAll(
+      /<Data\s+name="([^"]*)"[^>]*>[\s\S]*?<value>([\s\S]*?)<\/value>[\s\S]*?<\/Data>/g
+    )) {
+      properties[match[1]] = unescapeXml(match[2]);
+    }
+
+    const polygon = firstTag(placemark, "Polygon");
+    const outer = polygon
+      ? firstTag(firstTag(polygon, "outerBoundaryIs") || "", "coordinates")
+      : null;
+    if (!outer) return { type: "Feature", properties, geometry: null };
+
+    const holes = allTags(polygon, "innerBoundaryIs")
+      .map((boundary) => firstTag(boundary, "coordinates"))
+      .filter(Boolean);
+
+    return {
+      type: "Feature",
+      properties,
+      geometry: {
+        type: "Polygon",
+        coordinates: [outer, ...holes].map(parseCoordinates),
+      },
+    };
+  });
+
+const ringXml = (ring) =>
+  `<LinearRing><coordinates>${ring
+    .map(([lng, lat]) => `${lng},${lat}`)
+    .join(" ")}</coordinates></LinearRing>`;
+
+/**
+ * Build a KML document from GeoJSON Polygon Features. properties.name is
+ * the Placemark name, the other properties go to ExtendedData.
+ * @param {Object} document - { name, features }
+ * @returns {String} - KML text
+ */
+export const buildKml = ({ name, features = [] }) => {
+  const placemarks = features
+    .filter((feature) => feature.geometry?.type === "Polygon")
+    .map((feature) => {
+      const { name: featureName, ...data } = feature.properties || {};
+      const [outer, ...holes] = feature.geometry.coordinates;
+
+      return [
+        "    <Placemark>",
+        `      <name>${escapeXml(featureName)}</name>`,
+        "      <ExtendedData>",
+        ...Object.entries(data)
+          .filter(([, value]) => value != null)
+          .map(
+            ([key, value]) =>
+              `        <Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`
+          ),
+        "      </ExtendedData>",
+        "      <Polygon>",
+        `        <outerBoundaryIs>${ringXml(outer)}</outerBoundaryIs>`,
+        ...holes.map(
+          (hole) => `        <innerBoundaryIs>${ringXml(hole)}</innerBoundaryIs>`
+        ),
+        "      </Polygon>",
+        "    </Placemark>",
+      ].join("\n");
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(name)}</name>`,
+    ...placemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+};
+
+export default {
+  parseKml,
+  buildKml,
+};
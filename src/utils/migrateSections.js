@@ -0,0 +1,199 @@
+// backend/src/utils/migrateSections.js
+//
+// Moves documents of the old standalone "sections" collection into the
+// sections embedded in their site (Site.sections, the only section store).
+//
+//   node src/utils/migrateSections.js [--dry-run] [--drop]
+//
+// - A section whose _id is already embedded in its site is left alone.
+// - A section with the same name as an embedded one is merged into it:
+//   references to the old ID (task sections, checklists, reference images,
+//   recurring schedules, plantings) are pointed at the embedded section.
+// - Any other section is embedded with its own _id, so the IDs stored in
+//   Task.sections keep working.
+// Then every task is checked for section IDs its site does not have.
+// --drop removes the old collection once nothing was left behind.
+// Running it again is safe.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Site from "../models/Site.js";
+import Task from "../models/Task.js";
+import TaskRecurrence from "../models/TaskRecurrence.js";
+import SitePlant from "../models/SitePlant.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+const drop = process.argv.includes("--drop");
+
+// Section fields kept when embedding (the rest, e.g. site, is implied)
+const SECTION_FIELDS = [
+  "name",
+  "description",
+  "area",
+  "referenceImages",
+  "status",
+  "lastWorkedOn",
+  "notes",
+  "lastTaskStatus",
+  "lastTaskDate",
+  "lastTaskId",
+];
+
+const sameName = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+/**
+ * Point every reference to section `fromId` of a site at `toId`
+ */
+const repointReferences = async (siteId, fromId, toId) => {
+  const results = await Promise.all([
+    Task.updateMany(
+      { site: siteId, sections: fromId },
+      { $set: { "sections.$[s]": toId } },
+      { arrayFilters: [{ s: fromId }] }
+    ),
+    Task.updateMany(
+      { site: siteId, "checklist.section": fromId },
+      { $set: { "checklist.$[c].section": toId } },
+      { arrayFilters: [{ "c.section": fromId }] }
+    ),
+    Task.updateMany(
+      { site: siteId, "referenceImages.originalSectionId": fromId },
+      { $set: { "referenceImages.$[r].originalSectionId": toId } },
+      { arrayFilters: [{ "r.originalSectionId": fromId }] }
+    ),
+    TaskRecurrence.updateMany(
+      { site: siteId, sections: fromId },
+      { $set: { "sections.$[s]": toId } },
+      { arrayFilters: [{ s: fromId }] }
+    ),
+    SitePlant.updateMany({ site: siteId, section: fromId }, { section: toId }),
+  ]);
+  return results.reduce((sum, r) => sum + r.modifiedCount, 0);
+};
+
+/**
+ * Task section IDs that are not sections of the task's site
+ * @returns {Promise<Array>} - [{ task, site, sections }]
+ */
+const findDanglingReferences = async () => {
+  const sites = await Site.find().select("sections._id").lean();
+  const sectionsBySite = new Map(
+    sites.map((site) => [
+      site._id.toString(),
+      new Set(site.sections.map((s) => s._id.toString())),
+    ])
+  );
+
+  const dangling = [];
+  const cursor = Task.find().select("site sections").lean().cursor();
+  for await (const task of cursor) {
+    const known = sectionsBySite.get(task.site?.toString()) || new Set();
+    const missing = task.sections.filter((id) => !known.has(id.toString()));
+    if (missing.length > 0) {
+      dangling.push({ task: task._id, site: task.site, sections: missing });
+    }
+  }
+  return dangling;
+};
+
+const migrateSections = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("✅ MongoDB Connected");
+    if (dryRun) console.log("🔎 Dry run: nothing is written");
+
+    const collections = await mongoose.connection.db
+      .listCollections({ name: "sections" })
+      .toArray();
+    const legacy =
+      collections.length > 0
+        ? await mongoose.connection.db.collection("sections").find().toArray()
+        : [];
+    console.log(`📦 ${legacy.length} standalone section(s) found`);
+
+    const summary = { embedded: 0, merged: 0, alreadyEmbedded: 0, orphaned: 0 };
+    const orphans = [];
+
+    for (const doc of legacy) {
+      const site = doc.site ? await Site.findById(doc.site) : null;
+      if (!site) {
+        summary.orphaned++;
+        orphans.push(doc._id);
+        continue;
+      }
+
+      if (site.sections.id(doc._id)) {
+        summary.alreadyEmbedded++;
+        continue;
+      }
+
+      const existing = site.sections.find((s) => sameName(s.name, doc.name));
+      if (existing) {
+        // Keep the embedded section; carry over images it does not have
+        const urls = new Set(existing.referenceImages.map((img) => img.url));
+        (doc.referenceImages || [])
+          .filter((img) => !urls.has(img.url))
+          .forEach((img) => existing.referenceImages.push(img));
+
+        if (!dryRun) {
+          await site.save();
+          const repointed = await repointReferences(
+            site._id,
+            doc._id,
+            existing._id
+          );
+          console.log(
+            `🔀 "${doc.name}" merged into ${existing._id} (${repointed} document(s) re-pointed)`
+          );
+        }
+        summary.merged++;
+        continue;
+      }
+
+      const section = { _id: doc._id };
+      SECTION_FIELDS.forEach((field) => {
+        if (doc[field] !== undefined) section[field] = doc[field];
+      });
+      site.sections.push(section);
+      if (!dryRun) await site.save();
+      summary.embedded++;
+    }
+
+    console.log("📊 Sections:", summary);
+    if (orphans.length > 0) {
+      console.log("⚠️  Sections without a site (left in place):", orphans);
+    }
+
+    const dangling = await findDanglingReferences();
+    if (dangling.length > 0) {
+      console.log(
+        `⚠️  ${dangling.length} task(s) reference sections their site does not have` +
+          (dryRun ? " (the real run may resolve some)" : "")
+      );
+      dangling.slice(0, 20).forEach((d) => {
+        console.log(`   task ${d.task}: ${d.sections.join(", ")}`);
+      });
+    } else {
+      console.log("✅ Every task section reference resolves");
+    }
+
+    if (drop && !dryRun && legacy.length > 0) {
+      if (orphans.length > 0) {
+        console.log("⏭️  Not dropping the collection: orphaned sections remain");
+      } else {
+        await mongoose.connection.db.collection("sections").drop();
+        console.log("🗑️  Standalone sections collection dropped");
+      }
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Section migration error:", error);
+    process.exit(1);
+  }
+};
+
+migrateSections();
@@ -0,0 +1,23 @@
+// backend/src/utils/placeholders.js
+
+/**
+ * Replace {{path.to.value}} placeholders with values from a context object.
+ * Unknown placeholders are replaced with an empty string.
+ * @param {String} text - e.g. "Mowing at {{site.name}} - {{section.name}}"
+ * @param {Object} context - e.g. { site: { name: "Villa 12" }, section: { name: "Front lawn" } }
+ * @returns {String}
+ */
+export const renderPlaceholders = (text, context = {}) => {
+  if (!text) return text;
+
+  return text.replace(/{{\s*([\w.]+)\s*}}/g, (match, path) => {
+    const value = path
+      .split(".")
+      .reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+    return value == null ? "" : String(value);
+  });
+};
+
+export default {
+  renderPlaceholders,
+};
@@ -0,0 +1,125 @@
+// backend/src/utils/recurrence.js
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety cap so a bad rule can never loop forever (~10 years of days)
+const MAX_SCAN_DAYS = 3660;
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const daysBetween = (from, to) =>
+  Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+const monthsBetween = (from, to) =>
+  (to.getFullYear() - from.getFullYear()) * 12 +
+  (to.getMonth() - from.getMonth());
+
+const daysInMonth = (date) =>
+  new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+/**
+ * Check if a calendar day matches a recurrence rule
+ * @param {Object} rule - { frequency, interval, daysOfWeek, dayOfMonth }
+ * @param {Date} anchor - Series start date
+ * @param {Date} day - Day to test
+ * @returns {Boolean}
+ */
+const matchesRule = (rule, anchor, day) => {
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === "daily") {
+    return daysBetween(anchor, day) % interval === 0;
+  }
+
+  if (rule.frequency === "weekly") {
+    const daysOfWeek =
+      rule.daysOfWeek && rule.daysOfWeek.length > 0
+        ? rule.daysOfWeek
+        : [anchor.getDay()];
+    if (!daysOfWeek.includes(day.getDay())) return false;
+
+    // Count whole weeks between the Sundays of both dates
+    const anchorWeek = new Date(startOfDay(anchor).getTime());
+    anchorWeek.setDate(anchorWeek.getDate() - anchorWeek.getDay());
+    const dayWeek = new Date(startOfDay(day).getTime());
+    dayWeek.setDate(dayWeek.getDate() - dayWeek.getDay());
+    return (daysBetween(anchorWeek, dayWeek) / 7) % interval === 0;
+  }
+
+  if (rule.frequency === "monthly") {
+    const dayOfMonth = rule.dayOfMonth || anchor.getDate();
+    if (day.getDate() !== Math.min(dayOfMonth, daysInMonth(day))) return false;
+    return monthsBetween(anchor, day) % interval === 0;
+  }
+
+  return false;
+};
+
+/**
+ * Apply an "HH:mm" time to a day
+ */
+const applyTime = (day, time = "08:00") => {
+  const [hours, minutes] = time.split(":").map((n) => parseInt(n, 10));
+  const d = new Date(day);
+  d.setHours(hours || 0, minutes || 0, 0, 0);
+  return d;
+};
+
+/**
+ * Get the occurrence dates of a recurrence rule
+ * @param {Object} recurrence - { rule, startDate, endDate }
+ * @param {Object} options - { from, until, limit }
+ * @returns {Date[]} - Occurrences in ascending order (from <= date <= until)
+ */
+export const getOccurrences = (recurrence, options = {}) => {
+  const { rule, startDate, endDate } = recurrence;
+  const { until = null, limit = null } = options;
+
+  if (!rule || !rule.frequency || !startDate) return [];
+
+  const anchor = new Date(startDate);
+  const from = new Date(
+    Math.max(anchor.getTime(), options.from ? new Date(options.from).getTime() : 0)
+  );
+  const end = endDate ? new Date(endDate) : null;
+
+  const occurrences = [];
+  const day = startOfDay(from);
+
+  for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+    if (limit && occurrences.length >= limit) break;
+
+    if (matchesRule(rule, anchor, day)) {
+      const occurrence = applyTime(day, rule.time);
+
+      if (until && occurrence > until) break;
+      if (end && occurrence > end) break;
+      if (occurrence >= from) occurrences.push(occurrence);
+    } else {
+      const endOfDay = new Date(day.getTime() + DAY_MS - 1);
+      if ((until && endOfDay > until) || (end && endOfDay > end)) break;
+    }
+
+    day.setDate(day.getDate() + 1);
+  }
+
+  return occurrences;
+};
+
+/**
+ * Get the next N occurrences after a given date
+ * @param {Object} recurrence - { rule, startDate, endDate }
+ * @param {Number} count - How many dates to return
+ * @param {Date} after - Defaults to now
+ * @returns {Date[]}
+ */
+export const getNextOccurrences = (recurrence, count = 5, after = new Date()) =>
+  getOccurrences(recurrence, { from: after, limit: count });
+
+export default {
+  getOccurrences,
+  getNextOccurrences,
+};
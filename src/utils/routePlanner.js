@@ -0,0 +1,95 @@
+// backend/src/utils/routePlanner.js
+import { haversineDistance } from "./geo.js";
+
+/**
+ * Total length of an open path through the given stop indices
+ */
+const pathLength = (order, dist, startIndex) => {
+  let total = 0;
+  let prev = startIndex;
+  for (const idx of order) {
+    if (prev !== null) total += dist[prev][idx];
+    prev = idx;
+  }
+  return total;
+};
+
+/**
+ * Order stops with a nearest-neighbour tour improved by 2-opt,
+ * using straight-line (haversine) distances.
+ * @param {Array} points - [{ latitude, longitude }, ...] stops to visit
+ * @param {Object} start - Optional { latitude, longitude } starting point
+ * @returns {Object} - { order: [indices into points], distances: [meters per leg], total }
+ */
+export const planRoute = (points, start = null) => {
+  if (points.length === 0) return { order: [], distances: [], total: 0 };
+
+  // Distance matrix; the optional start point is kept as the last row
+  const nodes = start ? [...points, start] : points;
+  const dist = nodes.map((a) => nodes.map((b) => haversineDistance(a, b)));
+  const startIndex = start ? points.length : null;
+
+  // Nearest neighbour
+  const remaining = new Set(points.map((_, i) => i));
+  const order = [];
+  let current = startIndex;
+
+  if (current === null) {
+    current = 0;
+    order.push(0);
+    remaining.delete(0);
+  }
+
+  while (remaining.size > 0) {
+    let best = null;
+    for (const idx of remaining) {
+      if (best === null || dist[current][idx] < dist[current][best]) {
+        best = idx;
+      }
+    }
+    order.push(best);
+    remaining.delete(best);
+    current = best;
+  }
+
+  // 2-opt: reverse segments while it shortens the path.
+  // Without a start point the first stop stays fixed too.
+  const firstMovable = startIndex === null ? 1 : 0;
+  let improved = true;
+  let currentLength = pathLength(order, dist, startIndex);
+
+  while (improved) {
+    improved = false;
+    for (let i = firstMovable; i < order.length - 1; i++) {
+      for (let k = i + 1; k < order.length; k++) {
+        const candidate = [
+          ...order.slice(0, i),
+          ...order.slice(i, k + 1).reverse(),
+          ...order.slice(k + 1),
+        ];
+        const candidateLength = pathLength(candidate, dist, startIndex);
+        if (candidateLength + 1e-6 < currentLength) {
+          order.splice(0, order.length, ...candidate);
+          currentLength = candidateLength;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  // Leg distances (first leg is from the start point, 0 without one)
+  const distances = order.map((idx, i) => {
+    const prev = i === 0 ? startIndex : order[i - 1];
+    return prev === null ? 0 : Math.round(dist[prev][idx]);
+  });
+
+  return {
+    order,
+    distances,
+    total: distances.reduce((sum, d) => sum + d, 0),
+  };
+};
+
+export default {
+  planRoute,
+};
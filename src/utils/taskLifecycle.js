@@ -0,0 +1,107 @@
+// backend/src/utils/taskLifecycle.js
+/**
+ * Task lifecycle state machine.
+ *
+ * pending → assigned → in-progress → review → completed (approved)
+ *                                          ↘ rejected → rework → review
+ *
+ * Each entry maps a target status to the roles allowed to perform the move.
+ */
+export const TASK_STATUSES = [
+  "pending",
+  "assigned",
+  "in-progress",
+  "review",
+  "completed",
+  "rejected",
+  "rework",
+];
+
+// Statuses where work on the task is still outstanding
+export const OPEN_STATUSES = [
+  "pending",
+  "assigned",
+  "in-progress",
+  "rejected",
+  "rework",
+];
+
+export const TASK_TRANSITIONS = {
+  pending: {
+    assigned: ["admin"],
+    "in-progress": ["admin", "worker"],
+  },
+  assigned: {
+    pending: ["admin"],
+    "in-progress": ["admin", "worker"],
+  },
+  "in-progress": {
+    review: ["admin", "worker"],
+  },
+  review: {
+    completed: ["admin"],
+    rejected: ["admin"],
+  },
+  rejected: {
+    rework: ["admin", "worker"],
+  },
+  rework: {
+    review: ["admin", "worker"],
+  },
+  completed: {},
+};
+
+/**
+ * Check if a status change is allowed
+ * @param {String} from - Current status
+ * @param {String} to - Target status
+ * @param {String} role - Actor role (optional, skips the role check if omitted)
+ * @returns {Boolean}
+ */
+export const canTransition = (from, to, role) => {
+  const allowed = TASK_TRANSITIONS[from]?.[to];
+  if (!allowed) return false;
+  return role ? allowed.includes(role) : true;
+};
+
+/**
+ * Get the statuses a role can move a task to from its current status
+ */
+export const getAllowedTransitions = (from, role) =>
+  Object.entries(TASK_TRANSITIONS[from] || {})
+    .filter(([, roles]) => !role || roles.includes(role))
+    .map(([to]) => to);
+
+/**
+ * Build the 409 response body for an illegal status change
+ */
+export const transitionErrorBody = (from, to, role) => ({
+  success: false,
+  message: `Cannot change task status from "${from}" to "${to}"`,
+  currentStatus: from,
+  allowedTransitions: getAllowedTransitions(from, role),
+});
+
+/**
+ * Build a Task.statusHistory entry
+ * @param {Object} actor - req.user ({ id, role, name }) or omitted for system jobs
+ */
+export const buildStatusEntry = (from, to, actor = {}, reason) => ({
+  from,
+  to,
+  changedBy: actor.id || null,
+  changedByRole: actor.role || "system",
+  changedByName: actor.name,
+  reason,
+  changedAt: new Date(),
+});
+
+export default {
+  TASK_STATUSES,
+  OPEN_STATUSES,
+  TASK_TRANSITIONS,
+  canTransition,
+  getAllowedTransitions,
+  transitionErrorBody,
+  buildStatusEntry,
+};